@@ -4,12 +4,13 @@
 // This enhances the premium perception of GPS distance features by aligning with our design system
 // and creates a more monetizable premium experience.
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { View, StyleSheet, ActivityIndicator, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
 import Typography from '../ui/components/Typography';
 import theme from '../ui/theme';
+import { calculateDistance } from '../services/distanceService';
 
 /**
  * Distance Indicator Component
@@ -20,13 +21,19 @@ import theme from '../ui/theme';
  * 
  * @param {Object} props
  * @param {Object} props.holeData - Current hole data with distance and poi info
+ * @param {number} props.holeNumber - Current hole number; a measurement in progress is dropped when it changes
  * @param {boolean} props.active - Whether component should actively update location
  * @param {function} props.onPermissionChange - Callback when GPS permission changes
+ * @param {function} props.onLocationUpdate - Callback with each GPS fix ({ coords, timestamp })
+ * @param {function} props.onSaveMeasuredDistance - Callback with a distance (yards) measured in mark mode
  */
 const DistanceIndicator = ({ 
   holeData, 
+  holeNumber = null,
   active = true,
-  onPermissionChange = null
+  onPermissionChange = null,
+  onLocationUpdate = null,
+  onSaveMeasuredDistance = null
 }) => {
   // State for distance calculations
   const [centerDistance, setCenterDistance] = useState(null);
@@ -39,26 +46,15 @@ const DistanceIndicator = ({
   const [locationError, setLocationError] = useState(null);
   const [locationSubscription, setLocationSubscription] = useState(null);
   
-  // Calculate distance between two coordinate points using Haversine formula
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    // Radius of the Earth in yards
-    const R = 6371 * 1093.61; // Earth's radius in km converted to yards
-    
-    // Convert degrees to radians
-    const dLat = (lat2 - lat1) * (Math.PI / 180);
-    const dLon = (lon2 - lon1) * (Math.PI / 180);
-    
-    // Haversine formula
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(lat1 * (Math.PI / 180)) * Math.cos(lat2 * (Math.PI / 180)) * 
-      Math.sin(dLon/2) * Math.sin(dLon/2);
-    
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    const distance = R * c;
-    
-    return Math.round(distance); // Round to nearest yard
-  };
+  // The location subscription keeps the handler it started with, so read the latest callback from a ref
+  const onLocationUpdateRef = useRef(onLocationUpdate);
+  onLocationUpdateRef.current = onLocationUpdate;
+  
+  // Measure mode: mark where the ball was hit from, then walk to it
+  const [markPosition, setMarkPosition] = useState(null);
+  const [measuredDistance, setMeasuredDistance] = useState(null);
+  const markPositionRef = useRef(null);
+  const lastPositionRef = useRef(null);
   
   // Helper to find green POI coordinates
   const findGreenCoordinates = useCallback(() => {
@@ -191,6 +187,19 @@ const DistanceIndicator = ({
     
     const { latitude, longitude } = location.coords;
     
+    // Share the fix with the parent (e.g. to stamp shots with their position)
+    if (onLocationUpdateRef.current) {
+      onLocationUpdateRef.current(location);
+    }
+    
+    // Keep the latest fix for marking and update the live shot distance in measure mode
+    lastPositionRef.current = { lat: latitude, lng: longitude };
+    if (markPositionRef.current) {
+      setMeasuredDistance(calculateDistance(
+        markPositionRef.current.lat, markPositionRef.current.lng, latitude, longitude
+      ));
+    }
+    
     // Get green coordinates
     const { center, front, back } = findGreenCoordinates();
     
@@ -227,6 +236,35 @@ const DistanceIndicator = ({
     setUsingGPS(true);
   };
   
+  // Start measuring from the player's current position
+  const handleMarkBall = () => {
+    if (!lastPositionRef.current) return;
+    
+    markPositionRef.current = lastPositionRef.current;
+    setMarkPosition(lastPositionRef.current);
+    setMeasuredDistance(0);
+  };
+  
+  // Leave measure mode without saving
+  const handleCancelMeasure = () => {
+    markPositionRef.current = null;
+    setMarkPosition(null);
+    setMeasuredDistance(null);
+  };
+  
+  // Hand the measured distance to the parent and leave measure mode
+  const handleSaveMeasure = () => {
+    if (onSaveMeasuredDistance && measuredDistance !== null) {
+      onSaveMeasuredDistance(measuredDistance);
+    }
+    handleCancelMeasure();
+  };
+  
+  // A mark belongs to the hole it was made on, so moving holes ends measure mode
+  useEffect(() => {
+    handleCancelMeasure();
+  }, [holeNumber]);
+  
   // Update static distances from hole data
   const updateStaticDistances = useCallback(() => {
     // Use the static distance from hole data if available
@@ -311,6 +349,42 @@ const DistanceIndicator = ({
       );
     }
     
+    // Measure mode replaces the green distances with the live shot distance
+    if (markPosition) {
+      return (
+        <View style={styles.distancesContainer}>
+          <View style={styles.gpsIndicator}>
+            <Ionicons name="flag" size={14} color={theme.colors.primary} />
+          </View>
+          
+          <View style={styles.mainDistanceContainer}>
+            <Typography variant="subtitle" weight="bold" style={styles.mainDistance}>
+              {measuredDistance ?? '---'}
+            </Typography>
+            <Typography variant="caption" style={styles.distanceLabel}>
+              yd shot
+            </Typography>
+          </View>
+          
+          <View style={styles.measureActions}>
+            <TouchableOpacity style={styles.measureButton} onPress={handleCancelMeasure}>
+              <Typography variant="caption" color={theme.colors.secondary}>
+                Cancel
+              </Typography>
+            </TouchableOpacity>
+            <TouchableOpacity 
+              style={[styles.measureButton, styles.saveMeasureButton]} 
+              onPress={handleSaveMeasure}
+            >
+              <Typography variant="caption" color="#FFF">
+                Save
+              </Typography>
+            </TouchableOpacity>
+          </View>
+        </View>
+      );
+    }
+    
     // Show distances with appropriate indicators
     return (
       <View style={styles.distancesContainer}>
@@ -352,6 +426,16 @@ const DistanceIndicator = ({
             yd (B)
           </Typography>
         </View>
+        
+        {/* Mark the ball to measure the next shot - needs a live GPS fix */}
+        {usingGPS && onSaveMeasuredDistance && (
+          <TouchableOpacity style={styles.measureButton} onPress={handleMarkBall}>
+            <Ionicons name="flag-outline" size={14} color={theme.colors.primary} />
+            <Typography variant="caption" color={theme.colors.primary} style={styles.markText}>
+              Mark
+            </Typography>
+          </TouchableOpacity>
+        )}
       </View>
     );
   };
@@ -430,6 +514,24 @@ const styles = StyleSheet.create({
   distanceLabel: {
     color: '#666',
   },
+  measureActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  measureButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 4,
+    marginLeft: 6,
+  },
+  saveMeasureButton: {
+    backgroundColor: theme.colors.primary,
+  },
+  markText: {
+    marginLeft: 2,
+  },
   permissionContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,172 @@
+// src/components/HoleEditor.js
+//
+// Shot list editor for a single hole of a completed round.
+// Opened from the ScorecardScreen edit mode; works on a draft copy of the hole
+// so nothing changes until the corrected hole is saved.
+
+import React, { useState } from "react";
+import { View, ScrollView, StyleSheet } from "react-native";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import theme from "../ui/theme";
+import ShotTable, { calculateShotCounts } from "./ShotTable";
+import ShotTimeline from "./ShotTimeline";
+import { isPenaltyShot, createPenaltyShot } from "../services/penaltyService";
+import { isExtraBall } from "../services/practiceService";
+import { isPickedUp, getPickupLabel, getHoleScore } from "../services/pickupService";
+
+/**
+ * HoleEditor Component
+ *
+ * Shows the hole's shots in the same ShotTable and ShotTimeline used by the tracker.
+ * Shots can be added, removed, reordered or changed, and a pickup can be removed so
+ * the hole is scored from its shots again.
+ *
+ * @param {Object} props
+ * @param {number} props.holeNumber - Course hole number being edited
+ * @param {Object} props.holeData - hole_data as saved for the hole
+ * @param {Array<string>} props.clubs - Clubs in the user's bag, offered for tagging shots
+ * @param {boolean} props.allowExtraBalls - Whether shots can be marked as extra balls (practice rounds)
+ * @param {boolean} props.saving - Whether the corrected hole is being saved
+ * @param {Function} props.onSave - Called with the corrected hole_data
+ * @param {Function} props.onCancel - Called when the edit is abandoned
+ */
+export default function HoleEditor({ holeNumber, holeData, clubs = [], allowExtraBalls = false, saving = false, onSave, onCancel }) {
+  const [shots, setShots] = useState(holeData?.shots || []);
+  const [pickup, setPickup] = useState(holeData?.pickup || null);
+  const [activeColumn, setActiveColumn] = useState("On Target");
+  const [hasChanges, setHasChanges] = useState(false);
+
+  const draft = { ...holeData, shots, pickup };
+  const originalScore = getHoleScore(holeData);
+  const newScore = getHoleScore(draft);
+
+  const changeShots = (newShots) => {
+    setShots(newShots);
+    setHasChanges(true);
+  };
+
+  const clearPickup = () => {
+    setPickup(null);
+    setHasChanges(true);
+  };
+
+  // Append a shot; edited holes have no GPS or timing, only the shot itself
+  const addShot = (type, outcome) => {
+    changeShots([...shots, { type, result: outcome, timestamp: new Date().toISOString() }]);
+  };
+
+  // Remove the last counted shot of this type and outcome
+  const removeShot = (type, outcome) => {
+    const shotIndex = shots.map(shot => shot.type === type && shot.result === outcome && !isExtraBall(shot)).lastIndexOf(true);
+    if (shotIndex === -1) return;
+
+    changeShots(shots.filter((_, index) => index !== shotIndex));
+  };
+
+  const addPenalty = (reasonId, strokeAndDistance) => {
+    changeShots([...shots, createPenaltyShot(reasonId, strokeAndDistance)]);
+  };
+
+  const removePenalty = () => {
+    const penaltyIndex = shots.map(isPenaltyShot).lastIndexOf(true);
+    if (penaltyIndex === -1) return;
+
+    changeShots(shots.filter((_, index) => index !== penaltyIndex));
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Typography variant="subtitle" style={styles.title}>
+        Edit Hole {holeNumber}
+      </Typography>
+      <Typography variant="body" style={styles.scoreLine}>
+        Par {holeData?.par || "?"} • Score {newScore}
+        {newScore !== originalScore ? ` (was ${originalScore})` : ""}
+      </Typography>
+
+      {/* A pickup fixes the score; removing it scores the hole from its shots */}
+      {isPickedUp(draft) && (
+        <View style={styles.pickupRow}>
+          <Typography variant="caption" weight="semibold" style={styles.pickupText}>
+            {getPickupLabel(pickup.type)} - scores {newScore}
+          </Typography>
+          <Button variant="text" size="small" onPress={clearPickup}>
+            Score From Shots
+          </Button>
+        </View>
+      )}
+
+      <View style={styles.tableContainer}>
+        <ShotTable
+          shotCounts={calculateShotCounts(shots)}
+          activeColumn={activeColumn}
+          setActiveColumn={setActiveColumn}
+          addShot={addShot}
+          removeShot={removeShot}
+          penalties={shots.filter(isPenaltyShot)}
+          addPenalty={addPenalty}
+          removePenalty={removePenalty}
+        />
+      </View>
+
+      <ShotTimeline
+        shots={shots}
+        clubs={clubs}
+        allowExtraBalls={allowExtraBalls}
+        onChangeShots={changeShots}
+      />
+
+      <View style={styles.buttonRow}>
+        <Button variant="outline" onPress={onCancel} disabled={saving} style={styles.cancelButton}>
+          Cancel
+        </Button>
+        <Button
+          variant="primary"
+          onPress={() => onSave(draft)}
+          loading={saving}
+          disabled={!hasChanges || saving}
+          style={styles.saveButton}
+        >
+          Save Hole
+        </Button>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: theme.spacing.medium,
+  },
+  title: {
+    marginBottom: 4,
+  },
+  scoreLine: {
+    marginBottom: 12,
+  },
+  pickupRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 8,
+  },
+  pickupText: {
+    flexShrink: 1,
+    marginRight: 8,
+  },
+  tableContainer: {
+    marginBottom: 12,
+  },
+  buttonRow: {
+    flexDirection: "row",
+    marginTop: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    marginRight: 8,
+  },
+  saveButton: {
+    flex: 1,
+  },
+});
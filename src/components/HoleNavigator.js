@@ -7,11 +7,28 @@ import theme from "../ui/theme";
 
 /**
  * HoleNavigator Component - Allows navigation between holes
+ * 
+ * @param {Object} props
+ * @param {number} props.currentHole - Course hole number being played
+ * @param {number} props.holePosition - Position of the current hole within the round (1-based)
+ * @param {Function} props.onPreviousHole - Called when the previous arrow is pressed
+ * @param {Function} props.onNextHole - Called when the next arrow is pressed
+ * @param {number} props.totalHoles - Number of holes in the round
+ * @param {number} [props.previousHole] - Hole number before this one in playing order
+ * @param {number} [props.nextHole] - Hole number after this one in playing order
  */
-export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole, totalHoles = 18 }) {
+export default function HoleNavigator({ 
+  currentHole, 
+  holePosition = currentHole, 
+  onPreviousHole, 
+  onNextHole, 
+  totalHoles = 18,
+  previousHole,
+  nextHole
+}) {
   // Determine if buttons should be disabled
-  const isPreviousDisabled = currentHole <= 1;
-  const isNextDisabled = currentHole >= totalHoles;
+  const isPreviousDisabled = holePosition <= 1;
+  const isNextDisabled = holePosition >= totalHoles;
 
   return (
     <View style={styles.container}>
@@ -26,13 +43,20 @@ export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole,
           size={24} 
           color={isPreviousDisabled ? "#ccc" : theme.colors.primary} 
         />
+        {/* Label the neighbouring hole when play wraps around, e.g. 1 back to 18 */}
+        {previousHole && previousHole !== currentHole - 1 && (
+          <Text style={styles.adjacentHoleText}>{previousHole}</Text>
+        )}
       </TouchableOpacity>
       
       {/* Current hole indicator */}
       <View style={styles.holeLabelContainer}>
         <Text style={styles.holeTitleText}>HOLE</Text>
         <Text style={styles.holeNumberText}>{currentHole}</Text>
-        <Text style={styles.holeTotalText}>of {totalHoles}</Text>
+        {/* Show the round position when it differs from the hole number, e.g. back nine rounds */}
+        <Text style={styles.holeTotalText}>
+          {holePosition === currentHole ? `of ${totalHoles}` : `${holePosition} of ${totalHoles}`}
+        </Text>
       </View>
       
       {/* Next hole button */}
@@ -46,6 +70,9 @@ export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole,
           size={24} 
           color={isNextDisabled ? "#ccc" : theme.colors.primary} 
         />
+        {nextHole && nextHole !== currentHole + 1 && (
+          <Text style={styles.adjacentHoleText}>{nextHole}</Text>
+        )}
       </TouchableOpacity>
     </View>
   );
@@ -91,5 +118,11 @@ const styles = StyleSheet.create({
   holeTotalText: {
     fontSize: 12,
     color: "#666",
+  },
+  adjacentHoleText: {
+    position: "absolute",
+    bottom: 1,
+    fontSize: 9,
+    color: "#666",
   }
 });
\ No newline at end of file
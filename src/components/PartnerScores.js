@@ -0,0 +1,135 @@
+// src/components/PartnerScores.js
+//
+// Simple stroke entry for playing partners on the current hole.
+// The owner's detailed shots stay in ShotTable; partners only get a hole score.
+
+import React from "react";
+import { View, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+
+/**
+ * PartnerScores Component
+ *
+ * One row per partner with -/+ controls. The first tap on + enters par so a
+ * typical hole takes a single tap; - below one stroke clears the score.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.players - Partners in the round ({ id, name })
+ * @param {Object} props.scores - Partner scores for the hole, keyed by player ID
+ * @param {number|null} props.par - Par for the hole, used as the first entered score
+ * @param {number} props.ownerScore - Strokes recorded for the owner on this hole
+ * @param {Function} props.onChangeScore - Called with (playerId, score|null)
+ */
+export default function PartnerScores({ players = [], scores = {}, par, ownerScore = 0, onChangeScore }) {
+  if (players.length === 0) {
+    return null;
+  }
+
+  const increment = (playerId) => {
+    const current = scores[playerId];
+    onChangeScore(playerId, current ? current + 1 : (par || 1));
+  };
+
+  const decrement = (playerId) => {
+    const current = scores[playerId];
+    if (!current) return;
+    onChangeScore(playerId, current > 1 ? current - 1 : null);
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Typography variant="body" weight="semibold">
+          Group Scores
+        </Typography>
+        <Typography variant="caption">
+          You: {ownerScore || "-"}
+        </Typography>
+      </View>
+
+      {players.map(player => (
+        <View key={player.id} style={styles.playerRow}>
+          <View style={styles.playerName}>
+            {player.profile_id && (
+              <Ionicons name="link" size={14} color={theme.colors.primary} style={styles.linkIcon} />
+            )}
+            <Typography variant="body" numberOfLines={1}>
+              {player.name}
+            </Typography>
+          </View>
+
+          <TouchableOpacity
+            style={[styles.scoreButton, !scores[player.id] && styles.disabledButton]}
+            onPress={() => decrement(player.id)}
+            disabled={!scores[player.id]}
+          >
+            <Ionicons name="remove" size={18} color={theme.colors.text} />
+          </TouchableOpacity>
+
+          <Typography variant="body" weight="semibold" style={styles.scoreValue}>
+            {scores[player.id] || "-"}
+          </Typography>
+
+          <TouchableOpacity
+            style={[styles.scoreButton, styles.incrementButton]}
+            onPress={() => increment(player.id)}
+          >
+            <Ionicons name="add" size={18} color="#fff" />
+          </TouchableOpacity>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#f5f5f5",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginBottom: 8,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 4,
+  },
+  playerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 4,
+  },
+  playerName: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  linkIcon: {
+    marginRight: 4,
+  },
+  scoreButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    backgroundColor: "#fff",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  incrementButton: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  disabledButton: {
+    opacity: 0.4,
+  },
+  scoreValue: {
+    width: 36,
+    textAlign: "center",
+  },
+});
@@ -5,6 +5,7 @@
 
 import React from 'react';
 import { TouchableOpacity, View, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import theme from '../ui/theme';
 import Typography from '../ui/components/Typography';
 import Card from '../ui/components/Card';
@@ -16,10 +17,12 @@ import Card from '../ui/components/Card';
  * and performance metrics. Used across multiple screens for consistent display.
  * 
  * @param {Object} props
- * @param {Object} props.round - Round data object containing id, date, courseName, score, grossShots
+ * @param {Object} props.round - Round data object containing id, date, courseName, score, grossShots,
+ *   and pendingSync when the round is still waiting to reach the server
  * @param {Function} props.onPress - Function to call when card is pressed (typically for navigation)
+ * @param {boolean} [props.selected] - Selection state while picking rounds; omit outside selection
  */
-const RoundSummaryCard = ({ round, onPress }) => {
+const RoundSummaryCard = ({ round, onPress, selected }) => {
   if (!round) return null;
 
   return (
@@ -30,6 +33,14 @@ const RoundSummaryCard = ({ round, onPress }) => {
       <Card style={styles.roundCard}>
         {/* Course name and date row */}
         <View style={styles.cardTopRow}>
+          {selected !== undefined && (
+            <Ionicons
+              name={selected ? "checkbox" : "square-outline"}
+              size={20}
+              color={theme.colors.primary}
+              style={styles.selectIcon}
+            />
+          )}
           <Typography 
             variant="body" 
             weight="semibold" 
@@ -42,6 +53,16 @@ const RoundSummaryCard = ({ round, onPress }) => {
           </Typography>
         </View>
         
+        {/* Pending sync badge - round is saved on the device only */}
+        {round.pendingSync && (
+          <View style={styles.pendingBadge}>
+            <Ionicons name="cloud-upload-outline" size={14} color={theme.colors.accent} />
+            <Typography variant="caption" color={theme.colors.accent} style={styles.pendingText}>
+              Pending sync
+            </Typography>
+          </View>
+        )}
+        
         {/* Stats row - only show for completed rounds */}
         <View style={styles.cardStatsRow}>
           {/* Gross shots (more prominent) */}
@@ -98,10 +119,22 @@ const styles = StyleSheet.create({
     borderTopWidth: 1,
     borderTopColor: "#f0f0f0",
   },
+  pendingBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: theme.spacing.medium,
+    marginBottom: theme.spacing.small,
+  },
+  pendingText: {
+    marginLeft: 4,
+  },
   courseName: {
     flex: 1,
     marginRight: theme.spacing.small,
   },
+  selectIcon: {
+    marginRight: theme.spacing.small,
+  },
   statContainer: {
     alignItems: "center",
     flex: 1,
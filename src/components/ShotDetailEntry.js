@@ -0,0 +1,99 @@
+// src/components/ShotDetailEntry.js
+//
+// Miss direction and lie pickers for a single shot.
+// Used under the ShotTable in detailed entry mode and in the ShotTimeline editor.
+
+import React from "react";
+import { View, TouchableOpacity, StyleSheet } from "react-native";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import { MISS_DIRECTIONS, LIE_RESULTS } from "../services/missService";
+
+/**
+ * ShotDetailEntry Component
+ *
+ * Two rows of chips: where the shot missed and where the ball finished.
+ * Tapping the selected chip again clears it, so a shot on line has no miss direction.
+ *
+ * @param {Object} props
+ * @param {Object} props.shot - Shot being described ({ type, missDirection?, lie? })
+ * @param {Function} props.onChange - Called with the changed fields ({ missDirection } or { lie })
+ * @param {string} [props.title] - Heading; when given the pickers are shown as their own card
+ */
+export default function ShotDetailEntry({ shot, onChange, title }) {
+  if (!shot) {
+    return null;
+  }
+
+  const renderOptions = (options, field) => (
+    <View style={styles.optionList}>
+      {options.map(option => {
+        const isSelected = shot[field] === option.id;
+
+        return (
+          <TouchableOpacity
+            key={option.id}
+            style={[styles.option, isSelected && styles.selectedOption]}
+            onPress={() => onChange({ [field]: isSelected ? undefined : option.id })}
+          >
+            <Typography variant="caption" color={isSelected ? "#fff" : theme.colors.text}>
+              {option.label}
+            </Typography>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  return (
+    <View style={title ? styles.card : null}>
+      {title && (
+        <Typography variant="body" weight="semibold" style={styles.title}>
+          {title}
+        </Typography>
+      )}
+
+      <Typography variant="caption" style={styles.label}>Miss</Typography>
+      {renderOptions(MISS_DIRECTIONS, "missDirection")}
+
+      <Typography variant="caption" style={styles.label}>Finished in</Typography>
+      {renderOptions(LIE_RESULTS, "lie")}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: "#f5f5f5",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingTop: 8,
+    paddingBottom: 2,
+    marginBottom: 8,
+  },
+  title: {
+    marginBottom: 4,
+  },
+  label: {
+    marginBottom: 4,
+  },
+  optionList: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 6,
+  },
+  option: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    backgroundColor: "#fff",
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedOption: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+});
@@ -7,13 +7,19 @@ import React, { useEffect, useState } from "react";
 import { View, TouchableOpacity, StyleSheet, Dimensions } from "react-native";
 import Typography from "../ui/components/Typography";
 import theme from "../ui/theme";
+import { PENALTY_REASONS, getPenaltyReasonLabel } from "../services/penaltyService";
+import { isExtraBall } from "../services/practiceService";
 
 // Get screen dimensions for responsive calculations
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
 // ========== DOMAIN MODEL CONSTANTS ==========
 // Define shot types and outcomes with standardized naming
-const SHOT_TYPES = ["Tee Shot", "Long Shot", "Approach", "Chip", "Putts", "Sand", "Penalties"];
+// Penalties are not a shot quality, so they have their own row (see penaltyService)
+export const SHOT_TYPES = ["Tee Shot", "Long Shot", "Approach", "Chip", "Putts", "Sand"];
+
+// Outcome keys in column order
+export const SHOT_OUTCOMES = ["On Target", "Slightly Off", "Recovery Needed"];
 
 // Display transformation mapping - consistent with data model
 const OUTCOME_DISPLAY_MAPPING = {
@@ -30,11 +36,32 @@ const DISPLAY_TO_DATA_MAPPING = {
 };
 
 // Domain-specific utility function for outcome display transformation
-const getDisplayOutcome = (outcome) => OUTCOME_DISPLAY_MAPPING[outcome] || outcome;
+export const getDisplayOutcome = (outcome) => OUTCOME_DISPLAY_MAPPING[outcome] || outcome;
 
 // Get data model key from UI display name
 const getDataModelOutcome = (displayOutcome) => DISPLAY_TO_DATA_MAPPING[displayOutcome] || displayOutcome;
 
+/**
+ * Build the per-type/outcome counts the table shows from a hole's shots array
+ * so the table always reflects the recorded sequence (extra balls aren't counted)
+ *
+ * @param {Array<Object>} shots - Shots from hole_data.shots
+ * @returns {Object} Counts keyed by shot type, then outcome
+ */
+export const calculateShotCounts = (shots = []) => {
+  const shotCounts = Object.fromEntries(SHOT_TYPES.map(type => [
+    type,
+    Object.fromEntries(SHOT_OUTCOMES.map(outcome => [outcome, 0]))
+  ]));
+  
+  shots.filter(shot => !isExtraBall(shot)).forEach(shot => {
+    if (shotCounts[shot.type] && shotCounts[shot.type][shot.result] !== undefined) {
+      shotCounts[shot.type][shot.result] += 1;
+    }
+  });
+  return shotCounts;
+};
+
 /**
  * ShotTable Component
  * 
@@ -48,11 +75,27 @@ const getDataModelOutcome = (displayOutcome) => DISPLAY_TO_DATA_MAPPING[displayO
  * @param {Function} props.setActiveColumn - Function to set active column
  * @param {Function} props.addShot - Function to add a shot
  * @param {Function} props.removeShot - Function to remove a shot
+ * @param {Array<Object>} props.penalties - Penalty strokes recorded on the hole
+ * @param {Function} props.addPenalty - Function to add a penalty (reasonId, strokeAndDistance)
+ * @param {Function} props.removePenalty - Function to remove the last penalty
  */
-export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, addShot, removeShot }) {
+export default function ShotTable({ 
+  shotCounts, 
+  activeColumn, 
+  setActiveColumn, 
+  addShot, 
+  removeShot,
+  penalties = [],
+  addPenalty,
+  removePenalty
+}) {
   const [tableWidth, setTableWidth] = useState(SCREEN_WIDTH - theme.spacing.medium * 2);
   const [calculatedStyles, setCalculatedStyles] = useState({});
   
+  // Penalty reason picker state
+  const [showPenaltyReasons, setShowPenaltyReasons] = useState(false);
+  const [replayFromLastSpot, setReplayFromLastSpot] = useState(false);
+  
   // Ensure activeColumn is always valid by applying defensive programming
   useEffect(() => {
     if (!shotCounts) return;
@@ -162,6 +205,13 @@ export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, a
 
   // Extract outcomes from the first shot type to ensure we maintain data model integrity
   const outcomes = Object.keys(shotCounts[SHOT_TYPES[0]] || {});
+  
+  // Record a penalty for the chosen reason and close the picker
+  const handleSelectPenaltyReason = (reason) => {
+    addPenalty(reason.id, reason.strokeAndDistance || replayFromLastSpot);
+    setShowPenaltyReasons(false);
+    setReplayFromLastSpot(false);
+  };
 
   return (
     <View 
@@ -307,6 +357,101 @@ export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, a
           })}
         </View>
       ))}
+      
+      {/* Penalty Row - one stroke per penalty, recorded with a reason */}
+      {addPenalty && (
+        <View style={styles.dataRow}>
+          <View style={[
+            styles.shotTypeCell, 
+            { width: calculatedStyles.typeColumnWidth }
+          ]}>
+            <Typography variant="body" weight="medium" style={styles.rowText}>
+              Penalties
+            </Typography>
+          </View>
+          
+          <View style={styles.penaltyCell}>
+            <Typography 
+              variant="body" 
+              numberOfLines={1}
+              color={penalties.length > 0 ? theme.colors.error : theme.colors.secondary}
+              style={styles.penaltySummary}
+            >
+              {penalties.length > 0 
+                ? penalties.map(penalty => getPenaltyReasonLabel(penalty.penaltyReason)).join(", ")
+                : "None"}
+            </Typography>
+            
+            <View style={styles.penaltyControls}>
+              <TouchableOpacity
+                onPress={removePenalty}
+                disabled={penalties.length === 0}
+                style={[
+                  styles.actionButton,
+                  penalties.length === 0 && styles.disabledButton,
+                  { width: calculatedStyles.buttonSize, height: calculatedStyles.buttonSize }
+                ]}
+                hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+              >
+                <Typography 
+                  variant="button" 
+                  color={penalties.length === 0 ? theme.colors.secondary : "white"}
+                  style={styles.buttonText}
+                >
+                  -
+                </Typography>
+              </TouchableOpacity>
+              
+              <Typography variant="body" weight="bold" style={styles.countText}>
+                {penalties.length}
+              </Typography>
+              
+              <TouchableOpacity
+                onPress={() => setShowPenaltyReasons(!showPenaltyReasons)}
+                style={[
+                  styles.actionButton,
+                  styles.penaltyButton,
+                  { width: calculatedStyles.buttonSize, height: calculatedStyles.buttonSize }
+                ]}
+                hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+              >
+                <Typography variant="button" color="white" style={styles.buttonText}>
+                  +
+                </Typography>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      )}
+      
+      {/* Penalty reason picker */}
+      {showPenaltyReasons && (
+        <View style={styles.penaltyReasons}>
+          <View style={styles.penaltyReasonList}>
+            {PENALTY_REASONS.map(reason => (
+              <TouchableOpacity
+                key={reason.id}
+                style={styles.penaltyReasonOption}
+                onPress={() => handleSelectPenaltyReason(reason)}
+              >
+                <Typography variant="caption" color={theme.colors.error}>
+                  {reason.label}
+                </Typography>
+              </TouchableOpacity>
+            ))}
+          </View>
+          
+          {/* OB and lost ball are always stroke and distance; other reasons can opt in */}
+          <TouchableOpacity
+            style={styles.replayToggle}
+            onPress={() => setReplayFromLastSpot(!replayFromLastSpot)}
+          >
+            <Typography variant="caption" color={theme.colors.text}>
+              {replayFromLastSpot ? "☑" : "☐"} Replay from previous spot (stroke and distance)
+            </Typography>
+          </TouchableOpacity>
+        </View>
+      )}
     </View>
   );
 }
@@ -391,6 +536,44 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '700',
   },
+  penaltyCell: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: theme.spacing.small,
+  },
+  penaltySummary: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
+  penaltyControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  penaltyButton: {
+    backgroundColor: theme.colors.error,
+  },
+  penaltyReasons: {
+    padding: theme.spacing.small,
+    backgroundColor: `${theme.colors.error}08`,
+  },
+  penaltyReasonList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  penaltyReasonOption: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: theme.colors.error,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  replayToggle: {
+    paddingVertical: 4,
+  },
   countText: {
     textAlign: "center",
     minWidth: 30,
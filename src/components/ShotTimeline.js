@@ -0,0 +1,458 @@
+// src/components/ShotTimeline.js
+//
+// Ordered list of the shots played on a hole, with per-shot editing.
+// Corrections made here keep the shot sequence intact, unlike the
+// count-based ShotTable which can only add or remove the last matching shot.
+
+import React, { useState, useEffect } from "react";
+import { View, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import { SHOT_TYPES, SHOT_OUTCOMES, getDisplayOutcome } from "./ShotTable";
+import {
+  PENALTY_REASONS,
+  isPenaltyShot,
+  getPenaltyReasonLabel,
+  requiresStrokeAndDistance
+} from "../services/penaltyService";
+import { getMissDirectionLabel, getLieResultLabel } from "../services/missService";
+import ShotDetailEntry from "./ShotDetailEntry";
+import { isExtraBall } from "../services/practiceService";
+
+/**
+ * ShotTimeline Component
+ *
+ * Collapsible timeline of the current hole's shots. Tapping a shot opens
+ * controls to change its type or outcome, move it, insert a shot after it,
+ * or delete it. Every edit hands a new shots array to onChangeShots.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.shots - Shots for the hole in playing order ({ type, result, timestamp, club?, missDirection?, lie? })
+ * @param {Array<string>} props.clubs - Clubs in the user's bag, offered for tagging shots
+ * @param {boolean} props.allowExtraBalls - Whether shots can be marked as mulligans / extra balls (practice rounds)
+ * @param {Function} props.onChangeShots - Called with the edited shots array
+ */
+export default function ShotTimeline({ shots = [], clubs = [], allowExtraBalls = false, onChangeShots }) {
+  const [expanded, setExpanded] = useState(false);
+  const [selectedIndex, setSelectedIndex] = useState(null);
+
+  // Drop the selection if the shot it pointed at no longer exists (e.g. hole changed)
+  useEffect(() => {
+    if (selectedIndex !== null && selectedIndex >= shots.length) {
+      setSelectedIndex(null);
+    }
+  }, [shots, selectedIndex]);
+
+  // Replace a single shot with updated fields
+  const updateShot = (index, changes) => {
+    const newShots = shots.map((shot, i) => (i === index ? { ...shot, ...changes } : shot));
+    onChangeShots(newShots);
+  };
+
+  // Swap a shot with its neighbour and keep it selected
+  const moveShot = (index, direction) => {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= shots.length) return;
+
+    const newShots = [...shots];
+    [newShots[index], newShots[targetIndex]] = [newShots[targetIndex], newShots[index]];
+    onChangeShots(newShots);
+    setSelectedIndex(targetIndex);
+  };
+
+  // Insert a new shot after the given index (or at the start when index is -1)
+  // It takes the type of the nearest earlier swing; penalty strokes are never copied
+  // since a penalty needs a reason and would change the score
+  const insertShot = (index) => {
+    const previousSwing = shots.slice(0, index + 1).reverse().find(shot => !isPenaltyShot(shot));
+    const newShot = {
+      type: previousSwing ? previousSwing.type : SHOT_TYPES[0],
+      result: SHOT_OUTCOMES[0],
+      timestamp: new Date().toISOString()
+    };
+
+    const newShots = [...shots];
+    newShots.splice(index + 1, 0, newShot);
+    onChangeShots(newShots);
+    setSelectedIndex(index + 1);
+  };
+
+  // Remove a shot from the sequence
+  const deleteShot = (index) => {
+    onChangeShots(shots.filter((_, i) => i !== index));
+    setSelectedIndex(null);
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header toggles the timeline */}
+      <TouchableOpacity
+        style={styles.header}
+        onPress={() => setExpanded(!expanded)}
+        activeOpacity={0.7}
+      >
+        <Typography variant="body" weight="semibold">
+          Shot Timeline ({shots.length})
+        </Typography>
+        <Ionicons
+          name={expanded ? "chevron-up" : "chevron-down"}
+          size={18}
+          color={theme.colors.secondary}
+        />
+      </TouchableOpacity>
+
+      {expanded && (
+        <View style={styles.body}>
+          {shots.length === 0 ? (
+            <Typography variant="caption" style={styles.emptyText}>
+              No shots recorded on this hole yet.
+            </Typography>
+          ) : (
+            shots.map((shot, index) => {
+              const isSelected = index === selectedIndex;
+              const isPenalty = isPenaltyShot(shot);
+
+              return (
+                <View key={`${shot.timestamp}-${index}`} style={styles.shotItem}>
+                  {/* Summary row */}
+                  <TouchableOpacity
+                    style={[styles.shotRow, isSelected && styles.selectedShotRow]}
+                    onPress={() => setSelectedIndex(isSelected ? null : index)}
+                    activeOpacity={0.7}
+                  >
+                    <Typography variant="body" weight="semibold" style={styles.shotNumber}>
+                      {index + 1}
+                    </Typography>
+                    <Typography variant="body" style={styles.shotType}>
+                      {isPenalty
+                        ? [
+                            "Penalty",
+                            getPenaltyReasonLabel(shot.penaltyReason),
+                            shot.strokeAndDistance ? "S&D" : null
+                          ].filter(Boolean).join(" · ")
+                        : [
+                            shot.type,
+                            shot.club,
+                            typeof shot.measuredDistance === "number" ? `${shot.measuredDistance} yd` : null,
+                            shot.missDirection ? `Miss ${getMissDirectionLabel(shot.missDirection)}` : null,
+                            getLieResultLabel(shot.lie),
+                            isExtraBall(shot) ? "Extra ball" : null
+                          ].filter(Boolean).join(" · ")}
+                    </Typography>
+                    <Typography
+                      variant="caption"
+                      color={isPenalty ? theme.colors.error : undefined}
+                      style={styles.shotOutcome}
+                    >
+                      {isPenalty ? "+1 stroke" : getDisplayOutcome(shot.result).replace("\n", " ")}
+                    </Typography>
+                    <Typography variant="caption" style={styles.shotTime}>
+                      {formatShotTime(shot.timestamp)}
+                    </Typography>
+                  </TouchableOpacity>
+
+                  {/* Editor for the selected shot */}
+                  {isSelected && (
+                    <View style={styles.editor}>
+                      {isPenalty ? (
+                        <PenaltyEditor
+                          shot={shot}
+                          onChange={changes => updateShot(index, changes)}
+                        />
+                      ) : (
+                      <>
+                      <View style={styles.optionList}>
+                        {SHOT_TYPES.map(type => (
+                          <TouchableOpacity
+                            key={type}
+                            style={[styles.option, shot.type === type && styles.selectedOption]}
+                            onPress={() => updateShot(index, { type })}
+                          >
+                            <Typography
+                              variant="caption"
+                              color={shot.type === type ? "#fff" : theme.colors.text}
+                            >
+                              {type}
+                            </Typography>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+
+                      <View style={styles.optionList}>
+                        {SHOT_OUTCOMES.map(outcome => (
+                          <TouchableOpacity
+                            key={outcome}
+                            style={[styles.option, shot.result === outcome && styles.selectedOption]}
+                            onPress={() => updateShot(index, { result: outcome })}
+                          >
+                            <Typography
+                              variant="caption"
+                              color={shot.result === outcome ? "#fff" : theme.colors.text}
+                            >
+                              {getDisplayOutcome(outcome).replace("\n", " ")}
+                            </Typography>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+
+                      {clubs.length > 0 && (
+                        <View style={styles.optionList}>
+                          {["No club", ...clubs].map(club => {
+                            // "No club" is selected when the shot has no club tagged
+                            const isSelectedClub = club === "No club" ? !shot.club : shot.club === club;
+
+                            return (
+                              <TouchableOpacity
+                                key={club}
+                                style={[styles.option, isSelectedClub && styles.selectedOption]}
+                                onPress={() => updateShot(index, { club: club === "No club" ? undefined : club })}
+                              >
+                                <Typography
+                                  variant="caption"
+                                  color={isSelectedClub ? "#fff" : theme.colors.text}
+                                >
+                                  {club}
+                                </Typography>
+                              </TouchableOpacity>
+                            );
+                          })}
+                        </View>
+                      )}
+
+                      <ShotDetailEntry
+                        shot={shot}
+                        onChange={changes => updateShot(index, changes)}
+                      />
+
+                      {(allowExtraBalls || isExtraBall(shot)) && (
+                        <View style={styles.optionList}>
+                          <TouchableOpacity
+                            style={[styles.option, isExtraBall(shot) && styles.selectedOption]}
+                            onPress={() => updateShot(index, { extraBall: isExtraBall(shot) ? undefined : true })}
+                          >
+                            <Typography
+                              variant="caption"
+                              color={isExtraBall(shot) ? "#fff" : theme.colors.text}
+                            >
+                              Mulligan / extra ball (not scored)
+                            </Typography>
+                          </TouchableOpacity>
+                        </View>
+                      )}
+                      </>
+                      )}
+
+                      <View style={styles.actionRow}>
+                        <TimelineAction
+                          icon="arrow-up"
+                          label="Up"
+                          disabled={index === 0}
+                          onPress={() => moveShot(index, -1)}
+                        />
+                        <TimelineAction
+                          icon="arrow-down"
+                          label="Down"
+                          disabled={index === shots.length - 1}
+                          onPress={() => moveShot(index, 1)}
+                        />
+                        <TimelineAction
+                          icon="add-circle-outline"
+                          label="Insert"
+                          onPress={() => insertShot(index)}
+                        />
+                        <TimelineAction
+                          icon="trash-outline"
+                          label="Delete"
+                          color={theme.colors.error}
+                          onPress={() => deleteShot(index)}
+                        />
+                      </View>
+                    </View>
+                  )}
+                </View>
+              );
+            })
+          )}
+
+          {/* Insert at the start of the hole (also covers an empty hole) */}
+          <TouchableOpacity style={styles.addFirstButton} onPress={() => insertShot(-1)}>
+            <Ionicons name="add" size={16} color={theme.colors.primary} />
+            <Typography variant="caption" color={theme.colors.primary}>
+              Insert shot at start
+            </Typography>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+}
+
+/**
+ * Reason and stroke-and-distance controls for a penalty stroke
+ */
+function PenaltyEditor({ shot, onChange }) {
+  const isForcedReplay = requiresStrokeAndDistance(shot.penaltyReason);
+
+  return (
+    <>
+      <View style={styles.optionList}>
+        {PENALTY_REASONS.map(reason => {
+          const isSelected = shot.penaltyReason === reason.id;
+
+          return (
+            <TouchableOpacity
+              key={reason.id}
+              style={[styles.option, isSelected && styles.selectedOption]}
+              onPress={() => onChange({
+                penaltyReason: reason.id,
+                strokeAndDistance: reason.strokeAndDistance || (!requiresStrokeAndDistance(shot.penaltyReason) && !!shot.strokeAndDistance)
+              })}
+            >
+              <Typography variant="caption" color={isSelected ? "#fff" : theme.colors.text}>
+                {reason.label}
+              </Typography>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <View style={styles.optionList}>
+        <TouchableOpacity
+          style={[styles.option, shot.strokeAndDistance && styles.selectedOption]}
+          onPress={() => onChange({ strokeAndDistance: !shot.strokeAndDistance })}
+          disabled={isForcedReplay}
+        >
+          <Typography variant="caption" color={shot.strokeAndDistance ? "#fff" : theme.colors.text}>
+            Stroke and distance{isForcedReplay ? " (required)" : ""}
+          </Typography>
+        </TouchableOpacity>
+      </View>
+    </>
+  );
+}
+
+/**
+ * Icon button used in the shot editor
+ */
+function TimelineAction({ icon, label, onPress, disabled = false, color = theme.colors.primary }) {
+  const tint = disabled ? "#ccc" : color;
+
+  return (
+    <TouchableOpacity
+      style={styles.actionButton}
+      onPress={onPress}
+      disabled={disabled}
+    >
+      <Ionicons name={icon} size={18} color={tint} />
+      <Typography variant="caption" color={tint}>
+        {label}
+      </Typography>
+    </TouchableOpacity>
+  );
+}
+
+/**
+ * Format a shot timestamp as a short local time, e.g. "10:42"
+ */
+function formatShotTime(timestamp) {
+  if (!timestamp) return "";
+
+  const date = new Date(timestamp);
+  if (isNaN(date.getTime())) return "";
+
+  return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#f5f5f5",
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  body: {
+    paddingHorizontal: 8,
+    paddingBottom: 8,
+  },
+  emptyText: {
+    paddingHorizontal: 4,
+    paddingVertical: 6,
+  },
+  shotItem: {
+    marginBottom: 4,
+  },
+  shotRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fff",
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 8,
+  },
+  selectedShotRow: {
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+  },
+  shotNumber: {
+    width: 24,
+  },
+  shotType: {
+    flex: 1,
+  },
+  shotOutcome: {
+    width: 80,
+  },
+  shotTime: {
+    width: 52,
+    textAlign: "right",
+  },
+  editor: {
+    backgroundColor: "#fff",
+    borderRadius: 6,
+    marginTop: 2,
+    padding: 8,
+  },
+  optionList: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 6,
+  },
+  option: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedOption: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  actionRow: {
+    flexDirection: "row",
+    justifyContent: "space-around",
+    borderTopWidth: 1,
+    borderTopColor: "#f0f0f0",
+    paddingTop: 6,
+  },
+  actionButton: {
+    alignItems: "center",
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  addFirstButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 8,
+  },
+});
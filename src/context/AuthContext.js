@@ -6,6 +6,7 @@ import { Linking, AppState } from "react-native";
 import { createNavigationContainerRef } from "@react-navigation/native";
 import { supabase } from "../services/supabase";
 import { initAnalytics } from "../services/analytics";
+import { initRoundSync } from "../services/syncService";
 
 // Create navigation reference for cross-component navigation capabilities
 export const navigationRef = createNavigationContainerRef();
@@ -239,6 +240,7 @@ export const AuthProvider = ({ children }) => {
           // Load user permissions on session restoration
           await loadUserPermissions(data.session.user.id);
           await initAnalytics(data.session.user.id); // Initialize analytics on session restore
+          initRoundSync(); // Replay any rounds completed while offline
         } else {
           console.log("No active session found in storage");
         }
@@ -276,6 +278,7 @@ export const AuthProvider = ({ children }) => {
         
         // Initialize analytics with user ID
         await initAnalytics(session.user.id);
+        initRoundSync();
         
         // Load user permissions
         await loadUserPermissions(session.user.id);
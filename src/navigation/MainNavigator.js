@@ -12,6 +12,9 @@ import RoundsScreen from "../screens/RoundScreen";
 import InsightsScreen from "../screens/InsightsScreen";
 import ProfileScreen from "../screens/ProfileScreen";
 import ScorecardScreen from "../screens/ScorecardScreen";
+import StatsScreen from "../screens/StatsScreen";
+import ImportRoundsScreen from "../screens/ImportRoundsScreen";
+import RoundComparisonScreen from "../screens/RoundComparisonScreen";
 import navigationTheme from "../ui/navigation/theme";
 import { 
   createRoundsStackConfig, 
@@ -46,6 +49,21 @@ function RoundsStackScreen() {
         component={ScorecardScreen} 
         options={config.screenConfigs.ScorecardScreen.options}
       />
+      <RoundsStack.Screen 
+        name="StatsScreen" 
+        component={StatsScreen} 
+        options={config.screenConfigs.StatsScreen.options}
+      />
+      <RoundsStack.Screen 
+        name="ImportRoundsScreen" 
+        component={ImportRoundsScreen} 
+        options={config.screenConfigs.ImportRoundsScreen.options}
+      />
+      <RoundsStack.Screen 
+        name="RoundComparisonScreen" 
+        component={RoundComparisonScreen} 
+        options={config.screenConfigs.RoundComparisonScreen.options}
+      />
     </RoundsStack.Navigator>
   );
 }
@@ -20,7 +20,8 @@ import {
   ActivityIndicator, 
   StyleSheet,
   TextInput,
-  Alert
+  Alert,
+  ScrollView
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import AsyncStorage from "@react-native-async-storage/async-storage";
@@ -30,6 +31,15 @@ import { getAllCourses, searchCourses, getRecentCourses, getCourseById, ensureCo
 import Typography from "../ui/components/Typography";
 import SkeletonCourseCard from "../components/SkeletonCourseCard";
 import { AuthContext } from "../context/AuthContext";
+import { MAX_PARTNERS, createPlayer, findProfileByEmail } from "../services/playerService";
+import { MATCH_FORMATS } from "../services/matchService";
+import { 
+  RATING_SETS, 
+  DEFAULT_RATING_SET, 
+  getRatingSetPreference, 
+  getTeeRatings, 
+  getCoursePar 
+} from "../services/courseRatingService";
 
 /**
  * CourseSelectorScreen Component
@@ -37,6 +47,8 @@ import { AuthContext } from "../context/AuthContext";
  * This screen displays a list of available golf courses from the database
  * and allows the user to select one and a tee to play.
  * Shows recently played courses by default, with search functionality.
+ * Playing partners can be added so one phone keeps score for the group,
+ * and the group can play a match instead of stroke play.
  */
 export default function CourseSelectorScreen({ navigation }) {
   // Get the current user from context
@@ -47,6 +59,18 @@ export default function CourseSelectorScreen({ navigation }) {
   const [recentCourses, setRecentCourses] = useState([]);
   const [selectedCourse, setSelectedCourse] = useState(null);
   const [selectedTeeId, setSelectedTeeId] = useState(null);
+  const [selectedLengthId, setSelectedLengthId] = useState(null);
+  const [selectedStartHole, setSelectedStartHole] = useState(null); // null starts on the first hole
+  const [ratingSet, setRatingSet] = useState(DEFAULT_RATING_SET); // Men's or women's par, index and ratings
+  const [isPractice, setIsPractice] = useState(false); // Practice rounds allow extra balls and don't count
+  
+  // Playing partners scored on this device
+  const [partners, setPartners] = useState([]);
+  const [partnerName, setPartnerName] = useState("");
+  const [partnerEmail, setPartnerEmail] = useState("");
+  const [partnerHandicap, setPartnerHandicap] = useState("");
+  const [matchFormatId, setMatchFormatId] = useState(null); // null plays stroke play
+  const [isAddingPartner, setIsAddingPartner] = useState(false);
   
   // Loading states
   const [isLoadingAll, setIsLoadingAll] = useState(true);
@@ -102,6 +126,13 @@ export default function CourseSelectorScreen({ navigation }) {
     loadRecentCourses();
   }, [user]);
   
+  // Default the par and stroke index set to the player's profile preference
+  useEffect(() => {
+    if (!user) return;
+    
+    getRatingSetPreference(user.id).then(setRatingSet);
+  }, [user]);
+  
   // Load all courses as a fallback when component mounts
   useEffect(() => {
     const loadAllCourses = async () => {
@@ -155,6 +186,7 @@ export default function CourseSelectorScreen({ navigation }) {
   const handleCourseSelect = async (course) => {
     setSelectedCourse(course);
     setSelectedTeeId(null); // Reset tee selection
+    setSelectedLengthId(null); // Reset to the course's default round length
     
     // If there's only one tee, select it automatically
     if (course.tees && course.tees.length === 1) {
@@ -217,11 +249,22 @@ export default function CourseSelectorScreen({ navigation }) {
         return;
       }
       
+      // Resolve the range of holes to be played
+      const roundLength = getSelectedRoundLength();
+      const startHole = getSelectedStartHole(roundLength);
+      const matchFormat = getSelectedMatchFormat();
+      
       console.log("Starting round with:", {
         courseId: selectedCourse.id,
         courseName: selectedCourse.name,
         teeId: selectedTeeId,
         teeName: selectedTee.name,
+        roundLength: roundLength.label,
+        startHole,
+        ratingSet,
+        isPractice,
+        partners: partners.length,
+        format: matchFormat ? matchFormat.label : "Stroke Play",
         hasPoi: selectedCourse.poi ? "Yes" : "No"
       });
       
@@ -237,6 +280,9 @@ export default function CourseSelectorScreen({ navigation }) {
         }
       }
       
+      // Ratings and par follow the men's or women's set chosen for this round
+      const teeRatings = getTeeRatings(selectedTee, ratingSet);
+      
       // Store the selected course and tee in AsyncStorage
       // Now including POI data when available
       await AsyncStorage.setItem("selectedCourse", JSON.stringify({
@@ -247,6 +293,16 @@ export default function CourseSelectorScreen({ navigation }) {
         teeId: selectedTeeId,
         teeName: selectedTee.name,
         teeColor: selectedTee.color,
+        teeSlope: teeRatings.slope,
+        teeCourseRating: teeRatings.courseRating,
+        coursePar: getCoursePar(selectedCourse, ratingSet),
+        ratingSet,
+        isPractice,
+        firstHole: roundLength.firstHole,
+        lastHole: roundLength.lastHole,
+        startHole,
+        players: partners,
+        matchFormat: matchFormat?.id || null,
         poi: courseWithPoi.poi || [] // Include POI data if available
       }));
       
@@ -259,6 +315,77 @@ export default function CourseSelectorScreen({ navigation }) {
     }
   };
   
+  /**
+   * Add a playing partner
+   * An email links the partner to their app profile when they have an account
+   */
+  const handleAddPartner = async () => {
+    const name = partnerName.trim();
+    const email = partnerEmail.trim();
+    const handicap = parseFloat(partnerHandicap);
+    
+    if (!name || partners.length >= MAX_PARTNERS) {
+      return;
+    }
+    
+    let profile = null;
+    if (email) {
+      setIsAddingPartner(true);
+      profile = await findProfileByEmail(email);
+      setIsAddingPartner(false);
+      
+      if (!profile || profile.id === user?.id) {
+        Alert.alert(
+          "Account Not Found",
+          `No other golfer uses ${email}. ${name} will be added without a linked account.`
+        );
+        profile = null;
+      } else if (partners.some(partner => partner.profile_id === profile.id)) {
+        Alert.alert("Already Added", `${email} is already in your group.`);
+        return;
+      }
+    }
+    
+    setPartners(current => [...current, createPlayer(name, profile, isNaN(handicap) ? null : handicap)]);
+    setPartnerName("");
+    setPartnerEmail("");
+    setPartnerHandicap("");
+  };
+  
+  /**
+   * Remove a playing partner
+   */
+  const handleRemovePartner = (playerId) => {
+    setPartners(current => current.filter(partner => partner.id !== playerId));
+  };
+  
+  /**
+   * Get the match format currently selected, or null for stroke play
+   * A format that no longer has enough partners falls back to stroke play
+   */
+  const getSelectedMatchFormat = () => {
+    const format = MATCH_FORMATS.find(option => option.id === matchFormatId);
+    return format && partners.length >= format.partnersRequired ? format : null;
+  };
+  
+  /**
+   * Get the hole the round starts on
+   * Falls back to the first hole when the chosen hole isn't in the selected range
+   */
+  const getSelectedStartHole = (roundLength) => {
+    const isInRange = selectedStartHole >= roundLength.firstHole && selectedStartHole <= roundLength.lastHole;
+    return isInRange ? selectedStartHole : roundLength.firstHole;
+  };
+  
+  /**
+   * Get the round length currently selected for the selected course
+   * Falls back to the course's default when nothing has been chosen
+   */
+  const getSelectedRoundLength = () => {
+    const options = getRoundLengthOptions(getCourseHoleCount(selectedCourse));
+    return options.find(option => option.id === selectedLengthId) || options[0];
+  };
+  
   /**
    * Render a course item in the list
    */
@@ -291,31 +418,64 @@ export default function CourseSelectorScreen({ navigation }) {
   /**
    * Render a tee option
    */
-  const renderTeeOption = (tee) => (
+  const renderTeeOption = (tee) => {
+    const teeRatings = getTeeRatings(tee, ratingSet);
+    
+    return (
+      <TouchableOpacity
+        key={tee.id}
+        style={[
+          styles.teeOption,
+          selectedTeeId === tee.id && styles.selectedTeeOption
+        ]}
+        onPress={() => handleTeeSelect(tee.id)}
+      >
+        <View 
+          style={[
+            styles.teeColor,
+            { backgroundColor: tee.color || "#CCCCCC" }
+          ]} 
+        />
+        <View style={styles.teeInfo}>
+          <Typography variant="body" weight="medium" style={styles.teeName}>
+            {tee.name}
+          </Typography>
+          {tee.total_distance && (
+            <Typography variant="caption">
+              {tee.total_distance} yards
+            </Typography>
+          )}
+          {teeRatings.courseRating && (
+            <Typography variant="caption">
+              Rating {teeRatings.courseRating} / Slope {teeRatings.slope || "-"}
+            </Typography>
+          )}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+  
+  /**
+   * Render a round length option
+   */
+  const renderRoundLengthOption = (option, selectedOption) => (
     <TouchableOpacity
-      key={tee.id}
+      key={option.id}
       style={[
-        styles.teeOption,
-        selectedTeeId === tee.id && styles.selectedTeeOption
+        styles.lengthOption,
+        selectedOption.id === option.id && styles.selectedLengthOption
       ]}
-      onPress={() => handleTeeSelect(tee.id)}
+      onPress={() => setSelectedLengthId(option.id)}
     >
-      <View 
-        style={[
-          styles.teeColor,
-          { backgroundColor: tee.color || "#CCCCCC" }
-        ]} 
-      />
-      <View style={styles.teeInfo}>
-        <Typography variant="body" weight="medium" style={styles.teeName}>
-          {tee.name}
-        </Typography>
-        {tee.total_distance && (
-          <Typography variant="caption">
-            {tee.total_distance} yards
-          </Typography>
-        )}
-      </View>
+      <Typography 
+        variant="body" 
+        weight={selectedOption.id === option.id ? "semibold" : "normal"}
+      >
+        {option.label}
+      </Typography>
+      <Typography variant="caption">
+        Holes {option.firstHole}-{option.lastHole}
+      </Typography>
     </TouchableOpacity>
   );
   
@@ -415,6 +575,21 @@ export default function CourseSelectorScreen({ navigation }) {
             Select Tee
           </Typography>
           
+          {/* Men's or women's par, stroke index and tee ratings */}
+          <View style={styles.lengthList}>
+            {RATING_SETS.map(option => (
+              <TouchableOpacity
+                key={option.id}
+                style={[styles.lengthOption, ratingSet === option.id && styles.selectedLengthOption]}
+                onPress={() => setRatingSet(option.id)}
+              >
+                <Typography variant="body" weight={ratingSet === option.id ? "semibold" : "normal"}>
+                  {option.label}
+                </Typography>
+              </TouchableOpacity>
+            ))}
+          </View>
+          
           {isLoadingCourseDetails ? (
             <View style={styles.teeLoadingContainer}>
               <ActivityIndicator size="small" color={theme.colors.primary} />
@@ -433,6 +608,177 @@ export default function CourseSelectorScreen({ navigation }) {
               )}
             </View>
           )}
+          
+          {/* Round length selection */}
+          {!isLoadingCourseDetails && (
+            <View style={styles.lengthSelectionContainer}>
+              <Typography variant="subtitle" style={styles.teeSelectionTitle}>
+                Round Length
+              </Typography>
+              <View style={styles.lengthList}>
+                {getRoundLengthOptions(getCourseHoleCount(selectedCourse)).map(option =>
+                  renderRoundLengthOption(option, getSelectedRoundLength())
+                )}
+              </View>
+            </View>
+          )}
+          
+          {/* Starting hole - shotgun starts or going off the 10th */}
+          {!isLoadingCourseDetails && (
+            <View style={styles.lengthSelectionContainer}>
+              <Typography variant="subtitle" style={styles.teeSelectionTitle}>
+                Starting Hole
+              </Typography>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                {getRangeHoleNumbers(getSelectedRoundLength()).map(holeNumber => {
+                  const isSelected = getSelectedStartHole(getSelectedRoundLength()) === holeNumber;
+                  
+                  return (
+                    <TouchableOpacity
+                      key={holeNumber}
+                      style={[styles.startHoleOption, isSelected && styles.selectedLengthOption]}
+                      onPress={() => setSelectedStartHole(holeNumber)}
+                    >
+                      <Typography variant="body" weight={isSelected ? "semibold" : "normal"}>
+                        {holeNumber}
+                      </Typography>
+                    </TouchableOpacity>
+                  );
+                })}
+              </ScrollView>
+            </View>
+          )}
+          
+          {/* Practice rounds allow mulligans and stay out of the handicap and stats */}
+          {!isLoadingCourseDetails && (
+            <View style={styles.lengthSelectionContainer}>
+              <Typography variant="subtitle" style={styles.teeSelectionTitle}>
+                Round Type
+              </Typography>
+              <View style={styles.lengthList}>
+                {[{ label: "Scored Round", practice: false }, { label: "Practice Round", practice: true }].map(option => (
+                  <TouchableOpacity
+                    key={option.label}
+                    style={[styles.lengthOption, isPractice === option.practice && styles.selectedLengthOption]}
+                    onPress={() => setIsPractice(option.practice)}
+                  >
+                    <Typography variant="body" weight={isPractice === option.practice ? "semibold" : "normal"}>
+                      {option.label}
+                    </Typography>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              {isPractice && (
+                <Typography variant="caption" style={styles.formatHint}>
+                  Mulligans and extra balls allowed · not counted for handicap or stats
+                </Typography>
+              )}
+            </View>
+          )}
+          
+          {/* Playing partners */}
+          {!isLoadingCourseDetails && (
+            <View style={styles.partnerSelectionContainer}>
+              <Typography variant="subtitle" style={styles.teeSelectionTitle}>
+                Playing Partners
+              </Typography>
+              
+              {partners.length > 0 && (
+                <View style={styles.partnerList}>
+                  {partners.map(partner => (
+                    <View key={partner.id} style={styles.partnerChip}>
+                      {partner.profile_id && (
+                        <Ionicons name="link" size={14} color={theme.colors.primary} style={styles.partnerLinkIcon} />
+                      )}
+                      <Typography variant="body">
+                        {partner.name}{partner.handicap !== null && partner.handicap !== undefined ? ` (${partner.handicap})` : ""}
+                      </Typography>
+                      <TouchableOpacity
+                        onPress={() => handleRemovePartner(partner.id)}
+                        style={styles.partnerRemoveButton}
+                      >
+                        <Ionicons name="close-circle" size={18} color="#999" />
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+                </View>
+              )}
+              
+              {partners.length < MAX_PARTNERS && (
+                <View style={styles.partnerInputRow}>
+                  <TextInput
+                    style={styles.partnerInput}
+                    placeholder="Name"
+                    value={partnerName}
+                    onChangeText={setPartnerName}
+                  />
+                  <TextInput
+                    style={[styles.partnerInput, styles.handicapInput]}
+                    placeholder="Hcp"
+                    value={partnerHandicap}
+                    onChangeText={setPartnerHandicap}
+                    keyboardType="decimal-pad"
+                  />
+                  <TextInput
+                    style={styles.partnerInput}
+                    placeholder="Email (optional)"
+                    value={partnerEmail}
+                    onChangeText={setPartnerEmail}
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                    keyboardType="email-address"
+                  />
+                  <TouchableOpacity
+                    style={[styles.partnerAddButton, (!partnerName.trim() || isAddingPartner) && styles.disabledButton]}
+                    onPress={handleAddPartner}
+                    disabled={!partnerName.trim() || isAddingPartner}
+                  >
+                    {isAddingPartner ? (
+                      <ActivityIndicator size="small" color="#FFFFFF" />
+                    ) : (
+                      <Ionicons name="person-add" size={18} color="#FFFFFF" />
+                    )}
+                  </TouchableOpacity>
+                </View>
+              )}
+              
+              {/* Scoring format - match play needs enough partners for the sides */}
+              {partners.length > 0 && (
+                <View style={styles.formatList}>
+                  {[{ id: null, label: "Stroke Play", partnersRequired: 0 }, ...MATCH_FORMATS].map(format => {
+                    const isSelected = (getSelectedMatchFormat()?.id || null) === format.id;
+                    const isAvailable = partners.length >= format.partnersRequired;
+                    
+                    return (
+                      <TouchableOpacity
+                        key={format.label}
+                        style={[
+                          styles.lengthOption,
+                          isSelected && styles.selectedLengthOption,
+                          !isAvailable && styles.unavailableOption
+                        ]}
+                        onPress={() => setMatchFormatId(format.id)}
+                        disabled={!isAvailable}
+                      >
+                        <Typography variant="body" weight={isSelected ? "semibold" : "normal"}>
+                          {format.label}
+                        </Typography>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              )}
+              
+              {getSelectedMatchFormat() && (
+                <Typography variant="caption" style={styles.formatHint}>
+                  {getSelectedMatchFormat().id === "singles"
+                    ? `You vs ${partners[0].name}`
+                    : `You & ${partners[0].name} vs ${partners[1].name} & ${partners[2].name}`}
+                  {" · strokes given from handicaps on stroke index"}
+                </Typography>
+              )}
+            </View>
+          )}
         </View>
       )}
       
@@ -457,6 +803,59 @@ export default function CourseSelectorScreen({ navigation }) {
   );
 }
 
+/**
+ * Determine how many holes a course has
+ * Prefers the stored num_holes and falls back to the hole definitions
+ */
+function getCourseHoleCount(course) {
+  if (course?.num_holes) {
+    return course.num_holes;
+  }
+  
+  if (course?.holes && Array.isArray(course.holes) && course.holes.length > 0) {
+    return course.holes.length;
+  }
+  
+  return 18;
+}
+
+/**
+ * Build the round length options available for a course
+ * The first option is the default selection
+ */
+function getRoundLengthOptions(courseHoleCount) {
+  // Short courses can only be played in full
+  if (courseHoleCount <= 9) {
+    return [
+      { id: "all", label: `${courseHoleCount} Holes`, firstHole: 1, lastHole: courseHoleCount }
+    ];
+  }
+  
+  const options = [
+    { id: "full", label: "Full 18", firstHole: 1, lastHole: Math.min(18, courseHoleCount) },
+    { id: "front", label: "Front 9", firstHole: 1, lastHole: 9 },
+    { id: "back", label: "Back 9", firstHole: 10, lastHole: Math.min(18, courseHoleCount) }
+  ];
+  
+  // Courses with more than 18 holes (e.g. 27-hole facilities) can be played in full
+  if (courseHoleCount > 18) {
+    options.push({ id: "all", label: `All ${courseHoleCount}`, firstHole: 1, lastHole: courseHoleCount });
+  }
+  
+  return options;
+}
+
+/**
+ * List the hole numbers in a round length option
+ */
+function getRangeHoleNumbers(roundLength) {
+  const holeNumbers = [];
+  for (let holeNumber = roundLength.firstHole; holeNumber <= roundLength.lastHole; holeNumber++) {
+    holeNumbers.push(holeNumber);
+  }
+  return holeNumbers;
+}
+
 /**
  * Debounce helper function to limit search frequency
  */
@@ -584,6 +983,110 @@ const styles = StyleSheet.create({
   teeName: {
     marginBottom: 2,
   },
+  lengthSelectionContainer: {
+    marginTop: 8,
+  },
+  lengthList: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  lengthOption: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+    alignItems: "center",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  selectedLengthOption: {
+    borderColor: theme.colors.primary,
+    borderWidth: 2,
+  },
+  startHoleOption: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    width: 40,
+    paddingVertical: 8,
+    marginRight: 6,
+    marginBottom: 8,
+    alignItems: "center",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  partnerSelectionContainer: {
+    marginTop: 8,
+  },
+  partnerList: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  partnerChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fff",
+    borderRadius: 16,
+    paddingVertical: 4,
+    paddingLeft: 12,
+    paddingRight: 4,
+    marginRight: 8,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: "#ddd",
+  },
+  partnerLinkIcon: {
+    marginRight: 4,
+  },
+  partnerRemoveButton: {
+    padding: 4,
+    marginLeft: 4,
+  },
+  partnerInputRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  partnerInput: {
+    flex: 1,
+    height: 40,
+    backgroundColor: "#f0f0f0",
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    marginRight: 8,
+    fontSize: 14,
+    color: "#333",
+  },
+  handicapInput: {
+    flex: 0,
+    width: 56,
+  },
+  formatList: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: 8,
+  },
+  unavailableOption: {
+    opacity: 0.4,
+  },
+  formatHint: {
+    color: "#666",
+    marginBottom: 4,
+  },
+  partnerAddButton: {
+    backgroundColor: theme.colors.primary,
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    alignItems: "center",
+    justifyContent: "center",
+  },
   noTeesText: {
     fontStyle: "italic",
     color: "#666",
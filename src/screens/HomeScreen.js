@@ -1,7 +1,8 @@
 // src/screens/HomeScreen.js
-import React, { useState, useEffect, useContext } from "react";
-import { View, ActivityIndicator, StyleSheet, ScrollView } from "react-native";
+import React, { useState, useEffect, useContext, useCallback } from "react";
+import { View, ActivityIndicator, StyleSheet, ScrollView, Alert } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import { useFocusEffect } from "@react-navigation/native";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
 import { supabase } from "../services/supabase";
@@ -9,6 +10,8 @@ import { AuthContext } from "../context/AuthContext";
 import InsightCard from "../components/InsightCard"; // New component
 import RoundSummaryCard from "../components/RoundSummaryCard";
 import { getLatestInsights } from "../services/insightsService";
+import { getResumableRound, discardRound } from "../services/roundservice";
+import { withPendingRounds, subscribeToRoundSync } from "../services/syncService";
 import Typography from "../ui/components/Typography";
 import Button from "../ui/components/Button";
 import Card from "../ui/components/Card";
@@ -19,6 +22,7 @@ import { DiagnosticPanel } from '../components/ArchitectureDiagnostic';
  * 
  * This screen shows the insights summary card, "Start New Round" button 
  * and displays cards for recent completed rounds.
+ * Offers to resume a round that was paused or interrupted.
  * Enhanced with design system components for visual consistency.
  */
 export default function HomeScreen({ navigation }) {
@@ -30,9 +34,38 @@ export default function HomeScreen({ navigation }) {
   const [insightsSummary, setInsightsSummary] = useState(null);
   const [insightsLoading, setInsightsLoading] = useState(true);
   
+  // Interrupted round that can be resumed
+  const [resumableRound, setResumableRound] = useState(null);
+  
   // Determine premium status for conversion opportunities
   const hasPremiumAccess = hasPermission("product_a");
 
+  // Check for an interrupted round whenever the screen gains focus
+  // (e.g. after pausing a round or relaunching the app mid-round)
+  useFocusEffect(
+    useCallback(() => {
+      if (!user) return;
+      
+      let isActive = true;
+      
+      getResumableRound(user.id).then(resumable => {
+        if (isActive) {
+          setResumableRound(resumable);
+        }
+      });
+      
+      return () => {
+        isActive = false;
+      };
+    }, [user])
+  );
+
+  // Refresh recent rounds whenever a round is queued or finishes syncing
+  const [syncVersion, setSyncVersion] = useState(0);
+  useEffect(() => {
+    return subscribeToRoundSync(() => setSyncVersion(version => version + 1));
+  }, []);
+
   // Fetch recent rounds when component mounts
   useEffect(() => {
     async function fetchRecentRounds() {
@@ -93,19 +126,22 @@ export default function HomeScreen({ navigation }) {
             isComplete: round.is_complete
           }));
           
-          setRecentRounds(formattedRounds);
+          setRecentRounds((await withPendingRounds(formattedRounds)).slice(0, 5));
         } else {
-          setRecentRounds([]);
+          setRecentRounds((await withPendingRounds()).slice(0, 5));
         }
       } catch (error) {
         console.error("Error in fetchRecentRounds:", error);
+        
+        // Rounds saved on this device are still worth showing while offline
+        setRecentRounds((await withPendingRounds()).slice(0, 5));
       } finally {
         setLoading(false);
       }
     }
     
     fetchRecentRounds();
-  }, [user]);
+  }, [user, syncVersion]);
 
   // Fetch insights summary - monetization content
   useEffect(() => {
@@ -148,10 +184,68 @@ export default function HomeScreen({ navigation }) {
     }
   };
 
+  // Resume the interrupted round in the tracker
+  const handleResumeRound = () => {
+    navigation.navigate("Tracker");
+  };
+  
+  // Confirm and discard the interrupted round
+  const handleDiscardRound = (onDiscarded) => {
+    Alert.alert(
+      "Discard Round?",
+      "This round and all shots entered so far will be deleted.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Discard",
+          style: "destructive",
+          onPress: async () => {
+            await discardRound(resumableRound.round.id);
+            setResumableRound(null);
+            if (onDiscarded) {
+              onDiscarded();
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  // Start a new round, asking what to do with an interrupted round first
+  const handleStartNewRound = () => {
+    if (!resumableRound) {
+      navigation.navigate("CourseSelector");
+      return;
+    }
+    
+    Alert.alert(
+      "Round in Progress",
+      "You have an unfinished round. Resume it, or discard it to start a new one.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { 
+          text: "Discard", 
+          style: "destructive", 
+          onPress: () => handleDiscardRound(() => navigation.navigate("CourseSelector")) 
+        },
+        { text: "Resume", onPress: handleResumeRound }
+      ]
+    );
+  };
+
   // Handle navigation to scorecard
-  const handleRoundPress = (roundId) => {
-    console.log("Round pressed:", roundId);
-    navigation.navigate("ScorecardScreen", { roundId });
+  const handleRoundPress = (round) => {
+    console.log("Round pressed:", round.id);
+    
+    if (round.pendingSync) {
+      Alert.alert(
+        "Waiting to Sync",
+        "This round is saved on your device and will upload automatically when you're back online."
+      );
+      return;
+    }
+    
+    navigation.navigate("ScorecardScreen", { roundId: round.id });
   };
 
   return (
@@ -176,11 +270,42 @@ export default function HomeScreen({ navigation }) {
             ctaAction={() => navigation.navigate("Subscription")}
           />
           
+          {/* Interrupted round - resume or discard */}
+          {resumableRound && (
+            <Card style={styles.resumeCard}>
+              <Typography variant="subtitle" style={styles.resumeTitle}>
+                Round in Progress
+              </Typography>
+              <Typography variant="secondary" style={styles.resumeText}>
+                {resumableRound.course?.name || "Unknown Course"}
+                {resumableRound.currentHole ? ` • Hole ${resumableRound.currentHole}` : ""}
+              </Typography>
+              <View style={styles.resumeActions}>
+                <Button
+                  variant="primary"
+                  size="medium"
+                  iconLeft="play"
+                  onPress={handleResumeRound}
+                  style={styles.resumeButton}
+                >
+                  Resume Round
+                </Button>
+                <Button
+                  variant="text"
+                  size="medium"
+                  onPress={() => handleDiscardRound()}
+                >
+                  Discard
+                </Button>
+              </View>
+            </Card>
+          )}
+          
           {/* Start New Round button */}
           <Button
             variant="primary"
             size="large"
-            onPress={() => navigation.navigate("CourseSelector")}
+            onPress={handleStartNewRound}
             style={styles.primaryButton}
           >
             Start New Round
@@ -203,7 +328,7 @@ export default function HomeScreen({ navigation }) {
                   <RoundSummaryCard 
                     key={round.id}
                     round={round} 
-                    onPress={() => handleRoundPress(round.id)}
+                    onPress={() => handleRoundPress(round)}
                   />
                 ))}
               </View>
@@ -237,6 +362,25 @@ const styles = StyleSheet.create({
     marginVertical: theme.spacing.medium,
     minWidth: 200,
   },
+  resumeCard: {
+    width: "100%",
+    marginTop: theme.spacing.medium,
+  },
+  resumeTitle: {
+    marginBottom: theme.spacing.small,
+  },
+  resumeText: {
+    marginBottom: theme.spacing.medium,
+  },
+  resumeActions: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  resumeButton: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
   recentRoundsSection: {
     width: "100%",
     marginTop: theme.spacing.large,
@@ -0,0 +1,467 @@
+// src/screens/ImportRoundsScreen.js
+import React, { useState, useMemo, useContext } from "react";
+import { View, StyleSheet, ScrollView, TextInput, TouchableOpacity, ActivityIndicator, Alert } from "react-native";
+import { useNavigation } from "@react-navigation/native";
+import * as DocumentPicker from "expo-document-picker";
+import * as FileSystem from "expo-file-system";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import { AuthContext } from "../context/AuthContext";
+import { searchCourses } from "../services/courseService";
+import {
+  IMPORT_FIELDS,
+  parseCsv,
+  guessColumnMapping,
+  getMissingFields,
+  groupImportRounds,
+  getHolesOffCourse,
+  getMissingHoles,
+  importRounds
+} from "../services/importService";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import Card from "../ui/components/Card";
+
+// Course matches are kept per day and course name, so they survive remapping the other columns
+const getMatchKey = (round) => `${new Date(round.playedAt).toDateString()}|${round.courseName.toLowerCase()}`;
+
+/**
+ * ImportRoundsScreen Component
+ *
+ * Imports round history from a CSV exported by another golf app. The file is
+ * picked from the device (or its contents pasted in), its columns are matched to the fields the app needs,
+ * and each round found is matched to a course (and tee) before import.
+ * Rounds without a course are left out of the import.
+ */
+export default function ImportRoundsScreen() {
+  const navigation = useNavigation();
+  const { user } = useContext(AuthContext);
+  const [csvText, setCsvText] = useState("");             // Pasted contents, when no file is picked
+  const [fileName, setFileName] = useState(null);
+  const [source, setSource] = useState("");
+  const [csv, setCsv] = useState(null);                 // { headers, rows } once the file is read
+  const [mapping, setMapping] = useState({});
+  const [matches, setMatches] = useState({});           // Course match per getMatchKey { query, results, searching, course, tee }
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(0);
+
+  const { rounds, skippedRows } = useMemo(
+    () => csv ? groupImportRounds(csv.rows, mapping) : { rounds: [], skippedRows: 0 },
+    [csv, mapping]
+  );
+  const missingFields = getMissingFields(mapping);
+  const readyRounds = rounds.filter(round =>
+    matches[getMatchKey(round)]?.course && getMissingHoles(round, matches[getMatchKey(round)].course).length === 0
+  );
+
+  const updateMatch = (round, changes) => {
+    const matchKey = getMatchKey(round);
+    setMatches(prevMatches => ({
+      ...prevMatches,
+      [matchKey]: { ...prevMatches[matchKey], ...changes }
+    }));
+  };
+
+  /**
+   * Search courses for a round and pick the result when the name matches exactly
+   */
+  const findCourse = async (round, query) => {
+    if (!query || query.trim().length < 3) return;
+
+    updateMatch(round, { query, searching: true });
+    const results = await searchCourses(query);
+    const exactMatch = results.find(course => course.name?.toLowerCase() === query.trim().toLowerCase());
+
+    updateMatch(round, {
+      results,
+      searching: false,
+      ...(exactMatch ? { course: exactMatch, tee: exactMatch.tees?.length === 1 ? exactMatch.tees[0] : null } : {})
+    });
+  };
+
+  // Read CSV text, guess its columns and look up each round's course
+  const readCsv = async (text) => {
+    const parsed = parseCsv(text);
+    if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+      Alert.alert("Nothing to Import", "Choose a CSV file with a header row and at least one hole.");
+      return;
+    }
+
+    const guessedMapping = guessColumnMapping(parsed.headers);
+    setCsv(parsed);
+    setMapping(guessedMapping);
+    setMatches({});
+
+    await findUnmatchedCourses(groupImportRounds(parsed.rows, guessedMapping).rounds, {});
+  };
+
+  // Look up the course once for each day and course name that has no match yet
+  const findUnmatchedCourses = async (foundRounds, knownMatches) => {
+    const searched = new Set(Object.keys(knownMatches));
+
+    for (const round of foundRounds) {
+      if (searched.has(getMatchKey(round))) continue;
+
+      searched.add(getMatchKey(round));
+      await findCourse(round, round.courseName);
+    }
+  };
+
+  // Change a field's column; rounds that now have a new date or course name are looked up again
+  const changeMapping = (fieldId, columnIndex) => {
+    const newMapping = { ...mapping, [fieldId]: columnIndex };
+    setMapping(newMapping);
+
+    if (getMissingFields(newMapping).length === 0) {
+      findUnmatchedCourses(groupImportRounds(csv.rows, newMapping).rounds, matches);
+    }
+  };
+
+  // Pick a CSV file from the device and read it
+  const handlePickFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ["text/csv", "text/comma-separated-values", "text/plain", "application/vnd.ms-excel"],
+        copyToCacheDirectory: true
+      });
+      if (result.canceled || !result.assets?.[0]) return;
+
+      const file = result.assets[0];
+      const text = await FileSystem.readAsStringAsync(file.uri, { encoding: FileSystem.EncodingType.UTF8 });
+      setFileName(file.name);
+      await readCsv(text);
+    } catch (error) {
+      console.error("Error reading CSV file:", error);
+      Alert.alert("Couldn't Read File", "The file could not be opened. Check it is a CSV file and try again.");
+    }
+  };
+
+  // Read pasted CSV contents
+  const handleReadPasted = () => {
+    setFileName(null);
+    readCsv(csvText);
+  };
+
+  const handleImport = async () => {
+    try {
+      setImporting(true);
+      setProgress(0);
+
+      const { imported, skipped, failed } = await importRounds(
+        user.id,
+        readyRounds.map(round => ({ ...round, ...matches[getMatchKey(round)] })),
+        source.trim() || "CSV import",
+        setProgress
+      );
+
+      Alert.alert(
+        "Import Complete",
+        `${imported} ${imported === 1 ? "round" : "rounds"} imported.` +
+          (skipped > 0 ? ` ${skipped} ${skipped === 1 ? "was" : "were"} already imported and skipped.` : "") +
+          (failed > 0 ? ` ${failed} could not be imported; check your connection and try those again.` : ""),
+        [{ text: "OK", onPress: () => navigation.goBack() }]
+      );
+    } catch (error) {
+      console.error("Error importing rounds:", error);
+      Alert.alert("Import Failed", "Your rounds could not be imported. Please try again.");
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const renderMatch = (round) => {
+    const match = matches[getMatchKey(round)] || {};
+    const totalScore = round.holes.reduce((sum, hole) => sum + hole.score, 0);
+    const holesOffCourse = getHolesOffCourse(round, match.course);
+    const missingHoles = getMissingHoles(round, match.course);
+
+    return (
+      <Card key={round.key} style={styles.card}>
+        <Typography variant="body" weight="semibold">
+          {new Date(round.playedAt).toLocaleDateString()} • {round.courseName || "Unknown course"}
+        </Typography>
+        <Typography variant="caption" style={styles.hint}>
+          {round.holes.length} holes • {totalScore} strokes
+        </Typography>
+
+        <View style={styles.searchRow}>
+          <TextInput
+            style={styles.input}
+            placeholder="Search for the course..."
+            value={match.query ?? round.courseName}
+            onChangeText={query => updateMatch(round, { query })}
+            onSubmitEditing={() => findCourse(round, match.query ?? round.courseName)}
+            returnKeyType="search"
+          />
+          {match.searching ? (
+            <ActivityIndicator size="small" color={theme.colors.primary} />
+          ) : (
+            <Button variant="text" size="small" onPress={() => findCourse(round, match.query ?? round.courseName)}>
+              Find
+            </Button>
+          )}
+        </View>
+
+        {(match.results || []).length > 0 ? (
+          <View style={styles.optionRow}>
+            {match.results.map(course => {
+              const isSelected = match.course?.id === course.id;
+
+              return (
+                <TouchableOpacity
+                  key={course.id}
+                  style={[styles.option, isSelected && styles.selectedOption]}
+                  onPress={() => updateMatch(round, { course, tee: course.tees?.length === 1 ? course.tees[0] : null })}
+                >
+                  <Typography variant="caption" color={isSelected ? "#fff" : theme.colors.text}>
+                    {course.name}{course.location ? ` (${course.location})` : ""}
+                  </Typography>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        ) : (
+          match.results && (
+            <Typography variant="caption" style={styles.hint}>
+              No courses found. Try another name.
+            </Typography>
+          )
+        )}
+
+        {holesOffCourse.length > 0 && (
+          <Typography variant="caption" color={theme.colors.error} style={styles.hint}>
+            {match.course.name} has {match.course.num_holes} holes, so hole{holesOffCourse.length === 1 ? "" : "s"}{" "}
+            {holesOffCourse.join(", ")} won't be imported.
+          </Typography>
+        )}
+
+        {match.course && missingHoles.length > 0 && (
+          <Typography variant="caption" color={theme.colors.error} style={styles.hint}>
+            The file has no score for hole{missingHoles.length === 1 ? "" : "s"} {missingHoles.join(", ")}, so this
+            round won't be imported. Add the missing holes to the file and read it again.
+          </Typography>
+        )}
+
+        {/* The tee is optional; without one the round is kept out of the handicap index */}
+        {match.course?.tees?.length > 1 && (
+          <View style={styles.optionRow}>
+            {match.course.tees.map(tee => {
+              const isSelected = match.tee?.id === tee.id;
+
+              return (
+                <TouchableOpacity
+                  key={tee.id}
+                  style={[styles.option, isSelected && styles.selectedOption]}
+                  onPress={() => updateMatch(round, { tee: isSelected ? null : tee })}
+                >
+                  <Typography variant="caption" color={isSelected ? "#fff" : theme.colors.text}>
+                    {tee.name}
+                  </Typography>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        )}
+      </Card>
+    );
+  };
+
+  return (
+    <Layout>
+      <ScrollView contentContainerStyle={styles.container}>
+        <Card style={styles.card}>
+          <Typography variant="subtitle" style={styles.sectionTitle}>
+            CSV File
+          </Typography>
+          <Typography variant="caption" style={styles.hint}>
+            Choose a CSV exported from another golf app with one row per hole: a date, hole number
+            and score, plus putts, fairways and greens in regulation if the app records them.
+          </Typography>
+          <TextInput
+            style={[styles.input, styles.sourceInput]}
+            placeholder="App the file came from (optional)"
+            value={source}
+            onChangeText={setSource}
+          />
+          <Button variant="primary" iconLeft="folder-open-outline" onPress={handlePickFile} style={styles.pickButton}>
+            Choose CSV File
+          </Button>
+          {fileName && (
+            <Typography variant="caption" style={styles.hint}>
+              Read {fileName}
+            </Typography>
+          )}
+
+          {/* Fallback for apps that only let the data be copied */}
+          <Typography variant="caption" style={styles.hint}>
+            Or paste the file's contents:
+          </Typography>
+          <TextInput
+            style={[styles.input, styles.csvInput]}
+            placeholder="Date,Course,Hole,Score,Par,Putts..."
+            value={csvText}
+            onChangeText={setCsvText}
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <Button variant="outline" iconLeft="document-text-outline" onPress={handleReadPasted} disabled={!csvText.trim()}>
+            Read Pasted Text
+          </Button>
+        </Card>
+
+        {csv && (
+          <Card style={styles.card}>
+            <Typography variant="subtitle" style={styles.sectionTitle}>
+              Columns
+            </Typography>
+            <Typography variant="caption" style={styles.hint}>
+              Check which column holds each field. Date, hole and score are required.
+            </Typography>
+            {IMPORT_FIELDS.map(field => (
+              <View key={field.id} style={styles.mappingRow}>
+                <Typography variant="caption" weight="semibold" style={styles.mappingLabel}>
+                  {field.label}{field.required ? " *" : ""}
+                </Typography>
+                <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                  {!field.required && (
+                    <TouchableOpacity
+                      style={[styles.option, mapping[field.id] === null && styles.selectedOption]}
+                      onPress={() => changeMapping(field.id, null)}
+                    >
+                      <Typography variant="caption" color={mapping[field.id] === null ? "#fff" : theme.colors.text}>
+                        None
+                      </Typography>
+                    </TouchableOpacity>
+                  )}
+                  {csv.headers.map((header, index) => {
+                    const isSelected = mapping[field.id] === index;
+
+                    return (
+                      <TouchableOpacity
+                        key={`${field.id}-${index}`}
+                        style={[styles.option, isSelected && styles.selectedOption]}
+                        onPress={() => changeMapping(field.id, index)}
+                      >
+                        <Typography variant="caption" color={isSelected ? "#fff" : theme.colors.text}>
+                          {header}
+                        </Typography>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </ScrollView>
+              </View>
+            ))}
+          </Card>
+        )}
+
+        {csv && missingFields.length > 0 && (
+          <Typography variant="caption" style={styles.hint}>
+            Choose a column for {missingFields.map(field => field.label).join(", ")} to find the rounds in this file.
+          </Typography>
+        )}
+
+        {csv && missingFields.length === 0 && (
+          <>
+            <Typography variant="subtitle" style={styles.sectionTitle}>
+              {rounds.length} {rounds.length === 1 ? "Round" : "Rounds"} Found
+            </Typography>
+            {skippedRows > 0 && (
+              <Typography variant="caption" style={styles.hint}>
+                {skippedRows} {skippedRows === 1 ? "row was" : "rows were"} skipped for a missing date, hole or score, or a repeated hole.
+              </Typography>
+            )}
+
+            {rounds.map(renderMatch)}
+
+            <Button
+              variant="primary"
+              iconLeft="cloud-upload-outline"
+              onPress={handleImport}
+              loading={importing}
+              disabled={readyRounds.length === 0 || importing}
+              style={styles.importButton}
+            >
+              {importing
+                ? `Importing ${progress + 1} of ${readyRounds.length}...`
+                : `Import ${readyRounds.length} ${readyRounds.length === 1 ? "Round" : "Rounds"}`}
+            </Button>
+            {readyRounds.length < rounds.length && (
+              <Typography variant="caption" style={styles.hint}>
+                Rounds without a course, or with holes missing, are left out of the import.
+              </Typography>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: theme.spacing.medium,
+  },
+  card: {
+    marginBottom: theme.spacing.medium,
+  },
+  sectionTitle: {
+    marginBottom: theme.spacing.small,
+  },
+  hint: {
+    marginBottom: theme.spacing.small,
+  },
+  input: {
+    flex: 1,
+    minHeight: 40,
+    backgroundColor: "#f0f0f0",
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    fontSize: 14,
+    color: "#333",
+  },
+  csvInput: {
+    minHeight: 140,
+    paddingVertical: 8,
+    marginBottom: theme.spacing.small,
+    textAlignVertical: "top",
+  },
+  sourceInput: {
+    marginBottom: theme.spacing.small,
+  },
+  pickButton: {
+    marginBottom: theme.spacing.small,
+  },
+  searchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: theme.spacing.small,
+  },
+  mappingRow: {
+    marginBottom: theme.spacing.small,
+  },
+  mappingLabel: {
+    marginBottom: 4,
+  },
+  optionRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  option: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    backgroundColor: "#fff",
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedOption: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  importButton: {
+    marginBottom: theme.spacing.small,
+  },
+});
@@ -4,7 +4,7 @@
 // Architectural integration point for IAP subscription lifecycle
 
 import React, { useState, useEffect, useContext } from 'react';
-import { View, StyleSheet, Alert, ActivityIndicator, Platform, Linking } from 'react-native';
+import { View, StyleSheet, Alert, ActivityIndicator, Platform, Linking, ScrollView, TouchableOpacity } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Ionicons } from '@expo/vector-icons';
 import Layout from '../ui/Layout';
@@ -15,6 +15,22 @@ import Card from '../ui/components/Card';
 import { supabase } from '../services/supabase';
 import { AuthContext } from '../context/AuthContext';
 import purchaseService from '../services/purchaseService';
+import { CLUB_CATEGORIES, getGolfBag, saveGolfBag } from '../services/clubService';
+import { getHandicapHistory } from '../services/handicapService';
+import { RATING_SETS, DEFAULT_RATING_SET, saveRatingSetPreference } from '../services/courseRatingService';
+import { 
+  PACE_TARGET_OPTIONS, 
+  DEFAULT_PACE_TARGET_MINUTES, 
+  getPaceTarget, 
+  savePaceTarget, 
+  formatDuration 
+} from '../services/paceService';
+import { 
+  MAX_SCORE_RULES, 
+  DEFAULT_MAX_SCORE_SETTING, 
+  getMaxScoreSetting, 
+  saveMaxScoreSetting 
+} from '../services/pickupService';
 import PremiumButton from '../components/PremiumButton';
 
 /**
@@ -36,12 +52,20 @@ export default function ProfileScreen({ navigation }) {
   const [loading, setLoading] = useState(true);
   const [subscriptionDetails, setSubscriptionDetails] = useState(null);
   const [restoringPurchases, setRestoringPurchases] = useState(false);
+  const [golfBag, setGolfBag] = useState([]);
+  const [handicapHistory, setHandicapHistory] = useState([]);
+  const [paceTarget, setPaceTarget] = useState(DEFAULT_PACE_TARGET_MINUTES);
+  const [maxScoreSetting, setMaxScoreSetting] = useState(DEFAULT_MAX_SCORE_SETTING);
   
   // Load profile data and subscription details on component mount
   useEffect(() => {
     if (user) {
       loadProfileData();
       loadSubscriptionDetails();
+      loadGolfBag();
+      loadHandicapHistory();
+      getPaceTarget().then(setPaceTarget);
+      getMaxScoreSetting().then(setMaxScoreSetting);
     } else {
       setLoading(false);
     }
@@ -106,6 +130,87 @@ export default function ProfileScreen({ navigation }) {
     }
   };
   
+  /**
+   * Load the clubs the user carries
+   */
+  const loadGolfBag = async () => {
+    const bag = await getGolfBag(user.id);
+    setGolfBag(bag);
+  };
+  
+  /**
+   * Load the handicap index history from completed rounds
+   */
+  const loadHandicapHistory = async () => {
+    try {
+      const history = await getHandicapHistory(user.id);
+      setHandicapHistory(history);
+    } catch (error) {
+      // Non-fatal error - the card shows the stored handicap without history
+      console.error('Error loading handicap history:', error);
+    }
+  };
+  
+  /**
+   * Add or remove a club from the bag and save it straight away
+   */
+  const handleToggleClub = async (club) => {
+    const previousBag = golfBag;
+    const newBag = golfBag.includes(club)
+      ? golfBag.filter(c => c !== club)
+      : [...golfBag, club];
+    
+    // Update immediately, revert if the save fails
+    setGolfBag(newBag);
+    
+    try {
+      const savedBag = await saveGolfBag(user.id, newBag);
+      setGolfBag(savedBag);
+    } catch (error) {
+      console.error('Error saving golf bag:', error);
+      setGolfBag(previousBag);
+      Alert.alert('Error', 'Failed to update your bag. Please try again.');
+    }
+  };
+  
+  /**
+   * Change which par, stroke index and tee ratings new rounds use
+   */
+  const handleSelectRatingSet = async (ratingSet) => {
+    const previousProfile = profile;
+    
+    // Update immediately, revert if the save fails
+    setProfile({ ...profile, rating_set: ratingSet });
+    
+    try {
+      await saveRatingSetPreference(user.id, ratingSet);
+    } catch (error) {
+      console.error('Error saving rating set:', error);
+      setProfile(previousProfile);
+      Alert.alert('Error', 'Failed to update your tee ratings. Please try again.');
+    }
+  };
+  
+  /**
+   * Change the round time the tracker measures pace against
+   */
+  const handleSelectPaceTarget = async (minutes) => {
+    setPaceTarget(minutes);
+    await savePaceTarget(minutes);
+  };
+  
+  /**
+   * Change how picked-up holes are scored
+   * Switching rule starts from that rule's first value.
+   */
+  const handleSelectMaxScore = async (ruleId, value) => {
+    const rule = MAX_SCORE_RULES.find(option => option.id === ruleId);
+    const setting = { rule: ruleId, value: value ?? rule.values[0] ?? null };
+    
+    setMaxScoreSetting(setting);
+    await saveMaxScoreSetting(setting);
+  };
+  
   /**
    * Handle sign out action
    */
@@ -204,6 +309,14 @@ export default function ProfileScreen({ navigation }) {
     });
   };
   
+  // Lowest index held over the last year, including the current one
+  const latestHandicap = handicapHistory[handicapHistory.length - 1];
+  const lowHandicapIndex = latestHandicap
+    ? [latestHandicap.lowIndex, latestHandicap.index]
+        .filter(value => typeof value === 'number')
+        .reduce((low, value) => (low === null ? value : Math.min(low, value)), null)
+    : null;
+  
   // Render loading state
   if (loading) {
     return (
@@ -215,10 +328,13 @@ export default function ProfileScreen({ navigation }) {
     );
   }
   
+  // Values offered for the selected maximum score rule
+  const maxScoreValues = MAX_SCORE_RULES.find(rule => rule.id === maxScoreSetting.rule)?.values || [];
+  
   // Render profile screen with subscription management
   return (
     <Layout>
-      <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.container}>
         {/* Profile Information */}
         <Card style={styles.profileCard}>
           <View style={styles.profileHeader}>
@@ -231,6 +347,181 @@ export default function ProfileScreen({ navigation }) {
           </View>
         </Card>
         
+        {/* Handicap index and the scores it is calculated from */}
+        <Card style={styles.sectionCard}>
+          <Typography variant="subtitle" style={styles.sectionTitle}>
+            Handicap Index
+          </Typography>
+          
+          <View style={styles.handicapSummary}>
+            <View style={styles.handicapValue}>
+              <Typography variant="title" weight="bold" color={theme.colors.primary}>
+                {profile?.handicap != null ? Number(profile.handicap).toFixed(1) : '-'}
+              </Typography>
+              <Typography variant="caption">Current</Typography>
+            </View>
+            <View style={styles.handicapValue}>
+              <Typography variant="title" weight="bold">
+                {lowHandicapIndex !== null ? lowHandicapIndex.toFixed(1) : '-'}
+              </Typography>
+              <Typography variant="caption">Low (12 months)</Typography>
+            </View>
+          </View>
+          
+          {handicapHistory.length === 0 ? (
+            <Typography variant="secondary" style={styles.bagHint}>
+              Complete 18-hole rounds from rated tees to build your handicap. Three scores are needed for an index.
+            </Typography>
+          ) : (
+            <>
+              <Typography variant="secondary" style={styles.bagHint}>
+                Highlighted scores count towards your index.
+              </Typography>
+              <View style={styles.historyHeader}>
+                <Typography variant="caption" style={styles.historyDate}>Date</Typography>
+                <Typography variant="caption" style={styles.historyValue}>Diff</Typography>
+                <Typography variant="caption" style={styles.historyValue}>Index</Typography>
+              </View>
+              {handicapHistory.slice(-20).reverse().map(entry => (
+                <View
+                  key={entry.roundId}
+                  style={[styles.historyRow, entry.counted && styles.countedHistoryRow]}
+                >
+                  <Typography variant="body" style={styles.historyDate}>
+                    {new Date(entry.date).toLocaleDateString()}
+                  </Typography>
+                  <Typography
+                    variant="body"
+                    weight={entry.counted ? 'semibold' : 'normal'}
+                    style={styles.historyValue}
+                  >
+                    {entry.differential.toFixed(1)}
+                  </Typography>
+                  <Typography variant="body" style={styles.historyValue}>
+                    {entry.index !== null ? entry.index.toFixed(1) : '-'}
+                  </Typography>
+                </View>
+              ))}
+            </>
+          )}
+        </Card>
+        
+        {/* Men's or women's par, stroke index and tee ratings for new rounds */}
+        <Card style={styles.sectionCard}>
+          <Typography variant="subtitle" style={styles.sectionTitle}>
+            Par & Stroke Index
+          </Typography>
+          <Typography variant="secondary" style={styles.bagHint}>
+            Used for par, handicap strokes and course handicap. You can change it for a single round when choosing a tee.
+          </Typography>
+          
+          <View style={styles.clubList}>
+            {RATING_SETS.map(option => {
+              const isSelected = (profile?.rating_set || DEFAULT_RATING_SET) === option.id;
+              
+              return (
+                <TouchableOpacity
+                  key={option.id}
+                  style={[styles.clubOption, isSelected && styles.selectedClubOption]}
+                  onPress={() => handleSelectRatingSet(option.id)}
+                >
+                  <Typography
+                    variant="caption"
+                    color={isSelected ? '#fff' : theme.colors.text}
+                  >
+                    {option.label}
+                  </Typography>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </Card>
+        
+        {/* Pace of play target shown in the tracker */}
+        <Card style={styles.sectionCard}>
+          <Typography variant="subtitle" style={styles.sectionTitle}>
+            Pace of Play
+          </Typography>
+          <Typography variant="secondary" style={styles.bagHint}>
+            Target time for 18 holes. Nine-hole rounds use half.
+          </Typography>
+          
+          <View style={styles.clubList}>
+            {PACE_TARGET_OPTIONS.map(minutes => {
+              const isSelected = paceTarget === minutes;
+              
+              return (
+                <TouchableOpacity
+                  key={minutes}
+                  style={[styles.clubOption, isSelected && styles.selectedClubOption]}
+                  onPress={() => handleSelectPaceTarget(minutes)}
+                >
+                  <Typography
+                    variant="caption"
+                    color={isSelected ? '#fff' : theme.colors.text}
+                  >
+                    {formatDuration(minutes)}
+                  </Typography>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </Card>
+        
+        {/* Score given to a hole when the player picks up */}
+        <Card style={styles.sectionCard}>
+          <Typography variant="subtitle" style={styles.sectionTitle}>
+            Maximum Hole Score
+          </Typography>
+          <Typography variant="secondary" style={styles.bagHint}>
+            What a hole scores when you pick up. Net double bogey is the handicap maximum.
+          </Typography>
+          
+          <View style={styles.clubList}>
+            {MAX_SCORE_RULES.map(rule => {
+              const isSelected = maxScoreSetting.rule === rule.id;
+              
+              return (
+                <TouchableOpacity
+                  key={rule.id}
+                  style={[styles.clubOption, isSelected && styles.selectedClubOption]}
+                  onPress={() => handleSelectMaxScore(rule.id)}
+                >
+                  <Typography
+                    variant="caption"
+                    color={isSelected ? '#fff' : theme.colors.text}
+                  >
+                    {rule.label}
+                  </Typography>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          
+          {maxScoreValues.length > 0 && (
+            <View style={styles.clubList}>
+              {maxScoreValues.map(value => {
+                const isSelected = maxScoreSetting.value === value;
+                
+                return (
+                  <TouchableOpacity
+                    key={value}
+                    style={[styles.clubOption, isSelected && styles.selectedClubOption]}
+                    onPress={() => handleSelectMaxScore(maxScoreSetting.rule, value)}
+                  >
+                    <Typography
+                      variant="caption"
+                      color={isSelected ? '#fff' : theme.colors.text}
+                    >
+                      {maxScoreSetting.rule === 'par_plus' ? `Par + ${value}` : value}
+                    </Typography>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          )}
+        </Card>
+        
         {/* Subscription Management Section */}
         <Card style={styles.sectionCard}>
           <Typography variant="subtitle" style={styles.sectionTitle}>
@@ -296,6 +587,44 @@ export default function ProfileScreen({ navigation }) {
           </Button>
         </Card>
         
+        {/* Golf Bag - clubs offered when tagging shots in the tracker */}
+        <Card style={styles.sectionCard}>
+          <Typography variant="subtitle" style={styles.sectionTitle}>
+            My Bag
+          </Typography>
+          <Typography variant="secondary" style={styles.bagHint}>
+            Tap the clubs you carry. {golfBag.length} selected.
+          </Typography>
+          
+          {CLUB_CATEGORIES.map(category => (
+            <View key={category.id} style={styles.clubCategory}>
+              <Typography variant="caption" style={styles.clubCategoryLabel}>
+                {category.label}
+              </Typography>
+              <View style={styles.clubList}>
+                {category.clubs.map(club => {
+                  const inBag = golfBag.includes(club);
+                  
+                  return (
+                    <TouchableOpacity
+                      key={club}
+                      style={[styles.clubOption, inBag && styles.selectedClubOption]}
+                      onPress={() => handleToggleClub(club)}
+                    >
+                      <Typography
+                        variant="caption"
+                        color={inBag ? '#fff' : theme.colors.text}
+                      >
+                        {club}
+                      </Typography>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+          ))}
+        </Card>
+        
         {/* Sign Out Button */}
         <Button
           variant="outline"
@@ -304,14 +633,14 @@ export default function ProfileScreen({ navigation }) {
         >
           Sign Out
         </Button>
-      </View>
+      </ScrollView>
     </Layout>
   );
 }
 
 const styles = StyleSheet.create({
   container: {
-    flex: 1,
+    flexGrow: 1,
     padding: theme.spacing.medium,
   },
   centerContainer: {
@@ -377,6 +706,62 @@ const styles = StyleSheet.create({
     alignSelf: 'center',
     marginTop: theme.spacing.small,
   },
+  handicapSummary: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginBottom: theme.spacing.medium,
+  },
+  handicapValue: {
+    alignItems: 'center',
+  },
+  historyHeader: {
+    flexDirection: 'row',
+    paddingVertical: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  historyRow: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+  },
+  countedHistoryRow: {
+    backgroundColor: '#f0f8ff',
+  },
+  historyDate: {
+    flex: 2,
+    paddingLeft: 4,
+  },
+  historyValue: {
+    flex: 1,
+    textAlign: 'right',
+    paddingRight: 4,
+  },
+  bagHint: {
+    marginBottom: theme.spacing.medium,
+  },
+  clubCategory: {
+    marginBottom: theme.spacing.small,
+  },
+  clubCategoryLabel: {
+    marginBottom: 4,
+  },
+  clubList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  clubOption: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedClubOption: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
   signOutButton: {
     marginTop: theme.spacing.large,
   },
@@ -0,0 +1,304 @@
+// src/screens/RoundComparisonScreen.js
+import React, { useState, useEffect, useContext } from "react";
+import { View, StyleSheet, ScrollView, ActivityIndicator, TouchableOpacity } from "react-native";
+import { useRoute } from "@react-navigation/native";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import { AuthContext } from "../context/AuthContext";
+import { getCompletedRoundWithHoles, getCompletedRoundsWithHoles } from "../services/roundservice";
+import {
+  COURSE_AVERAGE,
+  summarizeRoundHoles,
+  buildCourseAverage,
+  compareRoundSummaries,
+  formatDelta
+} from "../services/comparisonService";
+import { SHOT_TYPES, SHOT_OUTCOMES, getDisplayOutcome } from "../components/ShotTable";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+
+// Most recent rounds on a course loaded to compare with and for the course average
+const COURSE_ROUND_LIMIT = 50;
+
+// Order rows the way the shot table lists them; anything unknown goes last
+const orderBy = (order) => (a, b) =>
+  (order.indexOf(a) === -1 ? order.length : order.indexOf(a)) -
+  (order.indexOf(b) === -1 ? order.length : order.indexOf(b));
+
+/**
+ * RoundComparisonScreen Component
+ *
+ * Compares a round with another round on the same course, or with the player's
+ * average there: hole-by-hole score deltas, how the shot outcomes differ, and
+ * which shot types gained or lost strokes.
+ */
+export default function RoundComparisonScreen() {
+  const route = useRoute();
+  const { user } = useContext(AuthContext);
+  const { roundId, compareWith: initialCompareWith } = route.params || {};
+  const [baseRound, setBaseRound] = useState(null);       // { round, holes } being looked at
+  const [courseRounds, setCourseRounds] = useState([]);   // [{ round, holes }] on the same course
+  const [compareWith, setCompareWith] = useState(initialCompareWith || COURSE_AVERAGE);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function fetchCourseRounds() {
+      if (!user || !roundId) return;
+
+      try {
+        setLoading(true);
+        setError(null);
+
+        // Loaded on its own so rounds older than the course list can still be compared
+        const roundWithHoles = await getCompletedRoundWithHoles(user.id, roundId);
+        setBaseRound(roundWithHoles);
+        if (!roundWithHoles) return;
+
+        setCourseRounds(await getCompletedRoundsWithHoles(user.id, COURSE_ROUND_LIMIT, true, roundWithHoles.round.course_id));
+      } catch (err) {
+        console.error("Error loading rounds to compare:", err);
+        setError("Failed to load your rounds on this course. Please try again later.");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchCourseRounds();
+  }, [user, roundId]);
+
+  const otherRounds = courseRounds.filter(({ round }) => round.id !== roundId);
+  const courseAverage = buildCourseAverage(otherRounds);
+  const otherRound = otherRounds.find(({ round }) => round.id === compareWith);
+
+  const comparison = baseRound && (otherRound || (compareWith === COURSE_AVERAGE && courseAverage.roundCount > 0))
+    ? compareRoundSummaries(
+        summarizeRoundHoles(baseRound.holes),
+        otherRound ? summarizeRoundHoles(otherRound.holes) : courseAverage.holes
+      )
+    : null;
+  const otherLabel = otherRound ? "Other" : "Avg";
+
+  const formatRoundOption = ({ round }) =>
+    `${new Date(round.created_at).toLocaleDateString()} • ${round.gross_shots ?? "-"}`;
+
+  // Lower scores and strokes are better, so negative deltas show as gains
+  const deltaColor = (delta, lowerIsBetter = true) => {
+    if (delta === 0) return theme.colors.secondary;
+    return (delta < 0) === lowerIsBetter ? theme.colors.success : theme.colors.error;
+  };
+
+  const renderComparisonOption = (id, label) => {
+    const isSelected = compareWith === id;
+
+    return (
+      <TouchableOpacity
+        key={id}
+        style={[styles.option, isSelected && styles.selectedOption]}
+        onPress={() => setCompareWith(id)}
+      >
+        <Typography variant="caption" color={isSelected ? "#fff" : theme.colors.text}>
+          {label}
+        </Typography>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Layout>
+      <ScrollView contentContainerStyle={styles.container}>
+        {loading ? (
+          <ActivityIndicator size="large" color={theme.colors.primary} style={styles.loader} />
+        ) : error || !baseRound ? (
+          <Typography variant="body" style={styles.messageText}>
+            {error || "This round couldn't be found."}
+          </Typography>
+        ) : (
+          <>
+            <Typography variant="subtitle" style={styles.courseName}>
+              {baseRound.round.courses?.name || "Unknown Course"}
+            </Typography>
+            <Typography variant="caption" style={styles.coverageText}>
+              {new Date(baseRound.round.created_at).toLocaleDateString()} compared with
+            </Typography>
+
+            {/* What the round is compared with */}
+            <View style={styles.optionList}>
+              {renderComparisonOption(
+                COURSE_AVERAGE,
+                `Course Average (${courseAverage.roundCount} ${courseAverage.roundCount === 1 ? "round" : "rounds"})`
+              )}
+              {otherRounds.map(courseRound => renderComparisonOption(courseRound.round.id, formatRoundOption(courseRound)))}
+            </View>
+
+            {!comparison || comparison.totals.holesCompared === 0 ? (
+              <Typography variant="secondary" italic style={styles.messageText}>
+                {otherRounds.length === 0
+                  ? "This is your only completed round on this course. Play it again to compare."
+                  : "No holes in common to compare."}
+              </Typography>
+            ) : (
+              <>
+                <Card style={styles.sectionCard}>
+                  <View style={styles.totalRow}>
+                    <Typography variant="body">
+                      {comparison.totals.holesCompared} holes: {comparison.totals.score} vs {comparison.totals.otherScore}
+                    </Typography>
+                    <Typography variant="body" weight="semibold" color={deltaColor(comparison.totals.delta)}>
+                      {formatDelta(comparison.totals.delta)}
+                    </Typography>
+                  </View>
+                </Card>
+
+                <Card style={styles.sectionCard}>
+                  <Typography variant="subtitle" style={styles.sectionTitle}>
+                    Hole by Hole
+                  </Typography>
+                  <View style={styles.tableRow}>
+                    <Typography variant="caption" weight="semibold" style={styles.tableCell}>Hole</Typography>
+                    <Typography variant="caption" weight="semibold" style={styles.tableCell}>Par</Typography>
+                    <Typography variant="caption" weight="semibold" style={styles.tableCell}>This</Typography>
+                    <Typography variant="caption" weight="semibold" style={styles.tableCell}>{otherLabel}</Typography>
+                    <Typography variant="caption" weight="semibold" style={styles.tableCell}>+/-</Typography>
+                  </View>
+                  {comparison.holes.map(hole => (
+                    <View key={hole.holeNumber} style={styles.tableRow}>
+                      <Typography variant="body" style={styles.tableCell}>{hole.holeNumber}</Typography>
+                      <Typography variant="body" style={styles.tableCell}>{hole.par || "-"}</Typography>
+                      <Typography variant="body" style={styles.tableCell}>{hole.score}</Typography>
+                      <Typography variant="body" style={styles.tableCell}>{hole.otherScore}</Typography>
+                      <Typography variant="body" weight="semibold" style={styles.tableCell} color={deltaColor(hole.delta)}>
+                        {formatDelta(hole.delta)}
+                      </Typography>
+                    </View>
+                  ))}
+                </Card>
+
+                {comparison.totals.shotHolesCompared === 0 ? (
+                  <Typography variant="caption" style={styles.coverageText}>
+                    Shot details weren't recorded on the same holes, so only scores can be compared.
+                  </Typography>
+                ) : (
+                  <>
+                    <Card style={styles.sectionCard}>
+                      <Typography variant="subtitle" style={styles.sectionTitle}>
+                        Shot Outcomes
+                      </Typography>
+                      {[...comparison.outcomes]
+                        .sort((a, b) => orderBy(SHOT_OUTCOMES)(a.result, b.result))
+                        .map(outcome => (
+                          <View key={outcome.result} style={styles.statRow}>
+                            <Typography variant="body">{getDisplayOutcome(outcome.result)}</Typography>
+                            <Typography variant="body">
+                              {outcome.percentage}% vs {outcome.otherPercentage}%{" "}
+                              <Typography
+                                variant="body"
+                                weight="semibold"
+                                color={deltaColor(outcome.delta, outcome.result !== SHOT_OUTCOMES[0])}
+                              >
+                                ({formatDelta(outcome.delta)})
+                              </Typography>
+                            </Typography>
+                          </View>
+                        ))}
+                    </Card>
+
+                    <Card style={styles.sectionCard}>
+                      <Typography variant="subtitle" style={styles.sectionTitle}>
+                        Strokes by Shot Type
+                      </Typography>
+                      <Typography variant="caption" style={styles.coverageText}>
+                        Over the {comparison.totals.shotHolesCompared} holes with shots recorded on both
+                      </Typography>
+                      {[...comparison.shotTypes]
+                        .sort((a, b) => orderBy([...SHOT_TYPES, "Penalties"])(a.type, b.type))
+                        .map(shotType => (
+                          <View key={shotType.type} style={styles.statRow}>
+                            <Typography variant="body">{shotType.type}</Typography>
+                            <Typography variant="body">
+                              {shotType.strokes} vs {shotType.otherStrokes}{" "}
+                              <Typography
+                                variant="body"
+                                weight="semibold"
+                                color={deltaColor(shotType.strokesGained, false)}
+                              >
+                                {shotType.strokesGained === 0
+                                  ? "(even)"
+                                  : `(${formatDelta(shotType.strokesGained)} ${shotType.strokesGained > 0 ? "gained" : "lost"})`}
+                              </Typography>
+                            </Typography>
+                          </View>
+                        ))}
+                    </Card>
+                  </>
+                )}
+              </>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    padding: theme.spacing.medium,
+  },
+  loader: {
+    marginTop: theme.spacing.large,
+  },
+  messageText: {
+    textAlign: "center",
+    marginTop: theme.spacing.large,
+  },
+  courseName: {
+    textAlign: "center",
+  },
+  coverageText: {
+    textAlign: "center",
+    marginBottom: theme.spacing.small,
+  },
+  optionList: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "center",
+    marginBottom: theme.spacing.medium,
+  },
+  option: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    margin: 4,
+  },
+  selectedOption: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  sectionCard: {
+    marginBottom: theme.spacing.medium,
+  },
+  sectionTitle: {
+    marginBottom: theme.spacing.small,
+  },
+  totalRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  tableRow: {
+    flexDirection: "row",
+    paddingVertical: 4,
+  },
+  tableCell: {
+    flex: 1,
+    textAlign: "center",
+  },
+  statRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 6,
+  },
+});
@@ -1,26 +1,48 @@
 // src/screens/RoundScreen.js
 
 import React, { useState, useEffect, useContext } from "react";
-import { View, StyleSheet, FlatList, ActivityIndicator } from "react-native";
+import { View, StyleSheet, FlatList, ActivityIndicator, Alert, TouchableOpacity } from "react-native";
 import { useNavigation } from "@react-navigation/native";
 import { AuthContext } from "../context/AuthContext";
 import { supabase } from "../services/supabase";
+import { withPendingRounds, subscribeToRoundSync } from "../services/syncService";
+import { EXPORT_FORMATS, shareRoundsExport } from "../services/exportService";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
 import RoundSummaryCard from "../components/RoundSummaryCard";
 import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
 
 /**
  * RoundsScreen Component
  * 
  * Displays a list of all completed rounds with detailed information.
  * Each round card is touchable and navigates to the ScorecardScreen.
+ * In export mode the cards select rounds to export as CSV or JSON instead,
+ * and in compare mode a card opens the round's comparison with other rounds on its course.
+ * Rounds from other golf apps can be imported from a CSV.
  */
 export default function RoundsScreen() {
   const navigation = useNavigation();
   const { user } = useContext(AuthContext);
   const [rounds, setRounds] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [syncVersion, setSyncVersion] = useState(0);
+  const [exportMode, setExportMode] = useState(false);          // Whether cards select rounds for export
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS[0].id);
+  const [selectedRoundIds, setSelectedRoundIds] = useState([]);
+  const [exporting, setExporting] = useState(false);
+  const [compareMode, setCompareMode] = useState(false);        // Whether tapping a card compares the round
+
+  // Refresh the list whenever a round is queued or finishes syncing
+  useEffect(() => {
+    return subscribeToRoundSync(() => setSyncVersion(version => version + 1));
+  }, []);
+
+  // Refresh when coming back to the list, e.g. after importing rounds
+  useEffect(() => {
+    return navigation.addListener("focus", () => setSyncVersion(version => version + 1));
+  }, [navigation]);
 
   useEffect(() => {
     async function fetchRounds() {
@@ -81,30 +103,197 @@ export default function RoundsScreen() {
             isComplete: round.is_complete
           }));
           
-          setRounds(formattedRounds);
+          setRounds(await withPendingRounds(formattedRounds));
         } else {
-          setRounds([]);
+          setRounds(await withPendingRounds());
         }
       } catch (error) {
         console.error("Error in fetchRounds:", error);
+        
+        // Rounds saved on this device are still worth showing while offline
+        setRounds(await withPendingRounds());
       } finally {
         setLoading(false);
       }
     }
     
     fetchRounds();
-  }, [user]);
+  }, [user, syncVersion]);
+
+  // Rounds waiting to sync aren't on the server yet, so they can't be exported
+  const exportableRounds = rounds.filter(round => !round.pendingSync);
+
+  // Select or deselect a round for export
+  const toggleRoundSelection = (round) => {
+    if (round.pendingSync) return;
+    
+    setSelectedRoundIds(prevIds => prevIds.includes(round.id)
+      ? prevIds.filter(id => id !== round.id)
+      : [...prevIds, round.id]);
+  };
+
+  // Leave export mode and clear the selection
+  const closeExport = () => {
+    setExportMode(false);
+    setSelectedRoundIds([]);
+  };
 
-  // Navigate to the scorecard
-  const handleRoundPress = (roundId) => {
-    console.log("Navigating to scorecard for round:", roundId);
+  /**
+   * Export the selected rounds, or the whole history when none are selected,
+   * and hand the exported file to the share sheet
+   */
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const exportedCount = await shareRoundsExport(
+        user.id,
+        exportFormat,
+        selectedRoundIds.length > 0 ? selectedRoundIds : null
+      );
+      
+      if (exportedCount === 0) {
+        Alert.alert("Nothing to Export", "There are no completed rounds to export yet.");
+        return;
+      }
+      closeExport();
+    } catch (error) {
+      console.error("Error exporting rounds:", error);
+      Alert.alert("Export Failed", "Your rounds could not be exported. Check your connection and try again.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Navigate to the scorecard, or the comparison in compare mode
+  const handleRoundPress = (round) => {
+    console.log("Navigating to scorecard for round:", round.id);
+    
+    // Rounds waiting to sync have no server scorecard yet
+    if (round.pendingSync) {
+      Alert.alert(
+        "Waiting to Sync",
+        "This round is saved on your device and will upload automatically when you're back online."
+      );
+      return;
+    }
+    
+    if (compareMode) {
+      setCompareMode(false);
+      navigation.navigate("RoundComparisonScreen", { roundId: round.id });
+      return;
+    }
+    
     // Explicitly navigate to the ScorecardScreen with the roundId parameter
-    navigation.navigate("ScorecardScreen", { roundId });
+    navigation.navigate("ScorecardScreen", { roundId: round.id });
   };
 
   return (
     <Layout>
       <View style={styles.container}>
+        {/* Traditional stats across recent rounds */}
+        <Button
+          variant="outline"
+          iconLeft="stats-chart-outline"
+          onPress={() => navigation.navigate("StatsScreen")}
+          style={styles.statsButton}
+        >
+          View Stats
+        </Button>
+        
+        {/* Export selected rounds or the whole history */}
+        {exportMode ? (
+          <View style={styles.exportPanel}>
+            <View style={styles.exportRow}>
+              {EXPORT_FORMATS.map(format => {
+                const isSelected = format.id === exportFormat;
+                
+                return (
+                  <TouchableOpacity
+                    key={format.id}
+                    style={[styles.formatOption, isSelected && styles.selectedFormatOption]}
+                    onPress={() => setExportFormat(format.id)}
+                  >
+                    <Typography variant="caption" color={isSelected ? "#fff" : theme.colors.text}>
+                      {format.label}
+                    </Typography>
+                  </TouchableOpacity>
+                );
+              })}
+              {/* Nothing to select while every round is still waiting to sync */}
+              {exportableRounds.length > 0 && (
+                <Button
+                  variant="text"
+                  size="small"
+                  onPress={() => setSelectedRoundIds(
+                    selectedRoundIds.length === exportableRounds.length ? [] : exportableRounds.map(round => round.id)
+                  )}
+                >
+                  {selectedRoundIds.length === exportableRounds.length ? "Clear" : "Select All"}
+                </Button>
+              )}
+            </View>
+            <Typography variant="caption" style={styles.exportHint}>
+              Tap rounds to choose them, or export without a selection for your whole history.
+            </Typography>
+            <View style={styles.exportRow}>
+              <Button variant="outline" size="small" onPress={closeExport} disabled={exporting} style={styles.exportCancel}>
+                Cancel
+              </Button>
+              <Button variant="primary" size="small" iconLeft="share-outline" onPress={handleExport} loading={exporting}>
+                {selectedRoundIds.length > 0
+                  ? `Export ${selectedRoundIds.length} ${selectedRoundIds.length === 1 ? "Round" : "Rounds"}`
+                  : "Export All Rounds"}
+              </Button>
+            </View>
+          </View>
+        ) : (
+          !compareMode && rounds.length > 0 && (
+            <Button
+              variant="outline"
+              iconLeft="download-outline"
+              onPress={() => setExportMode(true)}
+              style={styles.statsButton}
+            >
+              Export Rounds
+            </Button>
+          )
+        )}
+        
+        {/* Bring in round history from another golf app */}
+        {!exportMode && !compareMode && (
+          <Button
+            variant="outline"
+            iconLeft="cloud-upload-outline"
+            onPress={() => navigation.navigate("ImportRoundsScreen")}
+            style={styles.statsButton}
+          >
+            Import Rounds
+          </Button>
+        )}
+        
+        {/* Pick a round to compare with another round on its course or the course average */}
+        {!exportMode && rounds.length > 0 && (
+          compareMode ? (
+            <View style={styles.exportPanel}>
+              <Typography variant="caption" style={styles.exportHint}>
+                Tap a round to compare it with another round on the same course or your course average.
+              </Typography>
+              <Button variant="outline" size="small" onPress={() => setCompareMode(false)}>
+                Cancel
+              </Button>
+            </View>
+          ) : (
+            <Button
+              variant="outline"
+              iconLeft="git-compare-outline"
+              onPress={() => setCompareMode(true)}
+              style={styles.statsButton}
+            >
+              Compare Rounds
+            </Button>
+          )
+        )}
+        
         {loading ? (
           <ActivityIndicator size="large" color={theme.colors.primary} />
         ) : rounds.length > 0 ? (
@@ -113,7 +302,8 @@ export default function RoundsScreen() {
             renderItem={({ item }) => (
               <RoundSummaryCard 
                 round={item} 
-                onPress={() => handleRoundPress(item.id)}
+                onPress={() => exportMode ? toggleRoundSelection(item) : handleRoundPress(item)}
+                selected={exportMode && !item.pendingSync ? selectedRoundIds.includes(item.id) : undefined}
               />
             )}
             keyExtractor={item => item.id}
@@ -141,6 +331,35 @@ const styles = StyleSheet.create({
     flex: 1,
     padding: theme.spacing.medium,
   },
+  statsButton: {
+    marginBottom: theme.spacing.medium,
+  },
+  exportPanel: {
+    marginBottom: theme.spacing.medium,
+  },
+  exportRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  exportHint: {
+    marginVertical: theme.spacing.small,
+  },
+  exportCancel: {
+    marginRight: theme.spacing.small,
+  },
+  formatOption: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    backgroundColor: "#fff",
+    marginRight: 8,
+  },
+  selectedFormatOption: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
   listContainer: {
     paddingBottom: 20,
   },
@@ -1,10 +1,24 @@
 // src/screens/ScorecardScreen.js
 
 import React, { useEffect, useState } from "react";
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator } from "react-native";
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator, Modal, Alert } from "react-native";
 import { useNavigation, useRoute, StackActions } from '@react-navigation/native';
 import { Ionicons } from "@expo/vector-icons";
 import { supabase } from "../services/supabase";
+import { getRoundHoleNumbers, editHoleData, generateRoundInsights } from "../services/roundservice";
+import { sortClubs, getGolfBag } from "../services/clubService";
+import { calculateShotDistances } from "../services/distanceService";
+import { calculateRoundStats, formatRateStat, formatPenaltyReasons } from "../services/statsService";
+import { getRoundPlayers, getPartnerScore, calculatePartnerTotal } from "../services/playerService";
+import { MATCH_FORMATS, calculateMatchStatus } from "../services/matchService";
+import { allocateHandicapStrokes, calculateNetScoring } from "../services/handicapService";
+import { getHolePar, getHoleStrokeIndex, getRoundRatingSet } from "../services/courseRatingService";
+import { MISS_DIRECTIONS, LIE_RESULTS, formatPredominantMiss } from "../services/missService";
+import { getHoleDurationMinutes, calculateRoundDuration, formatDuration } from "../services/paceService";
+import { isPracticeRound, isExtraBall, countScoringShots, summarizeExtraBalls } from "../services/practiceService";
+import { isPickedUp, getPickupLabel, getHoleRecordScore, formatMaxScoreRule } from "../services/pickupService";
+import { SHOT_TYPES } from "../components/ShotTable";
+import HoleEditor from "../components/HoleEditor";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
 
@@ -14,6 +28,11 @@ import theme from "../ui/theme";
  * Displays a detailed scorecard for a completed round.
  * Shows hole-by-hole scores and outcome breakdowns.
  * Updated to work with the new shots data structure.
+ * Rounds scored for a group also show every player's hole scores and totals,
+ * and match play rounds show the match standing after each hole.
+ * Rounds played with a course handicap show net scores and Stableford points.
+ * Completed rounds can be corrected in edit mode: each edited hole is saved, the round
+ * is rescored, and the edit is kept in the round's audit trail.
  * Enhanced navigation to provide cleaner flow back to home screen.
  */
 export default function ScorecardScreen() {
@@ -26,7 +45,22 @@ export default function ScorecardScreen() {
   const [roundData, setRoundData] = useState(null);
   const [courseData, setCourseData] = useState(null);
   const [holesData, setHolesData] = useState([]);
+  const [clubStats, setClubStats] = useState([]);
+  const [distanceStats, setDistanceStats] = useState([]);
+  const [roundStats, setRoundStats] = useState(null);
+  const [matchStatus, setMatchStatus] = useState(null);
+  const [paceStats, setPaceStats] = useState(null);
+  const [extraBalls, setExtraBalls] = useState(null);
   const [loading, setLoading] = useState(true);
+  
+  // Post-round editing
+  const [holeRecords, setHoleRecords] = useState([]);    // Saved hole records, edited in the HoleEditor
+  const [golfBag, setGolfBag] = useState([]);            // Clubs offered when tagging edited shots
+  const [editMode, setEditMode] = useState(false);       // Whether tapping a hole opens the editor
+  const [editingHole, setEditingHole] = useState(null);  // Hole number open in the editor
+  const [savingHole, setSavingHole] = useState(false);
+  const [editCount, setEditCount] = useState(0);         // Holes saved since edit mode was opened
+  const [reloadCount, setReloadCount] = useState(0);     // Bumped to reload the round after an edit
 
   // Define the outcome categories - used throughout the component
   const outcomes = ["On Target", "Slightly Off", "Recovery Needed"];
@@ -54,7 +88,19 @@ export default function ScorecardScreen() {
             gross_shots,
             created_at,
             is_complete,
-            selected_tee_name
+            selected_tee_name,
+            first_hole,
+            last_hole,
+            start_hole,
+            players,
+            match,
+            match_result,
+            course_handicap,
+            net_shots,
+            stableford_points,
+            rating_set,
+            is_practice,
+            edit_history
           `)
           .eq("id", roundId)
           .single();
@@ -96,9 +142,29 @@ export default function ScorecardScreen() {
           throw holesError;
         }
         
+        setHoleRecords(holes);
+        
         // Process the holes data to get outcome breakdowns for display
-        const processedHoles = processHolesData(holes, round.selected_tee_name?.toLowerCase());
+        const processedHoles = processHolesData(holes, getRoundHoleNumbers(round));
         setHolesData(processedHoles);
+        setClubStats(calculateClubStats(holes, getRoundHoleNumbers(round)));
+        setDistanceStats(calculateDistanceStats(holes, getRoundHoleNumbers(round)));
+        setPaceStats(calculatePaceStats(holes, getRoundHoleNumbers(round)));
+        setExtraBalls(summarizeExtraBalls(
+          holes
+            .filter(hole => getRoundHoleNumbers(round).includes(hole.hole_number))
+            .flatMap(hole => hole.hole_data?.shots || [])
+        ));
+        setRoundStats(calculateRoundStats(
+          holes.filter(hole => getRoundHoleNumbers(round).includes(hole.hole_number))
+        ));
+        if (round.match) {
+          setMatchStatus(calculateMatchStatus(round.match, getRoundHoleNumbers(round).map(holeNum => ({
+            number: holeNum,
+            holeData: holes.find(hole => hole.hole_number === holeNum)?.hole_data,
+            strokeIndex: getHoleStrokeIndex(course.holes?.find(hole => hole.number === holeNum), getRoundRatingSet(round))
+          }))));
+        }
         
       } catch (error) {
         console.error("Error fetching scorecard data:", error);
@@ -108,19 +174,62 @@ export default function ScorecardScreen() {
     }
     
     fetchRoundData();
-  }, [roundId]);
+  }, [roundId, reloadCount]);
+
+  // Load the bag so edited shots can be tagged with a club
+  useEffect(() => {
+    if (roundData?.profile_id) {
+      getGolfBag(roundData.profile_id).then(setGolfBag);
+    }
+  }, [roundData?.profile_id]);
+
+  /**
+   * Save the hole open in the editor, rescore the round and reload the scorecard
+   */
+  const handleSaveHole = async (holeData) => {
+    try {
+      setSavingHole(true);
+      await editHoleData(roundId, editingHole, holeData);
+      setEditCount(count => count + 1);
+      setEditingHole(null);
+      setReloadCount(count => count + 1);
+    } catch (error) {
+      console.error("Error saving edited hole:", error);
+      Alert.alert("Error", "Your changes could not be saved. Check your connection and try again.");
+    } finally {
+      setSavingHole(false);
+    }
+  };
+
+  /**
+   * Leave edit mode, offering to regenerate insights from the corrected scores
+   */
+  const handleFinishEditing = () => {
+    setEditMode(false);
+    if (editCount === 0) return;
+    
+    setEditCount(0);
+    Alert.alert(
+      "Update Insights?",
+      "Your insights were generated from the original scores. Regenerate them from the corrected round?",
+      [
+        { text: "Not Now", style: "cancel" },
+        { text: "Regenerate", onPress: () => generateRoundInsights(roundData.profile_id, roundId) }
+      ]
+    );
+  };
 
   /**
    * Process the holes data to get outcome breakdowns
    * This converts the JSONB hole_data into a format for display
    */
-  const processHolesData = (holes, selectedTee) => {
-    const processed = [];
+  const processHolesData = (holes, holeNumbers) => {
+    const processed = {};
     
-    // Default empty data for all 18 holes
-    for (let i = 1; i <= 18; i++) {
-      processed[i] = {
-        number: i,
+    // Default empty data for every hole played in the round
+    holeNumbers.forEach(holeNum => {
+      processed[holeNum] = {
+        number: holeNum,
         score: 0,
         outcomes: {
           "On Target": 0,
@@ -128,15 +237,15 @@ export default function ScorecardScreen() {
           "Recovery Needed": 0
         }
       };
-    }
+    });
     
     // Process each hole with data
     holes.forEach(hole => {
       const holeNum = hole.hole_number;
       const holeData = hole.hole_data;
       
-      // Skip if missing data
-      if (!holeData || !holeData.shots || !Array.isArray(holeData.shots)) {
+      // Skip if missing data or outside the holes played
+      if (!processed[holeNum] || !holeData || !holeData.shots || !Array.isArray(holeData.shots)) {
         return;
       }
       
@@ -147,8 +256,8 @@ export default function ScorecardScreen() {
         "Recovery Needed": 0
       };
       
-      // Count shots by outcome
-      holeData.shots.forEach(shot => {
+      // Count shots by outcome (extra balls are reported separately)
+      holeData.shots.filter(shot => !isExtraBall(shot)).forEach(shot => {
         if (outcomes[shot.result] !== undefined) {
           outcomes[shot.result]++;
         }
@@ -157,21 +266,22 @@ export default function ScorecardScreen() {
       // Update processed data
       processed[holeNum] = {
         number: holeNum,
-        score: hole.total_score || holeData.shots.length,
+        score: getHoleRecordScore(hole) || countScoringShots(holeData),
+        pickup: isPickedUp(holeData) ? holeData.pickup : null,
         par: holeData.par,
         distance: holeData.distance,
-        outcomes: outcomes
+        outcomes: outcomes,
+        partnerScores: holeData.partnerScores || {}
       };
     });
     
-    // Return only valid holes (1-18)
-    return processed.filter((_, index) => index > 0 && index <= 18);
+    // Return holes in playing order
+    return holeNumbers.map(holeNum => processed[holeNum]);
   };
 
-  // Calculate front nine, back nine, and total scores with outcome breakdowns
+  // Calculate total score with outcome breakdowns
   const calculateTotals = () => {
-    let frontNine = 0;
-    let backNine = 0;
+    let total = 0;
     
     // Initialize outcome totals
     let totalOnTarget = 0;
@@ -179,15 +289,8 @@ export default function ScorecardScreen() {
     let totalRecoveryNeeded = 0;
     
     holesData.forEach(hole => {
-      const holeNum = hole.number;
       const score = hole.score || 0;
-      
-      // Add to front or back nine
-      if (holeNum <= 9) {
-        frontNine += score;
-      } else {
-        backNine += score;
-      }
+      total += score;
       
       // Count outcomes
       totalOnTarget += hole.outcomes["On Target"] || 0;
@@ -196,9 +299,7 @@ export default function ScorecardScreen() {
     });
     
     return {
-      frontNine,
-      backNine,
-      total: frontNine + backNine,
+      total,
       outcomes: {
         "On Target": totalOnTarget,
         "Slightly Off": totalSlightlyOff,
@@ -245,6 +346,39 @@ export default function ScorecardScreen() {
 
   // Calculate totals for display
   const totals = calculateTotals();
+  
+  // Par and stroke index from the men's or women's set the round was played with
+  const ratingSet = getRoundRatingSet(roundData);
+  
+  // Group the holes played into nines for subtotal rows
+  // The card reads in hole order (Out then In) even when the round started elsewhere
+  const roundHoleNumbers = getRoundHoleNumbers(roundData);
+  const nines = groupHolesIntoNines([...roundHoleNumbers].sort((a, b) => a - b));
+  
+  // Playing partners scored alongside the owner
+  const players = getRoundPlayers(roundData);
+  const sumOwnerScores = (holes) => holes.reduce((sum, hole) => sum + (hole.score || 0), 0);
+  const matchFormat = MATCH_FORMATS.find(format => format.id === roundData?.match?.format);
+  
+  // Net scoring from the course handicap fixed when the round started
+  const hasCourseHandicap = typeof roundData?.course_handicap === "number";
+  const strokesByHole = hasCourseHandicap
+    ? allocateHandicapStrokes(roundData.course_handicap, roundHoleNumbers.map(holeNum => ({
+        number: holeNum,
+        index: getHoleStrokeIndex(courseData?.holes?.find(hole => hole.number === holeNum), ratingSet)
+      })))
+    : {};
+  const netScoring = calculateNetScoring(
+    holesData.map(hole => ({
+      number: hole.number,
+      par: hole.par || getCourseHolePar(courseData, hole.number, ratingSet),
+      grossScore: hole.score
+    })),
+    strokesByHole
+  );
+  const sumNetScoring = (holeNums, field) => netScoring.holes
+    .filter(hole => holeNums.includes(hole.number))
+    .reduce((sum, hole) => sum + (hole[field] || 0), 0);
 
   return (
     <Layout>
@@ -254,7 +388,49 @@ export default function ScorecardScreen() {
           <Text style={styles.courseName}>{courseData?.name || "Unknown Course"}</Text>
           <Text style={styles.roundDate}>
             {roundData?.created_at ? new Date(roundData.created_at).toLocaleDateString() : ""}
+            {paceStats?.totalMinutes ? ` • ${formatDuration(paceStats.totalMinutes)}` : ""}
           </Text>
+          {matchFormat && (
+            <Text style={styles.matchResult}>
+              {matchFormat.label} match: {roundData.match_result || "Not finished"}
+            </Text>
+          )}
+          {isPracticeRound(roundData) && (
+            <Text style={styles.matchResult}>
+              Practice round - not counted for handicap or stats
+            </Text>
+          )}
+          
+          {/* Edit mode for correcting holes after the round, and comparison with other rounds here */}
+          {roundData?.is_complete && (
+            <View style={styles.roundActions}>
+              <TouchableOpacity
+                style={styles.editToggle}
+                onPress={editMode ? handleFinishEditing : () => setEditMode(true)}
+              >
+                <Ionicons
+                  name={editMode ? "checkmark-circle-outline" : "create-outline"}
+                  size={18}
+                  color={theme.colors.primary}
+                />
+                <Text style={styles.editToggleText}>
+                  {editMode ? "Done Editing" : "Edit Scores"}
+                </Text>
+              </TouchableOpacity>
+              {!editMode && (
+                <TouchableOpacity
+                  style={[styles.editToggle, styles.compareToggle]}
+                  onPress={() => navigation.navigate("RoundComparisonScreen", { roundId })}
+                >
+                  <Ionicons name="git-compare-outline" size={18} color={theme.colors.primary} />
+                  <Text style={styles.editToggleText}>Compare</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+          {editMode && (
+            <Text style={styles.roundDate}>Tap a hole to correct its shots.</Text>
+          )}
         </View>
         
         {/* Scorecard */}
@@ -276,81 +452,368 @@ export default function ScorecardScreen() {
             </Text>
           </View>
           
-          {/* Hole rows - Front Nine */}
-          {[1, 2, 3, 4, 5, 6, 7, 8, 9].map(holeNum => {
-            // Find this hole's data
-            const holeData = holesData.find(h => h.number === holeNum) || {
-              number: holeNum,
-              score: 0,
-              par: getCourseHolePar(courseData, holeNum),
-              outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-            };
-            
-            return (
-              <View key={`hole-${holeNum}`} style={styles.holeRow}>
-                <Text style={styles.holeColumn}>{holeNum}</Text>
-                <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
-                <Text style={styles.scoreColumn}>{holeData.score || 0}</Text>
-                {/* Outcome values */}
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
-              </View>
-            );
-          })}
-          
-          {/* Out (Front Nine) totals */}
-          <View style={[styles.holeRow, styles.totalRow]}>
-            <Text style={[styles.holeColumn, styles.totalText]}>Out</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, 1, 9)}</Text>
-            <Text style={[styles.scoreColumn, styles.totalText]}>{totals.frontNine}</Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-          </View>
-          
-          {/* Hole rows - Back Nine */}
-          {[10, 11, 12, 13, 14, 15, 16, 17, 18].map(holeNum => {
-            // Find this hole's data
-            const holeData = holesData.find(h => h.number === holeNum) || {
-              number: holeNum,
-              score: 0,
-              par: getCourseHolePar(courseData, holeNum),
-              outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-            };
-            
-            return (
-              <View key={`hole-${holeNum}`} style={styles.holeRow}>
-                <Text style={styles.holeColumn}>{holeNum}</Text>
-                <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
-                <Text style={styles.scoreColumn}>{holeData.score || 0}</Text>
-                {/* Outcome values */}
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
-              </View>
-            );
-          })}
-          
-          {/* In (Back Nine) totals */}
-          <View style={[styles.holeRow, styles.totalRow]}>
-            <Text style={[styles.holeColumn, styles.totalText]}>In</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, 10, 18)}</Text>
-            <Text style={[styles.scoreColumn, styles.totalText]}>{totals.backNine}</Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-          </View>
+          {/* Hole rows grouped by nine, each followed by its subtotal */}
+          {nines.map(nine => (
+            <React.Fragment key={`nine-${nine.holes[0]}`}>
+              {nine.holes.map(holeNum => {
+                // Find this hole's data
+                const holeData = holesData.find(h => h.number === holeNum) || {
+                  number: holeNum,
+                  score: 0,
+                  par: getCourseHolePar(courseData, holeNum, ratingSet),
+                  outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
+                };
+                
+                return (
+                  <TouchableOpacity
+                    key={`hole-${holeNum}`}
+                    style={[styles.holeRow, editMode && styles.editableHoleRow]}
+                    disabled={!editMode}
+                    onPress={() => setEditingHole(holeNum)}
+                  >
+                    <Text style={styles.holeColumn}>{holeNum}</Text>
+                    <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
+                    <Text style={[styles.scoreColumn, holeData.pickup && styles.pickedUpScore]}>
+                      {holeData.score || 0}{holeData.pickup ? "*" : ""}
+                    </Text>
+                    {/* Outcome values */}
+                    <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
+                    <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
+                    <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
+                  </TouchableOpacity>
+                );
+              })}
+              
+              {/* Nine subtotal - omitted when only one nine was played */}
+              {nines.length > 1 && (
+                <View style={[styles.holeRow, styles.totalRow]}>
+                  <Text style={[styles.holeColumn, styles.totalText]}>{nine.label}</Text>
+                  <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, nine.holes, ratingSet)}</Text>
+                  <Text style={[styles.scoreColumn, styles.totalText]}>
+                    {holesData
+                      .filter(hole => nine.holes.includes(hole.number))
+                      .reduce((sum, hole) => sum + (hole.score || 0), 0)}
+                  </Text>
+                  <Text style={styles.outcomeColumn}></Text>
+                  <Text style={styles.outcomeColumn}></Text>
+                  <Text style={styles.outcomeColumn}></Text>
+                </View>
+              )}
+            </React.Fragment>
+          ))}
           
           {/* Total row - updated with new outcome totals */}
           <View style={[styles.holeRow, styles.totalRow]}>
             <Text style={[styles.holeColumn, styles.totalText]}>Total</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{courseData?.par || "-"}</Text>
+            <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, roundHoleNumbers, ratingSet) || "-"}</Text>
             <Text style={[styles.scoreColumn, styles.totalText]}>{totals.total}</Text>
             <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["On Target"]}</Text>
             <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["Slightly Off"]}</Text>
             <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["Recovery Needed"]}</Text>
           </View>
+          
+          {/* Holes scored from a pickup or conceded putt rather than holed out */}
+          {holesData.some(hole => hole?.pickup) && (
+            <View style={styles.pickupNotes}>
+              {holesData.filter(hole => hole?.pickup).map(hole => (
+                <Text key={`pickup-${hole.number}`} style={styles.pickupNote}>
+                  * {formatPickupNote(hole)}
+                </Text>
+              ))}
+            </View>
+          )}
+          
+          {/* Audit trail of holes corrected after the round */}
+          {roundData?.edit_history?.length > 0 && (
+            <View style={styles.pickupNotes}>
+              <Text style={[styles.pickupNote, styles.totalText]}>Edited after the round</Text>
+              {roundData.edit_history.map((edit, index) => (
+                <Text key={`edit-${index}`} style={styles.pickupNote}>
+                  {formatEditNote(edit)}
+                </Text>
+              ))}
+            </View>
+          )}
+          
+          {/* Group scores - one column per player when partners were scored */}
+          {players.length > 0 && (
+            <>
+              <View style={[styles.headerRow, styles.clubHeaderRow]}>
+                <Text style={[styles.holeColumn, styles.headerText]}>Hole</Text>
+                <Text style={[styles.parColumn, styles.headerText]}>Par</Text>
+                <Text style={[styles.outcomeColumn, styles.headerText]}>You</Text>
+                {players.map(player => (
+                  <Text key={player.id} style={[styles.outcomeColumn, styles.headerText]} numberOfLines={1}>
+                    {player.name}
+                  </Text>
+                ))}
+                {matchStatus && <Text style={[styles.outcomeColumn, styles.headerText]}>Match</Text>}
+              </View>
+              {nines.map(nine => {
+                const nineHoles = holesData.filter(hole => nine.holes.includes(hole.number));
+                
+                return (
+                  <React.Fragment key={`group-nine-${nine.holes[0]}`}>
+                    {nine.holes.map(holeNum => {
+                      const hole = holesData.find(h => h.number === holeNum);
+                      
+                      return (
+                        <View key={`group-hole-${holeNum}`} style={styles.holeRow}>
+                          <Text style={styles.holeColumn}>{holeNum}</Text>
+                          <Text style={styles.parColumn}>{hole?.par || getCourseHolePar(courseData, holeNum, ratingSet) || "-"}</Text>
+                          <Text style={[styles.outcomeColumn, hole?.pickup && styles.pickedUpScore]}>
+                            {hole?.score || "-"}{hole?.pickup ? "*" : ""}
+                          </Text>
+                          {players.map(player => (
+                            <Text key={player.id} style={styles.outcomeColumn}>
+                              {getPartnerScore(hole, player.id) || "-"}
+                            </Text>
+                          ))}
+                          {matchStatus && (
+                            <Text style={styles.outcomeColumn}>
+                              {formatMatchStanding(matchStatus.results, roundHoleNumbers.indexOf(holeNum))}
+                            </Text>
+                          )}
+                        </View>
+                      );
+                    })}
+                    
+                    {nines.length > 1 && (
+                      <View style={[styles.holeRow, styles.totalRow]}>
+                        <Text style={[styles.holeColumn, styles.totalText]}>{nine.label}</Text>
+                        <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, nine.holes, ratingSet)}</Text>
+                        <Text style={[styles.outcomeColumn, styles.totalText]}>{sumOwnerScores(nineHoles)}</Text>
+                        {players.map(player => (
+                          <Text key={player.id} style={[styles.outcomeColumn, styles.totalText]}>
+                            {calculatePartnerTotal(nineHoles, player.id)}
+                          </Text>
+                        ))}
+                        {matchStatus && <Text style={styles.outcomeColumn}></Text>}
+                      </View>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+              <View style={[styles.holeRow, styles.totalRow]}>
+                <Text style={[styles.holeColumn, styles.totalText]}>Total</Text>
+                <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, roundHoleNumbers, ratingSet) || "-"}</Text>
+                <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.total}</Text>
+                {players.map(player => (
+                  <Text key={player.id} style={[styles.outcomeColumn, styles.totalText]}>
+                    {calculatePartnerTotal(holesData, player.id)}
+                  </Text>
+                ))}
+                {matchStatus && <Text style={styles.outcomeColumn}></Text>}
+              </View>
+            </>
+          )}
+          
+          {/* Net scores and Stableford points - only for rounds with a course handicap */}
+          {hasCourseHandicap && (
+            <>
+              <View style={[styles.headerRow, styles.clubHeaderRow]}>
+                <Text style={[styles.holeColumn, styles.headerText]}>Hole</Text>
+                <Text style={[styles.parColumn, styles.headerText]}>Par</Text>
+                <Text style={[styles.outcomeColumn, styles.headerText]}>Strokes</Text>
+                <Text style={[styles.outcomeColumn, styles.headerText]}>Net</Text>
+                <Text style={[styles.outcomeColumn, styles.headerText]}>Points</Text>
+              </View>
+              {nines.map(nine => (
+                <React.Fragment key={`net-nine-${nine.holes[0]}`}>
+                  {nine.holes.map(holeNum => {
+                    const netHole = netScoring.holes.find(hole => hole.number === holeNum);
+                    
+                    return (
+                      <View key={`net-hole-${holeNum}`} style={styles.holeRow}>
+                        <Text style={styles.holeColumn}>{holeNum}</Text>
+                        <Text style={styles.parColumn}>{getCourseHolePar(courseData, holeNum, ratingSet) || "-"}</Text>
+                        <Text style={styles.outcomeColumn}>{strokesByHole[holeNum] || "-"}</Text>
+                        <Text style={styles.outcomeColumn}>{netHole ? netHole.netScore : "-"}</Text>
+                        <Text style={styles.outcomeColumn}>{netHole?.points ?? "-"}</Text>
+                      </View>
+                    );
+                  })}
+                  
+                  {nines.length > 1 && (
+                    <View style={[styles.holeRow, styles.totalRow]}>
+                      <Text style={[styles.holeColumn, styles.totalText]}>{nine.label}</Text>
+                      <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, nine.holes, ratingSet)}</Text>
+                      <Text style={styles.outcomeColumn}></Text>
+                      <Text style={[styles.outcomeColumn, styles.totalText]}>{sumNetScoring(nine.holes, "netScore")}</Text>
+                      <Text style={[styles.outcomeColumn, styles.totalText]}>{sumNetScoring(nine.holes, "points")}</Text>
+                    </View>
+                  )}
+                </React.Fragment>
+              ))}
+              <View style={[styles.holeRow, styles.totalRow]}>
+                <Text style={[styles.holeColumn, styles.totalText]}>Total</Text>
+                <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, roundHoleNumbers, ratingSet) || "-"}</Text>
+                <Text style={[styles.outcomeColumn, styles.totalText]}>CH {roundData.course_handicap}</Text>
+                <Text style={[styles.outcomeColumn, styles.totalText]}>{netScoring.netTotal}</Text>
+                <Text style={[styles.outcomeColumn, styles.totalText]}>{netScoring.stablefordPoints}</Text>
+              </View>
+            </>
+          )}
+          
+          {/* Traditional stats derived from the recorded shots */}
+          {roundStats && roundStats.holesPlayed > 0 && (
+            <>
+              <View style={[styles.headerRow, styles.clubHeaderRow]}>
+                <Text style={[styles.statLabelColumn, styles.headerText]}>Stats</Text>
+                <Text style={[styles.outcomeColumn, styles.headerText]}></Text>
+              </View>
+              {[
+                { label: "Fairways", value: formatRateStat(roundStats.fairways) },
+                { label: "Greens in Regulation", value: formatRateStat(roundStats.greensInRegulation) },
+                { label: "Scrambling", value: formatRateStat(roundStats.scrambling) },
+                { label: "Sand Saves", value: formatRateStat(roundStats.sandSaves) },
+                { label: "Putts", value: roundStats.totalPutts },
+                { label: "Putts per GIR", value: roundStats.puttsPerGir ?? "-" },
+                { label: "3-Putts", value: roundStats.threePutts },
+                { label: "Penalty Strokes", value: roundStats.penalties.strokes },
+                { label: "Penalties by Reason", value: formatPenaltyReasons(roundStats.penalties) }
+              ].map(stat => (
+                <View key={`stat-${stat.label}`} style={styles.holeRow}>
+                  <Text style={styles.statLabelColumn}>{stat.label}</Text>
+                  <Text style={[styles.outcomeColumn, styles.statValue]}>{stat.value}</Text>
+                </View>
+              ))}
+            </>
+          )}
+          
+          {/* Miss patterns - only for shots recorded in detailed entry mode */}
+          {roundStats && roundStats.missPatterns.detailedShots > 0 && (
+            <>
+              <View style={[styles.headerRow, styles.clubHeaderRow]}>
+                <Text style={[styles.statLabelColumn, styles.headerText]}>Miss Pattern</Text>
+                <Text style={[styles.statValue, styles.headerText]}>
+                  {formatPredominantMiss(roundStats.missPatterns)}
+                </Text>
+              </View>
+              {MISS_DIRECTIONS.map(direction => (
+                <PatternBarRow
+                  key={`miss-${direction.id}`}
+                  label={direction.label}
+                  count={roundStats.missPatterns.byDirection[direction.id]}
+                  total={roundStats.missPatterns.misses}
+                />
+              ))}
+              
+              <View style={[styles.headerRow, styles.clubHeaderRow]}>
+                <Text style={[styles.statLabelColumn, styles.headerText]}>Finished In</Text>
+                <Text style={[styles.statValue, styles.headerText]}>
+                  {roundStats.missPatterns.detailedShots} shots
+                </Text>
+              </View>
+              {LIE_RESULTS.map(lie => (
+                <PatternBarRow
+                  key={`lie-${lie.id}`}
+                  label={lie.label}
+                  count={roundStats.missPatterns.byLie[lie.id]}
+                  total={roundStats.missPatterns.detailedShots}
+                />
+              ))}
+            </>
+          )}
+          
+          {/* Performance by club - only for shots tagged with a club */}
+          {clubStats.length > 0 && (
+            <>
+              <View style={[styles.headerRow, styles.clubHeaderRow]}>
+                <Text style={[styles.clubColumn, styles.headerText]}>Club</Text>
+                <Text style={[styles.scoreColumn, styles.headerText]}>Shots</Text>
+                <Text style={[styles.scoreColumn, styles.headerText]}>Avg Yds</Text>
+                {outcomes.map(outcome => (
+                  <Text 
+                    key={outcome} 
+                    style={[styles.outcomeColumn, styles.headerText, {backgroundColor: getOutcomeColor(outcome)}]}
+                  >
+                    {outcome === "Recovery Needed" ? "Recovery" : outcome}
+                  </Text>
+                ))}
+              </View>
+              {clubStats.map(clubStat => (
+                <View key={`club-${clubStat.club}`} style={styles.holeRow}>
+                  <Text style={styles.clubColumn}>{clubStat.club}</Text>
+                  <Text style={styles.scoreColumn}>{clubStat.shots}</Text>
+                  <Text style={styles.scoreColumn}>{clubStat.averageDistance ?? "-"}</Text>
+                  {outcomes.map(outcome => (
+                    <Text key={outcome} style={styles.outcomeColumn}>{clubStat.outcomes[outcome]}</Text>
+                  ))}
+                </View>
+              ))}
+            </>
+          )}
+          
+          {/* Mulligans and extra balls from a practice round, kept out of the score */}
+          {extraBalls && extraBalls.count > 0 && (
+            <>
+              <View style={[styles.headerRow, styles.clubHeaderRow]}>
+                <Text style={[styles.clubColumn, styles.headerText]}>Extra Balls</Text>
+                <Text style={[styles.scoreColumn, styles.headerText]}>Balls</Text>
+                {outcomes.map(outcome => (
+                  <Text 
+                    key={outcome} 
+                    style={[styles.outcomeColumn, styles.headerText, {backgroundColor: getOutcomeColor(outcome)}]}
+                  >
+                    {outcome === "Recovery Needed" ? "Recovery" : outcome}
+                  </Text>
+                ))}
+              </View>
+              {SHOT_TYPES.filter(type => extraBalls.byType[type]).map(type => (
+                <View key={`extra-${type}`} style={styles.holeRow}>
+                  <Text style={styles.clubColumn}>{type}</Text>
+                  <Text style={styles.scoreColumn}>{extraBalls.byType[type].count}</Text>
+                  {outcomes.map(outcome => (
+                    <Text key={outcome} style={styles.outcomeColumn}>
+                      {extraBalls.byType[type].outcomes[outcome] || 0}
+                    </Text>
+                  ))}
+                </View>
+              ))}
+            </>
+          )}
+          
+          {/* Time per hole in playing order - bars are relative to the slowest hole */}
+          {paceStats && paceStats.holes.length > 0 && (
+            <>
+              <View style={[styles.headerRow, styles.clubHeaderRow]}>
+                <Text style={[styles.statLabelColumn, styles.headerText]}>Pace of Play</Text>
+                <Text style={[styles.statValue, styles.headerText]}>
+                  Round {formatDuration(paceStats.totalMinutes)}
+                </Text>
+              </View>
+              {paceStats.holes.map(hole => (
+                <PatternBarRow
+                  key={`pace-${hole.holeNumber}`}
+                  label={`Hole ${hole.holeNumber}`}
+                  count={hole.minutes}
+                  total={paceStats.slowestMinutes}
+                  value={formatDuration(hole.minutes)}
+                />
+              ))}
+            </>
+          )}
+          
+          {/* GPS shot distances by shot type - only when shots were recorded with positions */}
+          {distanceStats.length > 0 && (
+            <>
+              <View style={[styles.headerRow, styles.clubHeaderRow]}>
+                <Text style={[styles.clubColumn, styles.headerText]}>Shot</Text>
+                <Text style={[styles.outcomeColumn, styles.headerText]}>Measured</Text>
+                <Text style={[styles.outcomeColumn, styles.headerText]}>Avg Yds</Text>
+                <Text style={[styles.outcomeColumn, styles.headerText]}>Longest</Text>
+              </View>
+              {distanceStats.map(distanceStat => (
+                <View key={`distance-${distanceStat.type}`} style={styles.holeRow}>
+                  <Text style={styles.clubColumn}>{distanceStat.type}</Text>
+                  <Text style={styles.outcomeColumn}>{distanceStat.count}</Text>
+                  <Text style={styles.outcomeColumn}>{distanceStat.averageDistance}</Text>
+                  <Text style={styles.outcomeColumn}>{distanceStat.longestDistance}</Text>
+                </View>
+              ))}
+            </>
+          )}
         </ScrollView>
         
         {/* Round summary - updated label to match new categories */}
@@ -365,6 +828,14 @@ export default function ScorecardScreen() {
               {roundData?.score !== null ? (roundData.score > 0 ? `+${roundData.score}` : roundData.score) : "N/A"}
             </Text>
           </View>
+          {hasCourseHandicap && (
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryLabel}>Net / Points</Text>
+              <Text style={styles.summaryValue}>
+                {roundData.net_shots ?? netScoring.netTotal} / {roundData.stableford_points ?? netScoring.stablefordPoints}
+              </Text>
+            </View>
+          )}
           {/* Updated to show "On Target" instead of "Good Shots" */}
           <View style={styles.summaryItem}>
             <Text style={styles.summaryLabel}>On Target Shots</Text>
@@ -372,6 +843,28 @@ export default function ScorecardScreen() {
           </View>
         </View>
         
+        {/* Shot list editor for the hole tapped in edit mode */}
+        <Modal
+          visible={editingHole !== null}
+          animationType="slide"
+          onRequestClose={() => !savingHole && setEditingHole(null)}
+        >
+          {editingHole !== null && (
+            <HoleEditor
+              holeNumber={editingHole}
+              holeData={
+                holeRecords.find(hole => hole.hole_number === editingHole)?.hole_data ||
+                { par: getCourseHolePar(courseData, editingHole, ratingSet), shots: [] }
+              }
+              clubs={golfBag}
+              allowExtraBalls={isPracticeRound(roundData)}
+              saving={savingHole}
+              onSave={handleSaveHole}
+              onCancel={() => setEditingHole(null)}
+            />
+          )}
+        </Modal>
+        
         {/* Return to Home button - only shown when coming from tracker */}
         {fromTracker && (
           <TouchableOpacity 
@@ -386,37 +879,217 @@ export default function ScorecardScreen() {
   );
 }
 
+/**
+ * One row of a bar chart: label, a bar sized by share of the total, and the count
+ * (or a formatted value in its place)
+ */
+function PatternBarRow({ label, count, total, value }) {
+  const share = total > 0 ? count / total : 0;
+  
+  return (
+    <View style={styles.holeRow}>
+      <Text style={styles.clubColumn}>{label}</Text>
+      <View style={styles.patternBarTrack}>
+        <View style={[styles.patternBar, { width: `${Math.round(share * 100)}%` }]} />
+      </View>
+      <Text style={styles.scoreColumn}>{value ?? count}</Text>
+    </View>
+  );
+}
+
+/**
+ * Match standing after a hole from the owner's side, e.g. "2 UP", "1 DN" or "AS"
+ * Holes after the match was decided show a dash
+ */
+function formatMatchStanding(results, holePosition) {
+  if (holePosition < 0 || holePosition >= results.length) {
+    return "-";
+  }
+  
+  const holesUp = results.slice(0, holePosition + 1).reduce((sum, result) => sum + result, 0);
+  if (holesUp === 0) return "AS";
+  return holesUp > 0 ? `${holesUp} UP` : `${-holesUp} DN`;
+}
+
+/**
+ * Audit trail line for a corrected hole, e.g. "Hole 7: 6 → 5 (19/10/2026)"
+ */
+function formatEditNote(edit) {
+  const scoreChange = edit.previous_score !== edit.new_score
+    ? `${edit.previous_score ?? "-"} → ${edit.new_score}`
+    : "shots corrected";
+  
+  return `Hole ${edit.hole_number}: ${scoreChange} (${new Date(edit.edited_at).toLocaleDateString()})`;
+}
+
+/**
+ * Scorecard note for a picked-up hole, e.g. "Hole 7: Picked up, scored 7 (Net Double Bogey)"
+ */
+function formatPickupNote(hole) {
+  const rule = hole.pickup.type === "picked_up" && hole.pickup.rule
+    ? ` (${formatMaxScoreRule(hole.pickup.rule)})`
+    : "";
+  
+  return `Hole ${hole.number}: ${getPickupLabel(hole.pickup.type)}, scored ${hole.score}${rule}`;
+}
+
 /**
  * Helper function to get par for a specific hole from course data
  */
-function getCourseHolePar(courseData, holeNumber) {
+function getCourseHolePar(courseData, holeNumber, ratingSet) {
   if (!courseData || !courseData.holes || !Array.isArray(courseData.holes)) {
     return null;
   }
   
   const holeData = courseData.holes.find(h => h.number === holeNumber);
-  return holeData ? holeData.par_men : null;
+  return holeData ? getHolePar(holeData, ratingSet) : null;
 }
 
 /**
- * Helper function to calculate par for a range of holes
+ * Helper function to calculate par for a set of holes
  */
-function calculateCoursePar(courseData, startHole, endHole) {
+function calculateCoursePar(courseData, holeNumbers, ratingSet) {
   if (!courseData || !courseData.holes || !Array.isArray(courseData.holes)) {
     return null;
   }
   
   let totalPar = 0;
-  for (let i = startHole; i <= endHole; i++) {
-    const holePar = getCourseHolePar(courseData, i);
+  holeNumbers.forEach(holeNumber => {
+    const holePar = getCourseHolePar(courseData, holeNumber, ratingSet);
     if (holePar) {
       totalPar += holePar;
     }
-  }
+  });
   
   return totalPar || null;
 }
 
+/**
+ * Helper function to break down the round's shots by the club used
+ * Shots without a club are left out; clubs are listed in bag order
+ */
+function calculateClubStats(holes, holeNumbers) {
+  const statsByClub = {};
+  
+  holes.forEach(hole => {
+    const holeData = hole.hole_data;
+    if (!holeNumbers.includes(hole.hole_number) || !holeData || !Array.isArray(holeData.shots)) {
+      return;
+    }
+    
+    const shotDistances = calculateShotDistances(holeData.shots);
+    
+    holeData.shots.forEach((shot, index) => {
+      if (!shot.club || isExtraBall(shot)) return;
+      
+      if (!statsByClub[shot.club]) {
+        statsByClub[shot.club] = {
+          club: shot.club,
+          shots: 0,
+          outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+          distances: []
+        };
+      }
+      
+      statsByClub[shot.club].shots++;
+      if (statsByClub[shot.club].outcomes[shot.result] !== undefined) {
+        statsByClub[shot.club].outcomes[shot.result]++;
+      }
+      if (shotDistances[index] !== null) {
+        statsByClub[shot.club].distances.push(shotDistances[index]);
+      }
+    });
+  });
+  
+  return sortClubs(Object.keys(statsByClub)).map(club => {
+    const { distances, ...clubStat } = statsByClub[club];
+    return { ...clubStat, averageDistance: averageOf(distances) };
+  });
+}
+
+/**
+ * Helper function to work out time per hole and the total round time
+ * Holes are listed in playing order; holes without timing are left out
+ */
+function calculatePaceStats(holes, holeNumbers) {
+  const playedHoles = holeNumbers
+    .map(holeNumber => holes.find(hole => hole.hole_number === holeNumber))
+    .filter(Boolean);
+  
+  const holeTimes = playedHoles
+    .map(hole => ({ holeNumber: hole.hole_number, minutes: getHoleDurationMinutes(hole.hole_data) }))
+    .filter(hole => hole.minutes !== null);
+  
+  return {
+    holes: holeTimes,
+    slowestMinutes: Math.max(0, ...holeTimes.map(hole => hole.minutes)),
+    totalMinutes: calculateRoundDuration(playedHoles.map(hole => hole.hole_data))
+  };
+}
+
+/**
+ * Helper function to summarise GPS shot distances by shot type
+ * Only shot types with at least one measured distance are returned
+ */
+function calculateDistanceStats(holes, holeNumbers) {
+  const distancesByType = {};
+  
+  holes.forEach(hole => {
+    const holeData = hole.hole_data;
+    if (!holeNumbers.includes(hole.hole_number) || !holeData || !Array.isArray(holeData.shots)) {
+      return;
+    }
+    
+    const shotDistances = calculateShotDistances(holeData.shots);
+    holeData.shots.forEach((shot, index) => {
+      if (shotDistances[index] === null) return;
+      
+      distancesByType[shot.type] = distancesByType[shot.type] || [];
+      distancesByType[shot.type].push(shotDistances[index]);
+    });
+  });
+  
+  return SHOT_TYPES
+    .filter(type => distancesByType[type])
+    .map(type => ({
+      type,
+      count: distancesByType[type].length,
+      averageDistance: averageOf(distancesByType[type]),
+      longestDistance: Math.max(...distancesByType[type])
+    }));
+}
+
+/**
+ * Helper function to average a list of numbers, rounded; null for an empty list
+ */
+function averageOf(values) {
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+/**
+ * Helper function to group played holes into course nines (1-9, 10-18, 19-27...)
+ * Labels follow scorecard convention: Out, In, then the hole range for extra nines
+ */
+function groupHolesIntoNines(holeNumbers) {
+  const nines = [];
+  
+  holeNumbers.forEach(holeNumber => {
+    const nineIndex = Math.floor((holeNumber - 1) / 9);
+    let nine = nines.find(n => n.index === nineIndex);
+    
+    if (!nine) {
+      const label = nineIndex === 0 ? "Out" : nineIndex === 1 ? "In" : `${nineIndex * 9 + 1}-${nineIndex * 9 + 9}`;
+      nine = { index: nineIndex, label, holes: [] };
+      nines.push(nine);
+    }
+    
+    nine.holes.push(holeNumber);
+  });
+  
+  return nines;
+}
+
 // Styles with Material Design guidelines
 const styles = StyleSheet.create({
   container: {
@@ -447,6 +1120,33 @@ const styles = StyleSheet.create({
     color: "#666",
     marginTop: 4,
   },
+  roundActions: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  editToggle: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 8,
+  },
+  compareToggle: {
+    marginLeft: 20,
+  },
+  editToggleText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: theme.colors.primary,
+    marginLeft: 6,
+  },
+  editableHoleRow: {
+    backgroundColor: "#f5f9ff",
+  },
+  matchResult: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: theme.colors.primary,
+    marginTop: 4,
+  },
   scorecard: {
     backgroundColor: "#fff",
     flex: 1,
@@ -468,6 +1168,35 @@ const styles = StyleSheet.create({
   totalRow: {
     backgroundColor: "#f5f5f5",
   },
+  clubHeaderRow: {
+    marginTop: 16,
+  },
+  statLabelColumn: {
+    flex: 1,
+    paddingLeft: 16,
+    fontWeight: "500",
+  },
+  statValue: {
+    textAlign: "right",
+    paddingRight: 16,
+  },
+  patternBarTrack: {
+    flex: 1,
+    height: 12,
+    alignSelf: "center",
+    backgroundColor: "#f0f0f0",
+    borderRadius: 6,
+    overflow: "hidden",
+  },
+  patternBar: {
+    height: "100%",
+    backgroundColor: theme.colors.primary,
+  },
+  clubColumn: {
+    width: 100,
+    textAlign: "center",
+    fontWeight: "500",
+  },
   holeColumn: {
     width: 50,
     textAlign: "center",
@@ -493,6 +1222,18 @@ const styles = StyleSheet.create({
   totalText: {
     fontWeight: "bold",
   },
+  pickedUpScore: {
+    fontStyle: "italic",
+    color: theme.colors.error,
+  },
+  pickupNotes: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  pickupNote: {
+    fontSize: 12,
+    color: "#666",
+  },
   summary: {
     flexDirection: "row",
     backgroundColor: "#fff",
@@ -0,0 +1,187 @@
+// src/screens/StatsScreen.js
+import React, { useState, useEffect, useContext } from "react";
+import { View, StyleSheet, ScrollView, ActivityIndicator, TouchableOpacity } from "react-native";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import { AuthContext } from "../context/AuthContext";
+import { getCompletedRoundsWithHoles } from "../services/roundservice";
+import { calculateRoundStats, formatRateStat, formatPenaltyReasons } from "../services/statsService";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+
+// How many recent rounds the stats can cover
+const ROUND_RANGES = [5, 10, 20];
+
+/**
+ * StatsScreen Component
+ *
+ * Shows traditional golf stats (fairways, greens in regulation, scrambling,
+ * sand saves, putting and penalties) across the user's most recent completed rounds.
+ */
+export default function StatsScreen() {
+  const { user } = useContext(AuthContext);
+  const [roundRange, setRoundRange] = useState(ROUND_RANGES[1]);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Load rounds and derive stats whenever the range changes
+  useEffect(() => {
+    async function fetchStats() {
+      if (!user) return;
+
+      try {
+        setLoading(true);
+        setError(null);
+
+        const rounds = await getCompletedRoundsWithHoles(user.id, roundRange);
+        const holes = rounds.flatMap(({ holes }) => holes);
+
+        setStats(calculateRoundStats(holes, rounds.length));
+      } catch (err) {
+        console.error("Error loading stats:", err);
+        setError("Failed to load your stats. Please try again later.");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchStats();
+  }, [user, roundRange]);
+
+  // Individual stat tiles, grouped by part of the game
+  const statSections = stats ? [
+    {
+      title: "Long Game",
+      items: [
+        { label: "Fairways Hit", value: formatRateStat(stats.fairways) },
+        { label: "Greens in Regulation", value: formatRateStat(stats.greensInRegulation) }
+      ]
+    },
+    {
+      title: "Short Game",
+      items: [
+        { label: "Scrambling", value: formatRateStat(stats.scrambling) },
+        { label: "Sand Saves", value: formatRateStat(stats.sandSaves) }
+      ]
+    },
+    {
+      title: "Putting",
+      items: [
+        { label: "Putts per Round", value: stats.puttsPerRound ?? "-" },
+        { label: "Putts per GIR", value: stats.puttsPerGir ?? "-" },
+        { label: "3-Putts", value: stats.threePutts }
+      ]
+    },
+    {
+      title: "Penalties",
+      items: [
+        { label: "Penalties per Round", value: stats.penaltiesPerRound ?? "-" },
+        { label: "Stroke and Distance", value: stats.penalties.strokeAndDistance },
+        { label: "By Reason", value: formatPenaltyReasons(stats.penalties) }
+      ]
+    }
+  ] : [];
+
+  return (
+    <Layout>
+      <ScrollView contentContainerStyle={styles.container}>
+        {/* Range selector */}
+        <View style={styles.rangeList}>
+          {ROUND_RANGES.map(range => (
+            <TouchableOpacity
+              key={range}
+              style={[styles.rangeOption, roundRange === range && styles.selectedRangeOption]}
+              onPress={() => setRoundRange(range)}
+            >
+              <Typography
+                variant="body"
+                color={roundRange === range ? "#fff" : theme.colors.text}
+              >
+                Last {range}
+              </Typography>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {loading ? (
+          <ActivityIndicator size="large" color={theme.colors.primary} style={styles.loader} />
+        ) : error ? (
+          <Typography variant="body" style={styles.messageText}>
+            {error}
+          </Typography>
+        ) : !stats || stats.holesPlayed === 0 ? (
+          <Typography variant="secondary" italic style={styles.messageText}>
+            No completed rounds yet. Your stats will appear after your first round.
+          </Typography>
+        ) : (
+          <>
+            <Typography variant="caption" style={styles.coverageText}>
+              Based on {stats.roundCount} {stats.roundCount === 1 ? "round" : "rounds"} ({stats.holesPlayed} holes), not counting practice rounds
+            </Typography>
+
+            {statSections.map(section => (
+              <Card key={section.title} style={styles.sectionCard}>
+                <Typography variant="subtitle" style={styles.sectionTitle}>
+                  {section.title}
+                </Typography>
+                {section.items.map(item => (
+                  <View key={item.label} style={styles.statRow}>
+                    <Typography variant="body">{item.label}</Typography>
+                    <Typography variant="body" weight="semibold">{item.value}</Typography>
+                  </View>
+                ))}
+              </Card>
+            ))}
+          </>
+        )}
+      </ScrollView>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    padding: theme.spacing.medium,
+  },
+  rangeList: {
+    flexDirection: "row",
+    justifyContent: "center",
+    marginBottom: theme.spacing.medium,
+  },
+  rangeOption: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    marginHorizontal: 4,
+  },
+  selectedRangeOption: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  loader: {
+    marginTop: theme.spacing.large,
+  },
+  messageText: {
+    textAlign: "center",
+    marginTop: theme.spacing.large,
+  },
+  coverageText: {
+    textAlign: "center",
+    marginBottom: theme.spacing.medium,
+  },
+  sectionCard: {
+    marginBottom: theme.spacing.medium,
+  },
+  sectionTitle: {
+    marginBottom: theme.spacing.small,
+  },
+  statRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 6,
+  },
+});
@@ -1,6 +1,6 @@
 // src/screens/TrackerScreen.js
 
-import React, { useState, useEffect, useContext, useCallback } from "react";
+import React, { useState, useEffect, useContext, useCallback, useRef, useMemo } from "react";
 import { 
   View, 
   StyleSheet, 
@@ -12,19 +12,206 @@ import {
   TouchableOpacity
 } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import { Ionicons } from "@expo/vector-icons";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
-import { createRound, saveHoleData, completeRound, deleteAbandonedRound } from "../services/roundservice";
-import ShotTable from "../components/ShotTable";
+import { 
+  createRound, 
+  discardRound, 
+  clearLocalRoundState, 
+  getRoundHoleNumbers 
+} from "../services/roundservice";
+import ShotTable, { getDisplayOutcome, calculateShotCounts } from "../components/ShotTable";
+import ShotTimeline from "../components/ShotTimeline";
+import PartnerScores from "../components/PartnerScores";
 import HoleNavigator from "../components/HoleNavigator";
 import { AuthContext } from "../context/AuthContext";
 import Typography from "../ui/components/Typography";
 import Button from "../ui/components/Button";
 import DistanceIndicator from '../components/DistanceIndicator';
-import { useFocusEffect } from '@react-navigation/native';
+import { useFocusEffect, StackActions } from '@react-navigation/native';
 import { trackEvent, trackError, ERROR_TYPES } from "../services/analytics";
+import { enqueueRoundCompletion, processOutbox } from "../services/syncService";
+import { getGolfBag } from "../services/clubService";
+import { getRoundPlayers, getProfileHandicap, OWNER_PLAYER_ID } from "../services/playerService";
+import { 
+  createMatch, 
+  calculateMatchStatus, 
+  formatMatchStatus, 
+  allocateMatchStrokes 
+} from "../services/matchService";
+import {
+  calculateCourseHandicap,
+  allocateHandicapStrokes,
+  calculateNetScoring
+} from "../services/handicapService";
+import { 
+  createPenaltyShot, 
+  isPenaltyShot, 
+  getPenaltyReasonLabel 
+} from "../services/penaltyService";
+import { getHolePar, getHoleStrokeIndex, getRoundRatingSet } from "../services/courseRatingService";
+import { getDetailedEntryPreference, saveDetailedEntryPreference } from "../services/missService";
+import ShotDetailEntry from "../components/ShotDetailEntry";
+import { 
+  getPaceTarget, 
+  calculateRoundPace, 
+  formatDuration, 
+  formatPaceStatus, 
+  DEFAULT_PACE_TARGET_MINUTES 
+} from "../services/paceService";
+import { 
+  getTeePositions, 
+  isAtTee, 
+  getAutoAdvancePreference, 
+  saveAutoAdvancePreference, 
+  REQUIRED_TEE_FIXES 
+} from "../services/holeAdvanceService";
+import { isPracticeRound, isExtraBall } from "../services/practiceService";
+import { 
+  getMaxScoreSetting, 
+  createPickup, 
+  isPickedUp, 
+  getPickupLabel, 
+  getHoleScore, 
+  formatMaxScoreRule, 
+  DEFAULT_MAX_SCORE_SETTING 
+} from "../services/pickupService";
 import NetInfo from '@react-native-community/netinfo';
 
+// Number of shot changes kept for undo
+const MAX_SHOT_HISTORY = 50;
+
+// GPS fixes older than this are not used to position a shot
+const MAX_POSITION_AGE_MS = 60 * 1000;
+
+// How often the elapsed round time is refreshed
+const PACE_REFRESH_MS = 30 * 1000;
+
+// How long the automatic hole advance notice (with its undo) stays up
+const ADVANCE_NOTICE_MS = 8 * 1000;
+
+/**
+ * Create the empty tracking state for a single hole
+ */
+const createEmptyHoleState = () => ({
+  // Hole characteristics (will be filled from course data)
+  par: null,
+  distance: null,
+  index: null,
+  features: [],
+  
+  // Shot data
+  shots: [], // Array of { type, result, timestamp, club?, position?, measuredDistance? }
+  
+  // When play on the hole started and finished (ISO strings), for pace of play
+  startedAt: null,
+  finishedAt: null,
+  
+  // Set when the hole was picked up or a putt conceded: { type, score, rule }
+  pickup: null,
+  
+  // Playing partners' strokes, keyed by player ID
+  partnerScores: {},
+  
+  // Shot counts for ShotTable compatibility
+  shotCounts: {
+    "Tee Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Long Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Approach": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Chip": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Putts": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Sand": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
+  },
+  
+  // POI data for this hole
+  poi: null
+});
+
+/**
+ * Return hole data with one hole's shots replaced and its counts rebuilt
+ */
+const setHoleShots = (holeData, hole, shots) => ({
+  ...holeData,
+  [hole]: {
+    ...holeData[hole],
+    shots,
+    shotCounts: calculateShotCounts(shots)
+  }
+});
+
+/**
+ * Return hole data with an undo history entry's before or after value applied
+ * Entries replace the hole's shots unless they name another field (a pickup).
+ */
+const applyHistoryValue = (holeData, entry, value) => entry.field === "pickup"
+  ? { ...holeData, [entry.hole]: { ...holeData[entry.hole], pickup: value } }
+  : setHoleShots(holeData, entry.hole, value);
+
+// How a pickup is named on the undo/redo buttons
+const describePickup = (typeId) => typeId === "conceded" ? "conceded putt" : "pick-up";
+
+/**
+ * Return hole data with a hole marked finished and the next hole marked started
+ * Times already recorded are kept, so revisiting a hole doesn't restart its clock.
+ * A hole is only finished once it has shots or was picked up.
+ */
+const stampHoleTimes = (holeData, finishedHole, nextHole, time) => {
+  const newData = { ...holeData };
+  const hasPlayed = newData[finishedHole]?.shots?.length > 0 || isPickedUp(newData[finishedHole]);
+  
+  if (hasPlayed && !newData[finishedHole].finishedAt) {
+    newData[finishedHole] = { ...newData[finishedHole], finishedAt: time };
+  }
+  if (nextHole && newData[nextHole] && !newData[nextHole].startedAt) {
+    newData[nextHole] = { ...newData[nextHole], startedAt: time };
+  }
+  
+  return newData;
+};
+
+/**
+ * Short label for a shot used in the undo/redo buttons, e.g. "Approach (On Target)"
+ */
+const describeShot = (type, outcome) => `${type} (${getDisplayOutcome(outcome).replace("\n", " ")})`;
+
+/**
+ * Create the initial hole data structure for every hole in the round
+ */
+const createInitialHoleState = (holeNumbers) => {
+  const holeState = {};
+  holeNumbers.forEach(holeNum => {
+    holeState[holeNum] = createEmptyHoleState();
+  });
+  return holeState;
+};
+
+/**
+ * Stroke index for a hole, preferring the course definition over the hole's stored copy
+ */
+const getStrokeIndex = (courseDetails, holeData, holeNum, ratingSet) => {
+  const courseHole = courseDetails?.holes?.find(hole => hole.number === holeNum);
+  return getHoleStrokeIndex(courseHole, ratingSet) || holeData[holeNum]?.index || null;
+};
+
+/**
+ * Summary of net scoring for the header, e.g. "CH 14 • 1 stroke • Net 4 (2 pts) • Round: 12 pts"
+ */
+const formatNetScoreLine = (courseHandicap, holeStrokes = 0, netScoring, holeNum) => {
+  const hole = netScoring.holes.find(scoredHole => scoredHole.number === holeNum);
+  const parts = [`CH ${courseHandicap}`];
+  
+  if (holeStrokes !== 0) {
+    parts.push(`${holeStrokes} ${Math.abs(holeStrokes) === 1 ? "stroke" : "strokes"}`);
+  }
+  if (hole) {
+    parts.push(`Net ${hole.netScore}${hole.points !== null ? ` (${hole.points} pts)` : ""}`);
+  }
+  parts.push(`Round: ${netScoring.stablefordPoints} pts`);
+  
+  return parts.join(" • ");
+};
+
 /**
  * TrackerScreen Component
  * 
@@ -36,95 +223,147 @@ export default function TrackerScreen({ navigation }) {
   // Get the authenticated user from context
   const { user } = useContext(AuthContext);
   
-  // Local state for tracking current hole and shots
+  // Local state for tracking current hole and the holes played in this round
+  // Defaults to a full 18 until the round's configured length is loaded
+  const [holeNumbers, setHoleNumbers] = useState(() => getRoundHoleNumbers(null));
   const [currentHole, setCurrentHole] = useState(1);
-  const [totalHoles] = useState(18); // Standard golf round is 18 holes
+  const totalHoles = holeNumbers.length;
   
-  // Initialize hole data structure for all holes
-  const initialHoleState = {};
-  for (let i = 1; i <= 18; i++) {
-    initialHoleState[i] = {
-      // Hole characteristics (will be filled from course data)
-      par: null,
-      distance: null,
-      index: null,
-      features: [],
-      
-      // Shot data
-      shots: [], // Array of { type, result, timestamp }
-      
-      // Shot counts for ShotTable compatibility
-      shotCounts: {
-        "Tee Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Long Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Approach": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Chip": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Putts": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Sand": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Penalties": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-      },
-      
-      // POI data for this hole
-      poi: null
-    };
-  }
+  // Position of the current hole within the round (0-based)
+  const currentHoleIndex = holeNumbers.indexOf(currentHole);
+  const isLastHole = currentHoleIndex === holeNumbers.length - 1;
   
   // Main state variables for the component
-  const [holeData, setHoleData] = useState(initialHoleState); // Tracks all data for all holes
+  const [holeData, setHoleData] = useState(() => createInitialHoleState(holeNumbers)); // Tracks all data for all holes
   const [round, setRound] = useState(null);                    // Current round data
   const [activeColumn, setActiveColumn] = useState("On Target"); // Currently selected outcome column
   const [loading, setLoading] = useState(false);                // Loading state for async operations
   const [course, setCourse] = useState(null);                   // Current course data
   const [courseDetails, setCourseDetails] = useState(null);     // Detailed course data from database
+  const [isHydrated, setIsHydrated] = useState(false);          // Whether stored round state has been restored
+  const [shotHistory, setShotHistory] = useState({ past: [], future: [] }); // Undo/redo stacks of shot and pickup changes
+  const [golfBag, setGolfBag] = useState([]);                   // Clubs the user carries
+  const [selectedClub, setSelectedClub] = useState(null);       // Club to tag on the next shot, if any
+  const [nextShotExtraBall, setNextShotExtraBall] = useState(false); // Practice rounds: next shot is a mulligan / extra ball
+  const [detailedEntry, setDetailedEntry] = useState(false);    // Whether to record miss direction and lie per shot
+  const [paceTarget, setPaceTarget] = useState(DEFAULT_PACE_TARGET_MINUTES); // Target minutes for 18 holes
+  const [now, setNow] = useState(Date.now());                   // Clock for the elapsed round time
+  const [autoAdvance, setAutoAdvance] = useState(false);        // Whether to move on at the next hole's tee
+  const [advanceNotice, setAdvanceNotice] = useState(null);     // Last automatic hole advance, while it can be undone
+  const [maxScoreSetting, setMaxScoreSetting] = useState(DEFAULT_MAX_SCORE_SETTING); // Score for a picked-up hole
+  
+  // Set once the round is committed to the sync queue so leaving the screen
+  // no longer prompts to pause or discard it
+  const isRoundFinishedRef = useRef(false);
+  
+  // Latest GPS fix from the distance indicator, used to stamp shots with their position
+  const latestPositionRef = useRef(null);
+  
+  // Set once the player has been told a match was closed out, so they're only asked once
+  const hasAnnouncedMatchEndRef = useRef(false);
+  
+  // Rating set each hole's par and stroke index were filled in from, so they're
+  // refreshed if the round's set changes after the hole was shown
+  const holeInfoRatingSetsRef = useRef({});
+  
+  // Automatic hole advance: consecutive fixes on the next tee, holes the player
+  // undid a move to, and the latest arrival check (it reads the current render's state)
+  const teeFixCountRef = useRef(0);
+  const declinedAdvanceRef = useRef(new Set());
+  const checkTeeArrivalRef = useRef(null);
+  
+  // Men's or women's par and stroke index, as chosen when the round started
+  const ratingSet = getRoundRatingSet(round);
+  
+  // Where a match play round stands, from every hole in playing order
+  const matchStatus = useMemo(() => {
+    if (!round?.match) return null;
+    
+    return calculateMatchStatus(round.match, holeNumbers.map(holeNum => ({
+      number: holeNum,
+      holeData: holeData[holeNum],
+      strokeIndex: getStrokeIndex(courseDetails, holeData, holeNum, ratingSet)
+    })));
+  }, [round, holeNumbers, holeData, courseDetails, ratingSet]);
+  
+  // Handicap strokes per hole and the running net / Stableford score
+  const strokesByHole = useMemo(() => allocateHandicapStrokes(
+    round?.course_handicap,
+    holeNumbers.map(holeNum => ({ number: holeNum, index: getStrokeIndex(courseDetails, holeData, holeNum, ratingSet) }))
+  ), [round, holeNumbers, courseDetails, holeData, ratingSet]);
+  const netScoring = useMemo(() => calculateNetScoring(
+    holeNumbers.map(holeNum => ({
+      number: holeNum,
+      par: holeData[holeNum]?.par,
+      grossScore: getHoleScore(holeData[holeNum])
+    })),
+    strokesByHole
+  ), [holeNumbers, holeData, strokesByHole]);
+
+  /**
+   * Ask the user how to leave an active round
+   * Pausing keeps the round on the device so it can be resumed from the home screen,
+   * discarding deletes it from the database and the device
+   * 
+   * @param {Function} leave - Performs the navigation that was requested
+   */
+  const promptExitRound = useCallback((leave) => {
+    Alert.alert(
+      "Leave Round?",
+      "Pause to keep your progress and resume later from the Clubhouse, or discard this round.",
+      [
+        { text: "Stay", style: "cancel" },
+        {
+          text: "Pause Round",
+          onPress: () => {
+            // Hole data and the current hole are already persisted as they change
+            trackEvent('round_paused', {
+              round_id: round.id,
+              current_hole: currentHole
+            });
+            leave();
+          }
+        },
+        { 
+          text: "Discard Round", 
+          style: "destructive",
+          onPress: async () => {
+            try {
+              setLoading(true);
+              
+              // Delete the round from the database and clean up AsyncStorage
+              await discardRound(round.id);
+              
+              console.log("Round abandoned and cleaned up successfully");
+            } catch (error) {
+              console.error("Error abandoning round:", error);
+              // Still navigate even if cleanup fails
+            } finally {
+              setLoading(false);
+              leave();
+            }
+          }
+        }
+      ]
+    );
+  }, [round, currentHole]);
 
   // Update the iOS navigation interception
   useFocusEffect(
     useCallback(() => {
       const unsubscribe = navigation.addListener('beforeRemove', (e) => {
         // If we have an active round, prevent ANY navigation and show confirmation
-        if (round && round.id) {
+        if (round && round.id && !isRoundFinishedRef.current) {
           // Always prevent the default navigation
           e.preventDefault();
           
-          Alert.alert(
-            "Exit Round?",
-            "Are you sure you want to exit this round? Your progress will not be saved.",
-            [
-              { text: "Stay", style: "cancel" },
-              { 
-                text: "Exit", 
-                style: "destructive",
-                onPress: async () => {
-                  try {
-                    setLoading(true);
-                    
-                    // Delete the round from the database
-                    await deleteAbandonedRound(round.id);
-                    
-                    // Clean up AsyncStorage
-                    await AsyncStorage.removeItem(`round_${round.id}_holes`);
-                    await AsyncStorage.removeItem("currentRound");
-                    
-                    console.log("Round abandoned and cleaned up successfully");
-                    
-                    // Dispatch the originally prevented action
-                    navigation.dispatch(e.data.action);
-                  } catch (error) {
-                    console.error("Error abandoning round:", error);
-                    // Still navigate even if cleanup fails
-                    navigation.dispatch(e.data.action);
-                  } finally {
-                    setLoading(false);
-                  }
-                }
-              }
-            ]
-          );
+          // Dispatch the originally prevented action once the user decides
+          promptExitRound(() => navigation.dispatch(e.data.action));
         }
       });
 
       return unsubscribe;
-    }, [navigation, round, setLoading])
+    }, [navigation, round, promptExitRound])
   );
 
   // Add this effect to handle hardware back button on Android
@@ -132,49 +371,18 @@ export default function TrackerScreen({ navigation }) {
     const backHandler = BackHandler.addEventListener(
       'hardwareBackPress',
       () => {
-        // Show confirmation dialog instead of going back immediately
-        Alert.alert(
-          "Exit Round?",
-          "Are you sure you want to exit this round? Your progress will not be saved.",
-          [
-            { text: "Stay", style: "cancel", onPress: () => {} },
-            { 
-              text: "Exit", 
-              style: "destructive",
-              onPress: async () => {
-                try {
-                  setLoading(true); // Show loading state
-                  
-                  if (round && round.id) {
-                    // Delete the round from the database
-                    await deleteAbandonedRound(round.id);
-                    
-                    // Clean up AsyncStorage
-                    await AsyncStorage.removeItem(`round_${round.id}_holes`);
-                    await AsyncStorage.removeItem("currentRound");
-                    
-                    console.log("Round abandoned and cleaned up successfully");
-                  }
-                  
-                  // Navigate back
-                  navigation.goBack();
-                } catch (error) {
-                  console.error("Error abandoning round:", error);
-                  // Still navigate back even if cleanup fails
-                  navigation.goBack();
-                } finally {
-                  setLoading(false);
-                }
-              }
-            }
-          ]
-        );
+        if (round && round.id) {
+          // Show confirmation dialog instead of going back immediately
+          promptExitRound(() => navigation.goBack());
+        } else {
+          navigation.goBack();
+        }
         return true; // Prevent default back behavior
       }
     );
 
     return () => backHandler.remove();
-  }, [round]);
+  }, [round, promptExitRound]);
 
   /**
    * Save the current hole data to AsyncStorage
@@ -230,22 +438,46 @@ export default function TrackerScreen({ navigation }) {
     }
   }, [round]);
 
+  /**
+   * Persist hole data and the current hole as they change so an interrupted round
+   * (app killed, phone restarted, round paused) can be resumed where it left off.
+   * Writes the full hole state so overlapping writes can never drop another hole's shots.
+   */
+  useEffect(() => {
+    if (!round || !isHydrated) return;
+    
+    const persistRoundState = async () => {
+      try {
+        await AsyncStorage.setItem(`round_${round.id}_holes`, JSON.stringify(holeData));
+        await AsyncStorage.setItem(`round_${round.id}_current_hole`, String(currentHole));
+        await AsyncStorage.setItem(`round_${round.id}_shot_history`, JSON.stringify(shotHistory));
+      } catch (error) {
+        console.error("Error persisting round state to AsyncStorage:", error);
+      }
+    };
+    
+    persistRoundState();
+  }, [round, isHydrated, holeData, currentHole, shotHistory]);
+
   /**
    * Function to navigate to the next hole
    * Saves current hole data before moving
    */
   const handleNextHole = useCallback(async () => {
-    if (currentHole < totalHoles) {
+    if (!isLastHole) {
       // Save current hole data to AsyncStorage
       await saveCurrentHoleToStorage();
       
+      // Moving on finishes the hole for pace of play
+      setHoleData(prevData => stampHoleTimes(prevData, currentHole, holeNumbers[currentHoleIndex + 1], new Date().toISOString()));
+      
       // Move to the next hole
-      setCurrentHole(prev => prev + 1);
+      setCurrentHole(holeNumbers[currentHoleIndex + 1]);
     } else {
       // If on the last hole, prompt to finish the round
       Alert.alert(
         "End of Round",
-        "You've reached the last hole. Would you like to finish the round?",
+        `Hole ${currentHole} is the last hole of your round. Would you like to finish the round?`,
         [
           { text: "Cancel", style: "cancel" },
           { 
@@ -256,21 +488,21 @@ export default function TrackerScreen({ navigation }) {
         ]
       );
     }
-  }, [currentHole, totalHoles, saveCurrentHoleToStorage]);
+  }, [isLastHole, holeNumbers, currentHoleIndex, currentHole, saveCurrentHoleToStorage]);
 
   /**
    * Function to navigate to the previous hole
    * Saves current hole data before moving
    */
   const handlePreviousHole = useCallback(async () => {
-    if (currentHole > 1) {
+    if (currentHoleIndex > 0) {
       // Save current hole data to AsyncStorage
       await saveCurrentHoleToStorage();
       
       // Move to the previous hole
-      setCurrentHole(prev => prev - 1);
+      setCurrentHole(holeNumbers[currentHoleIndex - 1]);
     }
-  }, [currentHole, saveCurrentHoleToStorage]);
+  }, [holeNumbers, currentHoleIndex, saveCurrentHoleToStorage]);
 
   /**
    * Update hole information when courseDetails or currentHole changes
@@ -315,17 +547,21 @@ export default function TrackerScreen({ navigation }) {
           }
         }
         
+        // Par and stroke index shown from another rating set are replaced
+        const ratingSetChanged = holeInfoRatingSetsRef.current[currentHole] !== ratingSet;
+        holeInfoRatingSetsRef.current[currentHole] = ratingSet;
+        
         // Update hole data with course information
         setHoleData(prevData => {
           const newData = { ...prevData };
           
           // Only update if not already set
-          if (!newData[currentHole].par) {
+          if (newData[currentHole] && (!newData[currentHole].par || ratingSetChanged)) {
             newData[currentHole] = {
               ...newData[currentHole],
-              par: currentHoleInfo.par_men || null,
+              par: getHolePar(currentHoleInfo, ratingSet),
               distance: distance || null,
-              index: currentHoleInfo.index_men || null,
+              index: getHoleStrokeIndex(currentHoleInfo, ratingSet),
               features: currentHoleInfo.features || [],
               poi: holePoi // Add POI data to hole
             };
@@ -335,7 +571,45 @@ export default function TrackerScreen({ navigation }) {
         });
       }
     }
-  }, [courseDetails, currentHole, round, course]);
+  }, [courseDetails, currentHole, round, course, ratingSet]);
+
+  // Load the user's bag for club tagging
+  useEffect(() => {
+    if (!user) return;
+    
+    getGolfBag(user.id).then(setGolfBag);
+  }, [user]);
+
+  // Restore the detailed entry, auto-advance and maximum score settings
+  useEffect(() => {
+    getDetailedEntryPreference().then(setDetailedEntry);
+    getAutoAdvancePreference().then(setAutoAdvance);
+    getMaxScoreSetting().then(setMaxScoreSetting);
+  }, []);
+
+  // Hide the auto-advance notice once the chance to undo has passed
+  useEffect(() => {
+    if (!advanceNotice) return;
+    
+    const timeout = setTimeout(() => setAdvanceNotice(null), ADVANCE_NOTICE_MS);
+    return () => clearTimeout(timeout);
+  }, [advanceNotice]);
+
+  // Load the pace target and keep the elapsed time current
+  useEffect(() => {
+    getPaceTarget().then(setPaceTarget);
+    
+    const interval = setInterval(() => setNow(Date.now()), PACE_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Start the clock on the first hole shown; later holes start as the previous one is finished
+  useEffect(() => {
+    if (!round || !isHydrated) return;
+    if (holeNumbers.some(holeNum => holeData[holeNum]?.startedAt)) return;
+    
+    setHoleData(prevData => stampHoleTimes(prevData, null, currentHole, new Date().toISOString()));
+  }, [round, isHydrated, holeNumbers, holeData, currentHole]);
 
   /**
    * Initialize round on component mount
@@ -370,21 +644,60 @@ export default function TrackerScreen({ navigation }) {
         }
         
         // Check if there's an in-progress round in AsyncStorage
-        const existingRoundStr = await AsyncStorage.getItem("currentRound");
+        let existingRoundStr = await AsyncStorage.getItem("currentRound");
         let roundData;
         
+        // Only a round on the selected course can be resumed; the player has already
+        // chosen to start something new, so a leftover round from elsewhere is discarded
+        if (existingRoundStr) {
+          const existingRound = JSON.parse(existingRoundStr);
+          if (existingRound.course_id !== courseData.id || existingRound.profile_id !== user.id) {
+            console.log("Discarding stored round for a different course:", existingRound.id);
+            await discardRound(existingRound.id);
+            existingRoundStr = null;
+          }
+        }
+        
         if (existingRoundStr) {
           // Use existing round
           roundData = JSON.parse(existingRoundStr);
           console.log("Resuming existing round:", roundData);
           setRound(roundData);
         } else {
-          // Create a new round
+          // Handicap strokes are fixed from the handicaps at the start of the round
+          const handicapIndex = await getProfileHandicap(user.id);
+          const holesPlayed = getRoundHoleNumbers({ first_hole: courseData.firstHole, last_hole: courseData.lastHole }).length;
+          const match = courseData.matchFormat
+            ? createMatch(courseData.matchFormat, handicapIndex, courseData.players || [], {
+                slope: courseData.teeSlope,
+                courseRating: courseData.teeCourseRating,
+                coursePar: courseData.coursePar,
+                holesPlayed
+              })
+            : null;
+          const courseHandicap = calculateCourseHandicap(
+            handicapIndex,
+            { slope: courseData.teeSlope, courseRating: courseData.teeCourseRating },
+            courseData.coursePar || 72,
+            holesPlayed
+          );
+          
+          // Create a new round covering the selected range of holes
           roundData = await createRound(
             user.id,
             courseData.id,
             courseData.teeId,
-            courseData.teeName
+            courseData.teeName,
+            {
+              first_hole: courseData.firstHole,
+              last_hole: courseData.lastHole,
+              start_hole: courseData.startHole,
+              players: courseData.players,
+              match,
+              course_handicap: courseHandicap,
+              rating_set: courseData.ratingSet,
+              is_practice: courseData.isPractice
+            }
           );
           
           console.log("New round created:", roundData);
@@ -394,6 +707,12 @@ export default function TrackerScreen({ navigation }) {
           await AsyncStorage.setItem("currentRound", JSON.stringify(roundData));
         }
         
+        // Size the tracker to the holes played in this round
+        const roundHoleNumbers = getRoundHoleNumbers(roundData);
+        setHoleNumbers(roundHoleNumbers);
+        setCurrentHole(roundHoleNumbers[0]);
+        setHoleData(createInitialHoleState(roundHoleNumbers));
+        
         // Get supabase from the service
         const { supabase } = require("../services/supabase");
         
@@ -435,6 +754,21 @@ export default function TrackerScreen({ navigation }) {
             
             console.log("Loaded hole data from storage");
           }
+          
+          // Return to the hole the player was on when the round was interrupted
+          const storedCurrentHoleStr = await AsyncStorage.getItem(`round_${roundData.id}_current_hole`);
+          const storedCurrentHole = storedCurrentHoleStr ? parseInt(storedCurrentHoleStr, 10) : null;
+          if (storedCurrentHole && roundHoleNumbers.includes(storedCurrentHole)) {
+            setCurrentHole(storedCurrentHole);
+          }
+          
+          // Restore undo/redo history so corrections survive an interrupted round
+          const storedHistoryStr = await AsyncStorage.getItem(`round_${roundData.id}_shot_history`);
+          if (storedHistoryStr) {
+            setShotHistory(JSON.parse(storedHistoryStr));
+          }
+          
+          setIsHydrated(true);
         }
       } catch (error) {
         console.error("Error initializing round:", error);
@@ -448,32 +782,143 @@ export default function TrackerScreen({ navigation }) {
     initializeRound();
   }, [user, navigation]);
 
+  /**
+   * Replace a hole's shots and record the change in the undo history
+   * 
+   * @param {number} hole - Hole number being changed
+   * @param {Array<Object>} shots - New shots array for the hole
+   * @param {string} description - What the change did, shown on the undo/redo buttons
+   */
+  const applyShotChange = useCallback((hole, shots, description) => {
+    const previousShots = holeData[hole]?.shots || [];
+    
+    setHoleData(prevData => setHoleShots(prevData, hole, shots));
+    setShotHistory(prevHistory => ({
+      past: [
+        ...prevHistory.past,
+        { hole, before: previousShots, after: shots, description }
+      ].slice(-MAX_SHOT_HISTORY),
+      future: []
+    }));
+  }, [holeData]);
+
+  /**
+   * Set or clear a hole's pickup and record the change in the undo history
+   * 
+   * @param {number} hole - Hole number being changed
+   * @param {Object|null} pickup - New pickup from createPickup, or null to score from the shots
+   * @param {string} description - What the change did, shown on the undo/redo buttons
+   */
+  const applyPickupChange = useCallback((hole, pickup, description) => {
+    const entry = { hole, field: "pickup", before: holeData[hole]?.pickup || null, after: pickup, description };
+    
+    setHoleData(prevData => applyHistoryValue(prevData, entry, pickup));
+    setShotHistory(prevHistory => ({
+      past: [...prevHistory.past, entry].slice(-MAX_SHOT_HISTORY),
+      future: []
+    }));
+  }, [holeData]);
+
   /**
    * Function to add a shot of a specific type and outcome
    */
   const addShot = useCallback((type, outcome) => {
     console.log(`Adding ${outcome} ${type} shot for hole ${currentHole}`);
     
-    setHoleData(prevData => {
-      const newData = { ...prevData };
-      const currentHoleInfo = { ...newData[currentHole] };
-      
-      // Add to shots array
-      currentHoleInfo.shots.push({
-        type,
-        result: outcome,
-        timestamp: new Date().toISOString()
-      });
-      
-      // Update shot counts for ShotTable compatibility
-      currentHoleInfo.shotCounts[type][outcome] += 1;
-      
-      // Update hole data
-      newData[currentHole] = currentHoleInfo;
-      
-      return newData;
-    });
-  }, [currentHole]);
+    const shot = {
+      type,
+      result: outcome,
+      timestamp: new Date().toISOString()
+    };
+    
+    // Record where the shot was hit from when we have a recent GPS fix
+    const latestPosition = latestPositionRef.current;
+    if (latestPosition && Date.now() - latestPosition.timestamp <= MAX_POSITION_AGE_MS) {
+      shot.position = {
+        lat: latestPosition.lat,
+        lng: latestPosition.lng,
+        accuracy: latestPosition.accuracy
+      };
+    }
+    
+    // Club tagging is optional and applies to a single shot
+    if (selectedClub) {
+      shot.club = selectedClub;
+      setSelectedClub(null);
+    }
+    
+    // Extra balls are recorded for practice but don't count towards the score
+    if (nextShotExtraBall) {
+      shot.extraBall = true;
+      setNextShotExtraBall(false);
+    }
+    
+    const shots = [...(holeData[currentHole]?.shots || []), shot];
+    
+    applyShotChange(currentHole, shots, describeShot(type, outcome));
+  }, [currentHole, holeData, selectedClub, nextShotExtraBall, applyShotChange]);
+
+  /**
+   * Add a penalty stroke with its reason
+   * Stroke-and-distance penalties mean the next shot is replayed from where the previous one was hit
+   */
+  const addPenalty = useCallback((reasonId, strokeAndDistance) => {
+    console.log(`Adding ${reasonId} penalty for hole ${currentHole}`);
+    
+    const shots = [...(holeData[currentHole]?.shots || []), createPenaltyShot(reasonId, strokeAndDistance)];
+    
+    applyShotChange(currentHole, shots, `${getPenaltyReasonLabel(reasonId)} penalty`);
+  }, [currentHole, holeData, applyShotChange]);
+
+  /**
+   * Remove the most recent penalty stroke on the current hole
+   */
+  const removePenalty = useCallback(() => {
+    const currentShots = holeData[currentHole]?.shots || [];
+    const penaltyIndex = currentShots.map(isPenaltyShot).lastIndexOf(true);
+    
+    if (penaltyIndex === -1) {
+      return;
+    }
+    
+    const penalty = currentShots[penaltyIndex];
+    const shots = currentShots.filter((_, index) => index !== penaltyIndex);
+    
+    applyShotChange(currentHole, shots, `removing ${getPenaltyReasonLabel(penalty.penaltyReason)} penalty`);
+  }, [currentHole, holeData, applyShotChange]);
+
+  /**
+   * Keep the latest GPS fix from the distance indicator
+   */
+  const handleLocationUpdate = useCallback((location) => {
+    latestPositionRef.current = {
+      lat: location.coords.latitude,
+      lng: location.coords.longitude,
+      accuracy: location.coords.accuracy != null ? Math.round(location.coords.accuracy) : null,
+      timestamp: location.timestamp || Date.now()
+    };
+    
+    checkTeeArrivalRef.current?.(latestPositionRef.current);
+  }, []);
+
+  /**
+   * Save a distance measured with "Mark ball" onto the last shot of the current hole
+   */
+  const saveMeasuredDistance = useCallback((distance) => {
+    const currentShots = holeData[currentHole]?.shots || [];
+    
+    if (currentShots.length === 0) {
+      Alert.alert("No Shot to Measure", "Record the shot first, then save its measured distance.");
+      return;
+    }
+    
+    const lastIndex = currentShots.length - 1;
+    const shots = currentShots.map((shot, index) => 
+      index === lastIndex ? { ...shot, measuredDistance: distance } : shot
+    );
+    
+    applyShotChange(currentHole, shots, `${distance} yd measurement`);
+  }, [currentHole, holeData, applyShotChange]);
 
   /**
    * Function to remove a shot of a specific type and outcome
@@ -481,38 +926,155 @@ export default function TrackerScreen({ navigation }) {
   const removeShot = useCallback((type, outcome) => {
     console.log(`Removing ${outcome} ${type} shot for hole ${currentHole}`);
     
+    const currentShots = holeData[currentHole]?.shots || [];
+    
+    // Find the index of the last counted shot of this type and outcome
+    const shotIndex = [...currentShots].reverse().findIndex(
+      shot => shot.type === type && shot.result === outcome && !isExtraBall(shot)
+    );
+    
+    // Only proceed if there is a matching shot to remove
+    if (shotIndex === -1) {
+      return;
+    }
+    
+    // Convert the reversed index to the actual index and remove it from a copy
+    const actualIndex = currentShots.length - 1 - shotIndex;
+    const shots = currentShots.filter((_, index) => index !== actualIndex);
+    
+    applyShotChange(currentHole, shots, `removing ${describeShot(type, outcome)}`);
+  }, [currentHole, holeData, applyShotChange]);
+
+  /**
+   * Switch detailed shot entry on or off and remember the choice
+   */
+  const toggleDetailedEntry = useCallback(() => {
+    setDetailedEntry(prevEnabled => {
+      saveDetailedEntryPreference(!prevEnabled);
+      return !prevEnabled;
+    });
+  }, []);
+
+  /**
+   * Record where the last swing on the current hole missed or finished
+   */
+  const updateLastShotDetail = useCallback((changes) => {
+    const currentShots = holeData[currentHole]?.shots || [];
+    const lastIndex = currentShots.map(shot => !isPenaltyShot(shot)).lastIndexOf(true);
+    
+    if (lastIndex === -1) {
+      return;
+    }
+    
+    const shots = currentShots.map((shot, index) => 
+      index === lastIndex ? { ...shot, ...changes } : shot
+    );
+    
+    applyShotChange(currentHole, shots, "shot detail");
+  }, [currentHole, holeData, applyShotChange]);
+
+  /**
+   * Switch automatic hole advance on or off and remember the choice
+   */
+  const toggleAutoAdvance = useCallback(() => {
+    setAutoAdvance(prevEnabled => {
+      saveAutoAdvancePreference(!prevEnabled);
+      return !prevEnabled;
+    });
+    teeFixCountRef.current = 0;
+  }, []);
+
+  /**
+   * Pick up on the current hole or concede the putt, scoring it from the max score setting
+   * 
+   * @param {string} typeId - Pickup type ID ("picked_up" or "conceded")
+   */
+  const pickUpHole = useCallback((typeId) => {
+    const strokesReceived = typeof round?.course_handicap === "number" ? strokesByHole[currentHole] || 0 : null;
+    const pickup = createPickup(typeId, maxScoreSetting, strokesReceived);
+    
+    console.log(`${getPickupLabel(typeId)} on hole ${currentHole} (${formatMaxScoreRule(maxScoreSetting)})`);
+    
+    applyPickupChange(currentHole, pickup, describePickup(typeId));
+  }, [currentHole, round, strokesByHole, maxScoreSetting, applyPickupChange]);
+
+  /**
+   * Go back to scoring the current hole from its shots
+   */
+  const clearPickup = useCallback(() => {
+    const typeId = holeData[currentHole]?.pickup?.type;
+    
+    applyPickupChange(currentHole, null, `removing ${describePickup(typeId)}`);
+  }, [currentHole, holeData, applyPickupChange]);
+
+  /**
+   * Replace the current hole's shot sequence with an edited one from the timeline
+   */
+  const updateShots = useCallback((shots) => {
+    console.log(`Updating shot timeline for hole ${currentHole} (${shots.length} shots)`);
+    
+    applyShotChange(currentHole, shots, "timeline edit");
+  }, [currentHole, applyShotChange]);
+
+  /**
+   * Set a playing partner's score on the current hole (null clears it)
+   */
+  const setPartnerScore = useCallback((playerId, score) => {
     setHoleData(prevData => {
-      const newData = { ...prevData };
-      const currentHoleInfo = { ...newData[currentHole] };
-      
-      // Only proceed if there are shots to remove
-      if (currentHoleInfo.shotCounts[type][outcome] <= 0) {
-        return prevData;
+      const partnerScores = { ...(prevData[currentHole]?.partnerScores || {}) };
+      if (score) {
+        partnerScores[playerId] = score;
+      } else {
+        delete partnerScores[playerId];
       }
       
-      // Find the index of the last shot of this type and outcome
-      const shotIndex = [...currentHoleInfo.shots].reverse().findIndex(
-        shot => shot.type === type && shot.result === outcome
-      );
-      
-      if (shotIndex !== -1) {
-        // Convert the reversed index to the actual index
-        const actualIndex = currentHoleInfo.shots.length - 1 - shotIndex;
-        
-        // Remove the shot from the shots array
-        currentHoleInfo.shots.splice(actualIndex, 1);
-        
-        // Update the shot counts for ShotTable compatibility
-        currentHoleInfo.shotCounts[type][outcome] -= 1;
-        
-        // Update the hole data
-        newData[currentHole] = currentHoleInfo;
-      }
-      
-      return newData;
+      return {
+        ...prevData,
+        [currentHole]: {
+          ...prevData[currentHole],
+          partnerScores
+        }
+      };
     });
   }, [currentHole]);
 
+  /**
+   * Revert the most recent shot change, on whichever hole it was made
+   */
+  const undoShotChange = useCallback(() => {
+    const entry = shotHistory.past[shotHistory.past.length - 1];
+    if (!entry) return;
+    
+    console.log(`Undoing ${entry.description} on hole ${entry.hole}`);
+    
+    setHoleData(prevData => applyHistoryValue(prevData, entry, entry.before));
+    setShotHistory({
+      past: shotHistory.past.slice(0, -1),
+      future: [entry, ...shotHistory.future]
+    });
+    
+    // Show the hole that changed so the correction is visible
+    setCurrentHole(entry.hole);
+  }, [shotHistory]);
+
+  /**
+   * Re-apply the most recently undone shot change
+   */
+  const redoShotChange = useCallback(() => {
+    const entry = shotHistory.future[0];
+    if (!entry) return;
+    
+    console.log(`Redoing ${entry.description} on hole ${entry.hole}`);
+    
+    setHoleData(prevData => applyHistoryValue(prevData, entry, entry.after));
+    setShotHistory({
+      past: [...shotHistory.past, entry],
+      future: shotHistory.future.slice(1)
+    });
+    
+    setCurrentHole(entry.hole);
+  }, [shotHistory]);
+
   /**
    * Complete a hole and save data to AsyncStorage
    */
@@ -523,12 +1085,28 @@ export default function TrackerScreen({ navigation }) {
       // Save current hole data to AsyncStorage
       await saveCurrentHoleToStorage();
       
+      // Record when the hole finished and the next one started
+      setHoleData(prevData => stampHoleTimes(prevData, currentHole, holeNumbers[currentHoleIndex + 1], new Date().toISOString()));
+      
       // Move to next hole if not on last hole
-      if (currentHole < totalHoles) {
-        setCurrentHole(prev => prev + 1);
+      if (!isLastHole) {
+        setCurrentHole(holeNumbers[currentHoleIndex + 1]);
       }
       
       setLoading(false);
+      
+      // A closed-out match can end the round early
+      if (matchStatus?.isClosedOut && !hasAnnouncedMatchEndRef.current) {
+        hasAnnouncedMatchEndRef.current = true;
+        Alert.alert(
+          "Match Over",
+          `${formatMatchStatus(matchStatus)}. Finish the round now or keep playing for your stroke play score?`,
+          [
+            { text: "Keep Playing", style: "cancel" },
+            { text: "Finish Round", onPress: () => finishRound() }
+          ]
+        );
+      }
     } catch (error) {
       console.error("Error completing hole:", error);
       setLoading(false);
@@ -568,47 +1146,85 @@ export default function TrackerScreen({ navigation }) {
       }
       
       const storedHoleData = JSON.parse(storedDataStr);
+      const holesToSync = [];
+      let totalPar = 0;
+      let hasFullPar = true;
       
       // Process each hole and track statistics
-      for (let holeNum = 1; holeNum <= totalHoles; holeNum++) {
-        if (!storedHoleData[holeNum] || storedHoleData[holeNum].shots.length === 0) {
+      for (const holeNum of holeNumbers) {
+        // Holes without shots still count when they were picked up
+        if (!storedHoleData[holeNum] || (storedHoleData[holeNum].shots.length === 0 && !isPickedUp(storedHoleData[holeNum]))) {
           continue;
         }
         
         const holeInfo = storedHoleData[holeNum];
-        const totalScore = holeInfo.shots.length;
+        const totalScore = getHoleScore(holeInfo);
         totalShotCount += totalScore;
         completedHoles++;
         
+        if (holeInfo.par) {
+          totalPar += holeInfo.par;
+        } else {
+          hasFullPar = false;
+        }
+        
         const holeDataForDb = {
           par: holeInfo.par,
           distance: holeInfo.distance,
           index: holeInfo.index,
           features: holeInfo.features,
           shots: holeInfo.shots,
+          partnerScores: holeInfo.partnerScores || {},
+          pickup: holeInfo.pickup || null,
+          startedAt: holeInfo.startedAt || null,
+          // The hole being played when the round is finished ends now
+          finishedAt: holeInfo.finishedAt || (holeNum === currentHole ? new Date().toISOString() : null),
           poi: holeInfo.poi
         };
         
-        await saveHoleData(round.id, holeNum, holeDataForDb, totalScore);
+        holesToSync.push({
+          hole_number: holeNum,
+          hole_data: holeDataForDb,
+          total_score: totalScore
+        });
       }
       
-      await completeRound(round.id);
+      // Commit the finished round on the device first so it survives a lost connection
+      await enqueueRoundCompletion(round.id, holesToSync, {
+        courseName: course?.name,
+        date: round.created_at,
+        grossShots: totalShotCount,
+        score: hasFullPar && completedHoles > 0 ? totalShotCount - totalPar : null
+      });
+      
+      isRoundFinishedRef.current = true;
+      await clearLocalRoundState(round.id);
       
-      // Track successful completion
-      trackEvent('round_completion_succeeded', {
+      // Try to sync straight away; anything left over is retried on reconnect
+      const syncedRoundIds = await processOutbox();
+      const isSynced = syncedRoundIds.includes(round.id);
+      
+      trackEvent(isSynced ? 'round_completion_succeeded' : 'round_completion_queued', {
         round_id: round.id,
         holes_completed: completedHoles,
         total_shots: totalShotCount,
         operation_duration_ms: Date.now() - startTime
       });
       
-      await AsyncStorage.removeItem(`round_${round.id}_holes`);
-      await AsyncStorage.removeItem("currentRound");
+      if (isSynced) {
+        navigation.replace("ScorecardScreen", { 
+          roundId: round.id,
+          fromTracker: true
+        });
+        return;
+      }
       
-      navigation.replace("ScorecardScreen", { 
-        roundId: round.id,
-        fromTracker: true
-      });
+      setLoading(false);
+      Alert.alert(
+        "Round Saved",
+        "Your round is saved on this device and will sync automatically when you're back online.",
+        [{ text: "OK", onPress: () => navigation.dispatch(StackActions.popToTop()) }]
+      );
     } catch (error) {
       console.error("Error finishing round:", error);
       
@@ -630,11 +1246,107 @@ export default function TrackerScreen({ navigation }) {
     }
   };
 
+  /**
+   * Save the current hole and move to the next one after arriving on its tee
+   */
+  const autoAdvanceToHole = async (nextHole) => {
+    const fromHole = currentHole;
+    console.log(`Arrived on the tee of hole ${nextHole}, moving on from hole ${fromHole}`);
+    
+    await saveCurrentHoleToStorage();
+    
+    // Keep the times being replaced so an undo can put them back
+    setAdvanceNotice({
+      fromHole,
+      toHole: nextHole,
+      previousTimes: {
+        finishedAt: holeData[fromHole]?.finishedAt || null,
+        startedAt: holeData[nextHole]?.startedAt || null
+      }
+    });
+    setHoleData(prevData => stampHoleTimes(prevData, fromHole, nextHole, new Date().toISOString()));
+    setCurrentHole(nextHole);
+    
+    trackEvent('hole_auto_advanced', {
+      round_id: round?.id,
+      from_hole: fromHole,
+      to_hole: nextHole
+    });
+  };
+
+  /**
+   * Go back to the hole the player was moved on from, and don't move to that tee again
+   */
+  const undoAutoAdvance = () => {
+    if (!advanceNotice) return;
+    
+    const { fromHole, toHole, previousTimes } = advanceNotice;
+    declinedAdvanceRef.current.add(toHole);
+    
+    setHoleData(prevData => ({
+      ...prevData,
+      [fromHole]: { ...prevData[fromHole], finishedAt: previousTimes.finishedAt },
+      [toHole]: { ...prevData[toHole], startedAt: previousTimes.startedAt }
+    }));
+    setCurrentHole(fromHole);
+    setAdvanceNotice(null);
+  };
+
+  /**
+   * Check a GPS fix against the next hole's tee boxes
+   * Only once the current hole has shots (or was picked up) and before the next one has any,
+   * so walking past a tee mid-hole or reviewing earlier holes never moves the tracker.
+   */
+  checkTeeArrivalRef.current = (position) => {
+    const nextHole = holeNumbers[currentHoleIndex + 1];
+    const canAdvance = autoAdvance && !loading && nextHole !== undefined &&
+      (holeData[currentHole]?.shots?.length > 0 || isPickedUp(holeData[currentHole])) &&
+      !(holeData[nextHole]?.shots?.length > 0) &&
+      !declinedAdvanceRef.current.has(nextHole);
+    
+    if (!canAdvance || !isAtTee(position, getTeePositions(course, nextHole))) {
+      teeFixCountRef.current = 0;
+      return;
+    }
+    
+    teeFixCountRef.current++;
+    if (teeFixCountRef.current >= REQUIRED_TEE_FIXES) {
+      teeFixCountRef.current = 0;
+      autoAdvanceToHole(nextHole);
+    }
+  };
+
+  // Most recent change that undo/redo would act on
+  const lastShotChange = shotHistory.past[shotHistory.past.length - 1];
+  const nextShotChange = shotHistory.future[0];
+  
+  // Name the change, including its hole when it was made elsewhere
+  const describeShotChange = (entry) => entry.hole === currentHole
+    ? entry.description
+    : `${entry.description} on hole ${entry.hole}`;
+  
   // Calculate total score for current hole
-  const currentHoleScore = holeData[currentHole]?.shots?.length || 0;
+  const currentHoleScore = getHoleScore(holeData[currentHole]);
+  const currentPickup = isPickedUp(holeData[currentHole]) ? holeData[currentHole].pickup : null;
   const currentHolePar = holeData[currentHole]?.par || 0;
   const scoreRelativeToPar = currentHoleScore - currentHolePar;
   
+  // Elapsed round time against the pace target
+  const pace = calculateRoundPace(holeNumbers.map(holeNum => holeData[holeNum]), paceTarget, now);
+  
+  // Last swing on this hole, described in detailed entry mode
+  const holeShots = holeData[currentHole]?.shots || [];
+  const lastSwingIndex = holeShots.map(shot => !isPenaltyShot(shot)).lastIndexOf(true);
+  
+  // Match play standing and the owner's handicap strokes on this hole
+  const currentStrokeIndex = getStrokeIndex(courseDetails, holeData, currentHole, ratingSet);
+  const matchStrokesOnHole = round?.match
+    ? allocateMatchStrokes(round.match, holeNumbers.map(holeNum => ({
+        number: holeNum,
+        strokeIndex: getStrokeIndex(courseDetails, holeData, holeNum, ratingSet)
+      })))[OWNER_PLAYER_ID]?.[currentHole] || 0
+    : 0;
+
   // Add color-coding helper function for score display
   const getScoreColor = () => {
     if (scoreRelativeToPar < 0) return theme.colors.success; // Under par (good)
@@ -649,6 +1361,9 @@ export default function TrackerScreen({ navigation }) {
         <View style={styles.navigatorContainer}>
           <HoleNavigator
             currentHole={currentHole}
+            holePosition={currentHoleIndex + 1}
+            previousHole={holeNumbers[currentHoleIndex - 1]}
+            nextHole={holeNumbers[currentHoleIndex + 1]}
             onPreviousHole={handlePreviousHole}
             onNextHole={handleNextHole}
             totalHoles={totalHoles}
@@ -673,6 +1388,37 @@ export default function TrackerScreen({ navigation }) {
               </Typography>
             </View>
           </View>
+          
+          {typeof round?.course_handicap === "number" && (
+            <Typography variant="caption" style={styles.netScoreText}>
+              {formatNetScoreLine(round.course_handicap, strokesByHole[currentHole], netScoring, currentHole)}
+            </Typography>
+          )}
+          
+          {isPracticeRound(round) && (
+            <Typography variant="caption" weight="semibold" style={styles.netScoreText}>
+              Practice round - not counted for handicap or stats
+            </Typography>
+          )}
+          
+          {pace && (
+            <Typography variant="caption" style={styles.netScoreText}>
+              {[
+                `Time ${formatDuration(pace.elapsedMinutes)}`,
+                formatPaceStatus(pace),
+                `Target ${formatDuration(pace.targetMinutes)}`
+              ].filter(Boolean).join(" • ")}
+            </Typography>
+          )}
+          
+          {matchStatus && (
+            <Typography variant="caption" weight="semibold" style={styles.matchStatusText}>
+              {formatMatchStatus(matchStatus)}
+              {matchStrokesOnHole > 0 && !matchStatus.isComplete
+                ? ` • You get ${matchStrokesOnHole} ${matchStrokesOnHole === 1 ? "stroke" : "strokes"} here`
+                : ""}
+            </Typography>
+          )}
         </View>
 
         {/* Show loading indicator when saving data */}
@@ -688,35 +1434,201 @@ export default function TrackerScreen({ navigation }) {
             {/* 3. Distance Indicator - MAINTAINED POSITION */}
             <DistanceIndicator 
               holeData={holeData[currentHole]} 
+              holeNumber={currentHole}
               active={!loading} 
+              onLocationUpdate={handleLocationUpdate}
+              onSaveMeasuredDistance={saveMeasuredDistance}
             />
             
+            {/* Undo/redo for mis-tapped shots */}
+            <View style={styles.historyRow}>
+              <Button
+                variant="outline"
+                size="small"
+                iconLeft="arrow-undo"
+                onPress={undoShotChange}
+                disabled={!lastShotChange}
+                style={styles.undoButton}
+              >
+                {lastShotChange ? `Undo ${describeShotChange(lastShotChange)}` : "Undo last shot"}
+              </Button>
+              <Button
+                variant="text"
+                size="small"
+                iconLeft="arrow-redo"
+                onPress={redoShotChange}
+                disabled={!nextShotChange}
+              >
+                Redo
+              </Button>
+            </View>
+            
+            {/* Practice rounds - the next shot can be a mulligan or extra ball */}
+            {isPracticeRound(round) && (
+              <TouchableOpacity style={styles.detailToggle} onPress={() => setNextShotExtraBall(!nextShotExtraBall)}>
+                <Ionicons 
+                  name={nextShotExtraBall ? "checkbox" : "square-outline"} 
+                  size={18} 
+                  color={theme.colors.primary} 
+                />
+                <Typography variant="caption" style={styles.detailToggleText}>
+                  Next shot is a mulligan / extra ball (not scored)
+                </Typography>
+              </TouchableOpacity>
+            )}
+            
+            {/* Optional club for the next shot */}
+            {golfBag.length > 0 && (
+              <ScrollView 
+                horizontal 
+                showsHorizontalScrollIndicator={false}
+                style={styles.clubSelector}
+                contentContainerStyle={styles.clubSelectorContent}
+              >
+                {golfBag.map(club => {
+                  const isSelected = club === selectedClub;
+                  
+                  return (
+                    <TouchableOpacity
+                      key={club}
+                      style={[styles.clubOption, isSelected && styles.selectedClubOption]}
+                      onPress={() => setSelectedClub(isSelected ? null : club)}
+                    >
+                      <Typography 
+                        variant="caption" 
+                        color={isSelected ? "#fff" : theme.colors.text}
+                      >
+                        {club}
+                      </Typography>
+                    </TouchableOpacity>
+                  );
+                })}
+              </ScrollView>
+            )}
+            
             {/* 4. Shot Table - MAINTAINED POSITION BUT EXPANDED HEIGHT */}
             <View style={styles.tableContainer}>
               <ShotTable
-                shotCounts={holeData[currentHole].shotCounts}
+                shotCounts={holeData[currentHole]?.shotCounts}
                 activeColumn={activeColumn}
                 setActiveColumn={setActiveColumn}
                 addShot={addShot}
                 removeShot={removeShot}
+                penalties={(holeData[currentHole]?.shots || []).filter(isPenaltyShot)}
+                addPenalty={addPenalty}
+                removePenalty={removePenalty}
               />
             </View>
             
+            {/* Detailed entry - where the last shot missed and finished */}
+            <TouchableOpacity style={styles.detailToggle} onPress={toggleDetailedEntry}>
+              <Ionicons 
+                name={detailedEntry ? "checkbox" : "square-outline"} 
+                size={18} 
+                color={theme.colors.primary} 
+              />
+              <Typography variant="caption" style={styles.detailToggleText}>
+                Detailed entry (miss direction and lie)
+              </Typography>
+            </TouchableOpacity>
+            {course?.poi?.some(holePoi => holePoi.tees?.length > 0) && (
+              <TouchableOpacity style={styles.detailToggle} onPress={toggleAutoAdvance}>
+                <Ionicons 
+                  name={autoAdvance ? "checkbox" : "square-outline"} 
+                  size={18} 
+                  color={theme.colors.primary} 
+                />
+                <Typography variant="caption" style={styles.detailToggleText}>
+                  Move to the next hole when I reach its tee
+                </Typography>
+              </TouchableOpacity>
+            )}
+            {detailedEntry && lastSwingIndex !== -1 && (
+              <ShotDetailEntry
+                title={`Shot ${lastSwingIndex + 1} · ${holeShots[lastSwingIndex].type}`}
+                shot={holeShots[lastSwingIndex]}
+                onChange={updateLastShotDetail}
+              />
+            )}
+            
+            {/* Shot timeline for correcting the order and details of shots */}
+            <ShotTimeline
+              shots={holeData[currentHole]?.shots}
+              clubs={golfBag}
+              allowExtraBalls={isPracticeRound(round)}
+              onChangeShots={updateShots}
+            />
+            
+            {/* Simple score entry for playing partners */}
+            <PartnerScores
+              players={getRoundPlayers(round)}
+              scores={holeData[currentHole]?.partnerScores}
+              par={holeData[currentHole]?.par}
+              ownerScore={currentHoleScore}
+              onChangeScore={setPartnerScore}
+            />
+            
+            {/* Blow-up holes - pick up or concede the putt instead of entering every stroke */}
+            {currentPickup ? (
+              <View style={styles.historyRow}>
+                <Typography variant="caption" weight="semibold" style={styles.pickupText}>
+                  {getPickupLabel(currentPickup.type)} - scores {currentHoleScore}
+                  {currentPickup.type === "picked_up" ? ` (${formatMaxScoreRule(currentPickup.rule)})` : ""}
+                </Typography>
+                <Button variant="text" size="small" iconLeft="arrow-undo" onPress={clearPickup}>
+                  Undo
+                </Button>
+              </View>
+            ) : (
+              <View style={styles.historyRow}>
+                <Button
+                  variant="outline"
+                  size="small"
+                  onPress={() => pickUpHole("picked_up")}
+                  style={styles.undoButton}
+                >
+                  Pick Up
+                </Button>
+                <Button
+                  variant="outline"
+                  size="small"
+                  onPress={() => pickUpHole("conceded")}
+                  disabled={holeShots.length === 0}
+                >
+                  Concede Putt
+                </Button>
+              </View>
+            )}
+            
             {/* 5. Action Button - MAINTAINED POSITION */}
             <View style={styles.buttonContainer}>
               <Button
                 variant="primary"
                 size="large"
                 fullWidth
-                onPress={currentHole === totalHoles ? finishRound : completeHole}
+                onPress={isLastHole ? finishRound : completeHole}
                 loading={loading}
               >
-                {currentHole === totalHoles ? "Complete Round" : "Complete Hole"}
+                {isLastHole ? "Complete Round" : "Complete Hole"}
               </Button>
             </View>
           </View>
         )}
       </ScrollView>
+      
+      {/* Automatic hole advance notice with undo */}
+      {advanceNotice && (
+        <View style={styles.advanceNotice}>
+          <Typography variant="body" color="#fff" style={styles.advanceNoticeText}>
+            On the tee - moved to hole {advanceNotice.toHole}
+          </Typography>
+          <TouchableOpacity onPress={undoAutoAdvance}>
+            <Typography variant="body" weight="semibold" color="#fff">
+              Undo
+            </Typography>
+          </TouchableOpacity>
+        </View>
+      )}
     </SafeAreaView>
   );
 }
@@ -759,6 +1671,14 @@ const styles = StyleSheet.create({
   scoreText: {
     fontSize: 18,
   },
+  netScoreText: {
+    marginTop: 4,
+    color: '#666',
+  },
+  matchStatusText: {
+    marginTop: 4,
+    color: theme.colors.primary,
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: "center",
@@ -774,10 +1694,68 @@ const styles = StyleSheet.create({
     flex: 1,
     justifyContent: "space-between",
   },
+  historyRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 6,
+  },
+  undoButton: {
+    flexShrink: 1,
+    marginRight: 8,
+  },
+  pickupText: {
+    flexShrink: 1,
+    marginRight: 8,
+  },
+  clubSelector: {
+    marginBottom: 6,
+    flexGrow: 0,
+  },
+  clubSelectorContent: {
+    alignItems: "center",
+  },
+  clubOption: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    marginRight: 6,
+  },
+  selectedClubOption: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
   tableContainer: {
     width: '100%',
     marginBottom: 12,
   },
+  detailToggle: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  detailToggleText: {
+    marginLeft: 6,
+  },
+  advanceNotice: {
+    position: "absolute",
+    left: 16,
+    right: 16,
+    bottom: 24,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    backgroundColor: "#333",
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  advanceNoticeText: {
+    flex: 1,
+    marginRight: 12,
+  },
   buttonContainer: {
     marginBottom: theme.spacing.medium,
     paddingHorizontal: theme.spacing.medium,
@@ -0,0 +1,106 @@
+// src/services/clubService.js
+//
+// The user's golf bag: which clubs they carry, stored on their profile.
+// Shots record the club by name, so a bag is simply an ordered list of club names.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "./supabase";
+
+// Cached copy of the bag so the tracker can offer clubs without a connection
+const GOLF_BAG_CACHE_KEY = "@GolfApp:golf_bag";
+
+/**
+ * Clubs a user can carry, grouped by category in bag order
+ */
+export const CLUB_CATEGORIES = [
+  { id: "driver", label: "Driver", clubs: ["Driver"] },
+  { id: "woods", label: "Woods", clubs: ["3 Wood", "5 Wood", "7 Wood"] },
+  { id: "hybrids", label: "Hybrids", clubs: ["2 Hybrid", "3 Hybrid", "4 Hybrid", "5 Hybrid"] },
+  { id: "irons", label: "Irons", clubs: ["2 Iron", "3 Iron", "4 Iron", "5 Iron", "6 Iron", "7 Iron", "8 Iron", "9 Iron"] },
+  { id: "wedges", label: "Wedges", clubs: ["PW", "GW", "SW", "LW"] },
+  { id: "putter", label: "Putter", clubs: ["Putter"] }
+];
+
+// Every known club in bag order
+const ALL_CLUBS = CLUB_CATEGORIES.flatMap(category => category.clubs);
+
+/**
+ * A typical set used until the user customises their bag
+ */
+export const DEFAULT_GOLF_BAG = [
+  "Driver", "3 Wood", "5 Wood", "4 Hybrid",
+  "5 Iron", "6 Iron", "7 Iron", "8 Iron", "9 Iron",
+  "PW", "GW", "SW", "Putter"
+];
+
+/**
+ * Sort club names into bag order (driver first, putter last)
+ *
+ * @param {Array<string>} clubs - Club names
+ * @returns {Array<string>} Club names in bag order, unknown names last
+ */
+export const sortClubs = (clubs) => {
+  const position = (club) => {
+    const index = ALL_CLUBS.indexOf(club);
+    return index === -1 ? ALL_CLUBS.length : index;
+  };
+
+  return [...clubs].sort((a, b) => position(a) - position(b));
+};
+
+/**
+ * Get the user's golf bag
+ * Falls back to the cached bag when offline, then to the default set.
+ *
+ * @param {string} profile_id - The user's profile ID
+ * @returns {Promise<Array<string>>} Club names in bag order
+ */
+export const getGolfBag = async (profile_id) => {
+  try {
+    const { data, error } = await supabase
+      .from("profiles")
+      .select("golf_bag")
+      .eq("id", profile_id)
+      .single();
+
+    if (error) throw error;
+
+    // A bag that has never been saved is null; an empty array is a deliberate choice
+    const bag = Array.isArray(data?.golf_bag)
+      ? sortClubs(data.golf_bag)
+      : DEFAULT_GOLF_BAG;
+
+    await AsyncStorage.setItem(GOLF_BAG_CACHE_KEY, JSON.stringify(bag));
+    return bag;
+  } catch (error) {
+    console.error("[getGolfBag] Error loading golf bag:", error);
+
+    const cachedBag = await AsyncStorage.getItem(GOLF_BAG_CACHE_KEY);
+    return cachedBag ? JSON.parse(cachedBag) : DEFAULT_GOLF_BAG;
+  }
+};
+
+/**
+ * Save the user's golf bag to their profile
+ *
+ * @param {string} profile_id - The user's profile ID
+ * @param {Array<string>} clubs - Club names the user carries
+ * @returns {Promise<Array<string>>} The saved bag in bag order
+ */
+export const saveGolfBag = async (profile_id, clubs) => {
+  const bag = sortClubs(clubs);
+
+  const { error } = await supabase
+    .from("profiles")
+    .update({ golf_bag: bag, updated_at: new Date().toISOString() })
+    .eq("id", profile_id);
+
+  if (error) {
+    console.error("[saveGolfBag] Error saving golf bag:", error);
+    throw error;
+  }
+
+  await AsyncStorage.setItem(GOLF_BAG_CACHE_KEY, JSON.stringify(bag));
+  console.log(`[saveGolfBag] Saved ${bag.length} clubs`);
+  return bag;
+};
@@ -0,0 +1,168 @@
+// src/services/comparisonService.js
+//
+// Side-by-side comparison of a round with another round on the same course, or
+// with the player's average there. Each side is summarised per hole (score,
+// strokes by shot type and shot outcomes) so a single round and an average over
+// many rounds compare the same way. Only holes both sides played are compared.
+
+import { getScoringShots, isPracticeRound } from "./practiceService";
+import { isPenaltyShot } from "./penaltyService";
+import { getHoleRecordScore } from "./pickupService";
+
+// Comparison target meaning the player's average on the course
+export const COURSE_AVERAGE = "course_average";
+
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Count values into an object, e.g. shot types -> { "Tee Shot": 1, Putts: 2 }
+ */
+const countBy = (values) => values.reduce((counts, value) => {
+  counts[value] = (counts[value] || 0) + 1;
+  return counts;
+}, {});
+
+/**
+ * Summarise a round's holes for comparison
+ * Holes imported without shots have a score but no shot type or outcome counts.
+ *
+ * @param {Array<Object>} holes - Hole records { hole_number, hole_data, total_score }
+ * @returns {Object} { [hole_number]: { par, score, types, outcomes } }, types and outcomes null without shots
+ */
+export const summarizeRoundHoles = (holes) => holes.reduce((summary, hole) => {
+  const shots = getScoringShots(hole.hole_data?.shots || []);
+
+  summary[hole.hole_number] = {
+    par: hole.hole_data?.par || null,
+    score: getHoleRecordScore(hole),
+    types: shots.length > 0 ? countBy(shots.map(shot => shot.type)) : null,
+    outcomes: shots.length > 0 ? countBy(shots.filter(shot => !isPenaltyShot(shot)).map(shot => shot.result)) : null
+  };
+  return summary;
+}, {});
+
+/**
+ * Average the player's rounds on a course into a single per-hole summary
+ * Practice rounds are left out. Each hole averages the rounds that played it;
+ * shot type counts average the rounds that recorded shots on it.
+ *
+ * @param {Array<Object>} roundsWithHoles - [{ round, holes }] from getCompletedRoundsWithHoles
+ * @returns {Object} { roundCount, holes: { [hole_number]: { par, score, types, outcomes } } }
+ */
+export const buildCourseAverage = (roundsWithHoles) => {
+  const scoredRounds = roundsWithHoles.filter(({ round }) => !isPracticeRound(round));
+  const summaries = scoredRounds.map(({ holes }) => summarizeRoundHoles(holes));
+  const holeNumbers = [...new Set(summaries.flatMap(summary => Object.keys(summary).map(Number)))];
+
+  const holes = holeNumbers.reduce((average, holeNumber) => {
+    const played = summaries.map(summary => summary[holeNumber]).filter(hole => hole && hole.score > 0);
+    const withShots = played.filter(hole => hole.types);
+    if (played.length === 0) return average;
+
+    const averageCounts = (key) => {
+      if (withShots.length === 0) return null;
+      const names = [...new Set(withShots.flatMap(hole => Object.keys(hole[key])))];
+      return Object.fromEntries(names.map(name => [
+        name,
+        withShots.reduce((sum, hole) => sum + (hole[key][name] || 0), 0) / withShots.length
+      ]));
+    };
+
+    average[holeNumber] = {
+      par: played.find(hole => hole.par)?.par || null,
+      score: played.reduce((sum, hole) => sum + hole.score, 0) / played.length,
+      types: averageCounts("types"),
+      outcomes: averageCounts("outcomes")
+    };
+    return average;
+  }, {});
+
+  return { roundCount: scoredRounds.length, holes };
+};
+
+/**
+ * Compare two per-hole summaries
+ * Deltas are the round minus the comparison, so negative is better. Shot types
+ * and outcomes only use holes where both sides recorded shots.
+ *
+ * @param {Object} roundHoles - Summary of the round being looked at (summarizeRoundHoles)
+ * @param {Object} otherHoles - Summary of the round or average it is compared with
+ * @returns {Object} { holes, totals, outcomes, shotTypes }
+ */
+export const compareRoundSummaries = (roundHoles, otherHoles) => {
+  const holeNumbers = Object.keys(roundHoles)
+    .map(Number)
+    .filter(holeNumber => roundHoles[holeNumber].score > 0 && otherHoles[holeNumber]?.score > 0)
+    .sort((a, b) => a - b);
+
+  const holes = holeNumbers.map(holeNumber => {
+    const score = roundHoles[holeNumber].score;
+    const otherScore = roundToTenth(otherHoles[holeNumber].score);
+
+    return {
+      holeNumber,
+      par: roundHoles[holeNumber].par || otherHoles[holeNumber].par,
+      score,
+      otherScore,
+      delta: roundToTenth(score - otherScore)
+    };
+  });
+
+  const shotHoles = holeNumbers.filter(holeNumber => roundHoles[holeNumber].types && otherHoles[holeNumber].types);
+  const totalFor = (summary, key) => shotHoles.reduce((totals, holeNumber) => {
+    Object.entries(summary[holeNumber][key]).forEach(([name, count]) => {
+      totals[name] = (totals[name] || 0) + count;
+    });
+    return totals;
+  }, {});
+
+  const roundTypes = totalFor(roundHoles, "types");
+  const otherTypes = totalFor(otherHoles, "types");
+  const shotTypes = [...new Set([...Object.keys(roundTypes), ...Object.keys(otherTypes)])].map(type => ({
+    type,
+    strokes: roundToTenth(roundTypes[type] || 0),
+    otherStrokes: roundToTenth(otherTypes[type] || 0),
+    // Fewer strokes of a type than the comparison is strokes gained
+    strokesGained: roundToTenth((otherTypes[type] || 0) - (roundTypes[type] || 0))
+  }));
+
+  const roundOutcomes = totalFor(roundHoles, "outcomes");
+  const otherOutcomes = totalFor(otherHoles, "outcomes");
+  const share = (counts, name) => {
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    return total > 0 ? Math.round(((counts[name] || 0) / total) * 100) : 0;
+  };
+  const outcomes = [...new Set([...Object.keys(roundOutcomes), ...Object.keys(otherOutcomes)])].map(result => ({
+    result,
+    percentage: share(roundOutcomes, result),
+    otherPercentage: share(otherOutcomes, result),
+    delta: share(roundOutcomes, result) - share(otherOutcomes, result)
+  }));
+
+  const score = holes.reduce((sum, hole) => sum + hole.score, 0);
+  const otherScore = roundToTenth(holes.reduce((sum, hole) => sum + otherHoles[hole.holeNumber].score, 0));
+
+  return {
+    holes,
+    totals: {
+      holesCompared: holes.length,
+      shotHolesCompared: shotHoles.length,
+      score,
+      otherScore,
+      delta: roundToTenth(score - otherScore)
+    },
+    outcomes,
+    shotTypes
+  };
+};
+
+/**
+ * Format a delta for display, e.g. "+2", "-1.5", "E"
+ *
+ * @param {number} delta - Difference to show
+ * @returns {string}
+ */
+export const formatDelta = (delta) => {
+  if (delta === 0) return "E";
+  return delta > 0 ? `+${delta}` : `${delta}`;
+};
@@ -0,0 +1,136 @@
+// src/services/courseRatingService.js
+//
+// Courses carry separate men's and women's par, stroke index and tee ratings
+// (par_men/par_women, index_men/index_women, slope_men/slope_women,
+// course_rating_men/course_rating_women). The player picks which set they play
+// to on their profile, each round records the set it was played with
+// (rounds.rating_set), and these helpers read the matching values, falling back
+// to the men's values where a course only publishes those.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "./supabase";
+
+// Cached preference so rounds can start without a connection
+const RATING_SET_CACHE_KEY = "@GolfApp:rating_set";
+
+/**
+ * Par, stroke index and rating sets a player can play to
+ */
+export const RATING_SETS = [
+  { id: "men", label: "Men's" },
+  { id: "women", label: "Women's" }
+];
+
+export const DEFAULT_RATING_SET = "men";
+
+/**
+ * Read a value for the chosen set, falling back to the men's value
+ */
+const pickRatingValue = (source, field, ratingSet) =>
+  source?.[`${field}_${ratingSet}`] || source?.[`${field}_${DEFAULT_RATING_SET}`] || null;
+
+/**
+ * Rating set a round was played with; rounds from before the choice existed used men's
+ *
+ * @param {Object} round - Round record with optional rating_set
+ * @returns {string} Rating set ID
+ */
+export const getRoundRatingSet = (round) => round?.rating_set || DEFAULT_RATING_SET;
+
+/**
+ * Par for a course hole
+ *
+ * @param {Object} hole - Hole from courses.holes
+ * @param {string} ratingSet - Rating set ID
+ * @returns {number|null}
+ */
+export const getHolePar = (hole, ratingSet = DEFAULT_RATING_SET) => pickRatingValue(hole, "par", ratingSet);
+
+/**
+ * Stroke index for a course hole
+ *
+ * @param {Object} hole - Hole from courses.holes
+ * @param {string} ratingSet - Rating set ID
+ * @returns {number|null}
+ */
+export const getHoleStrokeIndex = (hole, ratingSet = DEFAULT_RATING_SET) => pickRatingValue(hole, "index", ratingSet);
+
+/**
+ * Slope and course rating for a tee
+ *
+ * @param {Object} tee - Tee from courses.tees
+ * @param {string} ratingSet - Rating set ID
+ * @returns {{ slope: number|null, courseRating: number|null }}
+ */
+export const getTeeRatings = (tee, ratingSet = DEFAULT_RATING_SET) => ({
+  slope: pickRatingValue(tee, "slope", ratingSet),
+  courseRating: pickRatingValue(tee, "course_rating", ratingSet)
+});
+
+/**
+ * Par for the whole course
+ * Totals the hole pars when every hole has one, otherwise uses the stored course par.
+ *
+ * @param {Object} course - Course record with par and holes
+ * @param {string} ratingSet - Rating set ID
+ * @returns {number|null}
+ */
+export const getCoursePar = (course, ratingSet = DEFAULT_RATING_SET) => {
+  const holes = Array.isArray(course?.holes) ? course.holes : [];
+  const holePars = holes.map(hole => getHolePar(hole, ratingSet));
+
+  if (holePars.length > 0 && holePars.every(Boolean)) {
+    return holePars.reduce((sum, par) => sum + par, 0);
+  }
+
+  return course?.par || null;
+};
+
+/**
+ * Get the player's rating set preference
+ * Falls back to the cached preference when offline, then to men's.
+ *
+ * @param {string} profile_id - The user's profile ID
+ * @returns {Promise<string>} Rating set ID
+ */
+export const getRatingSetPreference = async (profile_id) => {
+  try {
+    const { data, error } = await supabase
+      .from("profiles")
+      .select("rating_set")
+      .eq("id", profile_id)
+      .single();
+
+    if (error) throw error;
+
+    const ratingSet = data?.rating_set || DEFAULT_RATING_SET;
+    await AsyncStorage.setItem(RATING_SET_CACHE_KEY, ratingSet);
+    return ratingSet;
+  } catch (error) {
+    console.error("[getRatingSetPreference] Error loading rating set, using cached value:", error);
+    const cached = await AsyncStorage.getItem(RATING_SET_CACHE_KEY);
+    return cached || DEFAULT_RATING_SET;
+  }
+};
+
+/**
+ * Save the player's rating set preference
+ *
+ * @param {string} profile_id - The user's profile ID
+ * @param {string} ratingSet - Rating set ID
+ * @returns {Promise<string>} The saved rating set
+ */
+export const saveRatingSetPreference = async (profile_id, ratingSet) => {
+  const { error } = await supabase
+    .from("profiles")
+    .update({ rating_set: ratingSet, updated_at: new Date().toISOString() })
+    .eq("id", profile_id);
+
+  if (error) {
+    console.error("[saveRatingSetPreference] Error saving rating set:", error);
+    throw error;
+  }
+
+  await AsyncStorage.setItem(RATING_SET_CACHE_KEY, ratingSet);
+  return ratingSet;
+};
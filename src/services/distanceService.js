@@ -0,0 +1,93 @@
+// src/services/distanceService.js
+//
+// GPS distance helpers shared by the tracker, distance indicator and scorecard.
+import { isPenaltyShot } from "./penaltyService";
+import { isExtraBall } from "./practiceService";
+
+// Fixes less accurate than this (in meters) are too noisy to measure a shot with
+export const MAX_POSITION_ACCURACY_METERS = 30;
+
+/**
+ * Calculate distance between two coordinate points using the Haversine formula
+ *
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in yards, rounded to the nearest yard
+ */
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  // Radius of the Earth in yards
+  const R = 6371 * 1093.61; // Earth's radius in km converted to yards
+
+  // Convert degrees to radians
+  const dLat = (lat2 - lat1) * (Math.PI / 180);
+  const dLon = (lon2 - lon1) * (Math.PI / 180);
+
+  // Haversine formula
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * (Math.PI / 180)) * Math.cos(lat2 * (Math.PI / 180)) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  const distance = R * c;
+
+  return Math.round(distance); // Round to nearest yard
+};
+
+/**
+ * Whether a recorded shot position is accurate enough to measure from
+ *
+ * @param {Object} position - Shot position { lat, lng, accuracy }
+ * @returns {boolean}
+ */
+const isUsablePosition = (position) =>
+  !!position &&
+  typeof position.lat === "number" &&
+  typeof position.lng === "number" &&
+  (position.accuracy == null || position.accuracy <= MAX_POSITION_ACCURACY_METERS);
+
+/**
+ * Work out how far each shot on a hole travelled
+ *
+ * Each shot is stamped with the player's position when it was recorded, which
+ * is where the ball was hit from, so a shot's distance is the gap to the next
+ * shot's position. Penalty strokes are not swings, so they are skipped when
+ * looking for the next position. A shot followed by a stroke-and-distance penalty
+ * is replayed from the same spot, so the GPS gap doesn't reflect where it went and
+ * it gets no distance. Extra balls in a practice round aren't the ball being
+ * played, so they get no distance and are skipped like penalties.
+ * The last shot on a hole has no following position.
+ * A distance measured on the course with "Mark ball" always wins over GPS stamps.
+ *
+ * @param {Array<Object>} shots - Shots in playing order, optionally with position { lat, lng, accuracy } and measuredDistance
+ * @returns {Array<number|null>} Distance in yards for each shot, or null when it can't be measured
+ */
+export const calculateShotDistances = (shots = []) => {
+  return shots.map((shot, index) => {
+    if (typeof shot.measuredDistance === "number") {
+      return shot.measuredDistance;
+    }
+
+    if (isPenaltyShot(shot) || isExtraBall(shot)) {
+      return null;
+    }
+
+    const remainingShots = shots.slice(index + 1);
+    const nextSwingIndex = remainingShots.findIndex(next => !isPenaltyShot(next) && !isExtraBall(next));
+    const nextShot = nextSwingIndex === -1 ? null : remainingShots[nextSwingIndex];
+    const isReplayed = remainingShots
+      .slice(0, nextSwingIndex === -1 ? remainingShots.length : nextSwingIndex)
+      .some(penalty => penalty.strokeAndDistance);
+
+    if (!nextShot || isReplayed || !isUsablePosition(shot.position) || !isUsablePosition(nextShot.position)) {
+      return null;
+    }
+
+    return calculateDistance(
+      shot.position.lat, shot.position.lng,
+      nextShot.position.lat, nextShot.position.lng
+    );
+  });
+};
@@ -0,0 +1,214 @@
+// src/services/exportService.js
+//
+// Export of completed rounds. A CSV has one row per shot plus a summary row per
+// hole, for spreadsheets; a JSON bundle keeps every round, hole and shot exactly
+// as stored, together with the course, the tee played and the course POI, so
+// nothing is lost. Exports are written to a file in the cache directory and
+// the file is handed to the OS share sheet, so long histories aren't cut short.
+
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import { supabase } from "./supabase";
+import { getRoundHoleNumbers } from "./roundservice";
+import { calculateShotDistances } from "./distanceService";
+import { isPenaltyShot } from "./penaltyService";
+import { isExtraBall } from "./practiceService";
+import { getHoleScore } from "./pickupService";
+
+// Bumped whenever the shape of the JSON bundle changes
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Export formats offered on the rounds screen
+ */
+export const EXPORT_FORMATS = [
+  { id: "csv", label: "CSV", extension: "csv", mimeType: "text/csv" },
+  { id: "json", label: "JSON", extension: "json", mimeType: "application/json" }
+];
+
+// CSV columns in order; shot rows and hole summary rows share them
+const CSV_COLUMNS = [
+  "round_id", "date", "course", "tee", "hole", "row_type", "shot_number",
+  "shot_type", "result", "club", "distance_yards", "penalty_reason", "extra_ball",
+  "miss_direction", "lie", "timestamp", "par", "score", "putts", "penalties", "pickup"
+];
+
+/**
+ * Load completed rounds with their holes and course context
+ *
+ * @param {string} profile_id - Owner of the rounds
+ * @param {Array<string>|null} roundIds - Rounds to export, or null for the whole history
+ * @returns {Promise<Array<Object>>} [{ round, course, tee, holes }] newest first
+ */
+export const fetchRoundsForExport = async (profile_id, roundIds = null) => {
+  try {
+    let query = supabase
+      .from("rounds")
+      .select("*")
+      .eq("profile_id", profile_id)
+      .eq("is_complete", true);
+
+    if (roundIds) {
+      query = query.in("id", roundIds);
+    }
+
+    const { data: rounds, error: roundsError } = await query.order("created_at", { ascending: false });
+    if (roundsError) throw roundsError;
+
+    if (!rounds || rounds.length === 0) {
+      return [];
+    }
+
+    const { data: courses, error: coursesError } = await supabase
+      .from("courses")
+      .select("id, name, club_name, location, country, latitude, longitude, par, num_holes, holes, tees, poi")
+      .in("id", [...new Set(rounds.map(round => round.course_id))]);
+    if (coursesError) throw coursesError;
+
+    const { data: holes, error: holesError } = await supabase
+      .from("shots")
+      .select("round_id, hole_number, hole_data, total_score")
+      .in("round_id", rounds.map(round => round.id))
+      .order("hole_number", { ascending: true });
+    if (holesError) throw holesError;
+
+    return rounds.map(round => {
+      const course = (courses || []).find(candidate => candidate.id === round.course_id) || null;
+      const holeNumbers = getRoundHoleNumbers(round);
+
+      return {
+        round,
+        course,
+        tee: Array.isArray(course?.tees)
+          ? course.tees.find(tee => String(tee.id) === String(round.selected_tee_id)) || null
+          : null,
+        // Holes in playing order
+        holes: holeNumbers
+          .map(holeNumber => (holes || []).find(hole => hole.round_id === round.id && hole.hole_number === holeNumber))
+          .filter(Boolean)
+      };
+    });
+  } catch (error) {
+    console.error("[fetchRoundsForExport] Error loading rounds:", error);
+    throw error;
+  }
+};
+
+/**
+ * Quote a CSV value when it contains a separator, quote or line break
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build the CSV export: one row per shot and a summary row after each hole
+ *
+ * @param {Array<Object>} exportRounds - Rounds from fetchRoundsForExport
+ * @returns {string} CSV text with a header row
+ */
+export const buildRoundsCsv = (exportRounds) => {
+  const rows = [];
+
+  exportRounds.forEach(({ round, course, holes }) => {
+    const roundValues = {
+      round_id: round.id,
+      date: round.created_at,
+      course: course?.name || "",
+      tee: round.selected_tee_name || ""
+    };
+
+    holes.forEach(hole => {
+      const holeData = hole.hole_data || {};
+      const shots = Array.isArray(holeData.shots) ? holeData.shots : [];
+      const distances = calculateShotDistances(shots);
+
+      shots.forEach((shot, index) => {
+        rows.push({
+          ...roundValues,
+          hole: hole.hole_number,
+          row_type: "shot",
+          shot_number: index + 1,
+          shot_type: shot.type,
+          result: shot.result,
+          club: shot.club,
+          distance_yards: distances[index],
+          penalty_reason: shot.penaltyReason,
+          extra_ball: isExtraBall(shot) ? "yes" : "",
+          miss_direction: shot.missDirection,
+          lie: shot.lie,
+          timestamp: shot.timestamp
+        });
+      });
+
+      rows.push({
+        ...roundValues,
+        hole: hole.hole_number,
+        row_type: "hole",
+        par: holeData.par,
+        score: hole.total_score || getHoleScore(holeData),
+        putts: shots.length === 0 && holeData.imported
+          ? holeData.imported.putts
+          : shots.filter(shot => shot.type === "Putts" && !isExtraBall(shot)).length,
+        penalties: shots.filter(isPenaltyShot).length,
+        pickup: holeData.pickup?.type
+      });
+    });
+  });
+
+  return [
+    CSV_COLUMNS.join(","),
+    ...rows.map(row => CSV_COLUMNS.map(column => toCsvValue(row[column])).join(","))
+  ].join("\n");
+};
+
+/**
+ * Build the JSON export: every round with its holes exactly as stored, plus
+ * the course (holes, tees and POI) and the tee the round was played from
+ *
+ * @param {Array<Object>} exportRounds - Rounds from fetchRoundsForExport
+ * @returns {string} Pretty-printed JSON
+ */
+export const buildRoundsJson = (exportRounds) => JSON.stringify({
+  format: "golf-rounds-export",
+  version: EXPORT_FORMAT_VERSION,
+  exportedAt: new Date().toISOString(),
+  rounds: exportRounds
+}, null, 2);
+
+/**
+ * Export rounds to a file and open the share sheet with it
+ *
+ * @param {string} profile_id - Owner of the rounds
+ * @param {string} formatId - Export format ID ("csv" or "json")
+ * @param {Array<string>|null} roundIds - Rounds to export, or null for the whole history
+ * @returns {Promise<number>} Number of rounds exported
+ */
+export const shareRoundsExport = async (profile_id, formatId, roundIds = null) => {
+  const format = EXPORT_FORMATS.find(option => option.id === formatId) || EXPORT_FORMATS[0];
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error("Sharing files isn't available on this device");
+  }
+
+  const exportRounds = await fetchRoundsForExport(profile_id, roundIds);
+  if (exportRounds.length === 0) {
+    return 0;
+  }
+
+  const contents = format.id === "json"
+    ? buildRoundsJson(exportRounds)
+    : buildRoundsCsv(exportRounds);
+  const fileUri = `${FileSystem.cacheDirectory}golf-rounds-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+
+  await FileSystem.writeAsStringAsync(fileUri, contents, { encoding: FileSystem.EncodingType.UTF8 });
+  await Sharing.shareAsync(fileUri, {
+    mimeType: format.mimeType,
+    dialogTitle: `Golf rounds (${exportRounds.length}) - ${format.label}`
+  });
+
+  return exportRounds.length;
+};
@@ -0,0 +1,356 @@
+// src/services/handicapService.js
+//
+// Course handicap, per-hole stroke allocation, net scores and Stableford points,
+// plus the World Handicap System index calculation.
+// The course handicap is fixed when a round starts (rounds.course_handicap) from the
+// player's handicap index and the selected tee's slope and course rating; net and
+// Stableford totals and the score differential are stored on the round when it is
+// completed, and the handicap index is recalculated from the differentials.
+
+import { supabase } from "./supabase";
+
+// Slope of a course of standard difficulty
+const STANDARD_SLOPE = 113;
+
+// Stableford points for a net par
+const STABLEFORD_PAR_POINTS = 2;
+
+// Most recent scores considered for a handicap index
+const HANDICAP_SCORE_WINDOW = 20;
+
+// Highest handicap index allowed
+const MAX_HANDICAP_INDEX = 54;
+
+// Fewest holes that must be played for an 18-hole score to count
+const MIN_HOLES_FOR_DIFFERENTIAL = 14;
+
+// Cap on a hole score over par for players without a handicap index yet
+export const NO_HANDICAP_MAX_OVER_PAR = 5;
+
+// How far the index can rise above the low handicap index before the soft and hard caps apply
+const SOFT_CAP_THRESHOLD = 3;
+const HARD_CAP_THRESHOLD = 5;
+
+// Period the low handicap index is taken over
+const LOW_INDEX_PERIOD_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Scores needed before a low handicap index exists and the caps apply
+const LOW_INDEX_MIN_SCORES = 20;
+
+/**
+ * How many of the lowest differentials count, and the adjustment applied,
+ * for each number of scores in the record (WHS rule 5.2)
+ */
+const DIFFERENTIALS_USED = [
+  { minScores: 20, count: 8, adjustment: 0 },
+  { minScores: 19, count: 7, adjustment: 0 },
+  { minScores: 17, count: 6, adjustment: 0 },
+  { minScores: 15, count: 5, adjustment: 0 },
+  { minScores: 12, count: 4, adjustment: 0 },
+  { minScores: 9, count: 3, adjustment: 0 },
+  { minScores: 7, count: 2, adjustment: 0 },
+  { minScores: 6, count: 2, adjustment: -1 },
+  { minScores: 5, count: 1, adjustment: 0 },
+  { minScores: 4, count: 1, adjustment: -1 },
+  { minScores: 3, count: 1, adjustment: -2 }
+];
+
+/**
+ * Calculate a course handicap
+ *
+ * Course handicap = handicap index × slope / 113 + (course rating − par).
+ * Nine-hole rounds use half the index and half the 18-hole rating and par.
+ * Tees without a slope or rating are treated as a standard course.
+ *
+ * @param {number|null} handicapIndex - Player's handicap index
+ * @param {Object} ratings - Selected tee's ratings { slope, courseRating } from getTeeRatings
+ * @param {number} coursePar - Par for the full course
+ * @param {number} [holesPlayed] - Number of holes in the round
+ * @returns {number|null} Course handicap, or null when the player has no handicap
+ */
+export const calculateCourseHandicap = (handicapIndex, ratings, coursePar, holesPlayed = 18) => {
+  if (typeof handicapIndex !== "number") {
+    return null;
+  }
+
+  const scale = holesPlayed >= 18 ? 1 : holesPlayed / 18;
+  const slope = ratings?.slope || STANDARD_SLOPE;
+  const courseRating = ratings?.courseRating || coursePar;
+
+  return Math.round(
+    handicapIndex * scale * (slope / STANDARD_SLOPE) + (courseRating - coursePar) * scale
+  );
+};
+
+/**
+ * Share a course handicap out over the holes played
+ *
+ * Strokes go to the hardest holes first (lowest stroke index). A handicap larger
+ * than the number of holes gives extra strokes on the hardest holes again. A plus
+ * handicap gives strokes back, starting on the easiest holes.
+ *
+ * @param {number|null} courseHandicap - Course handicap for the round
+ * @param {Array<Object>} holes - Holes played { number, index }
+ * @returns {Object<number, number>} Strokes received keyed by hole number
+ */
+export const allocateHandicapStrokes = (courseHandicap, holes = []) => {
+  const strokes = {};
+  holes.forEach(hole => {
+    strokes[hole.number] = 0;
+  });
+
+  if (!courseHandicap || holes.length === 0) {
+    return strokes;
+  }
+
+  // Hardest first; holes without an index are treated as the easiest
+  const ranked = [...holes].sort((a, b) =>
+    (a.index || 99) - (b.index || 99) || a.number - b.number
+  );
+  if (courseHandicap < 0) {
+    ranked.reverse();
+  }
+
+  const total = Math.abs(courseHandicap);
+  const sign = courseHandicap < 0 ? -1 : 1;
+  ranked.forEach((hole, rank) => {
+    const count = Math.floor(total / holes.length) + (rank < total % holes.length ? 1 : 0);
+    strokes[hole.number] = sign * count;
+  });
+
+  return strokes;
+};
+
+/**
+ * Stableford points for a hole: two for a net par, one more per stroke better
+ *
+ * @param {number} grossScore - Strokes taken
+ * @param {number} par - Hole par
+ * @param {number} strokesReceived - Handicap strokes on the hole
+ * @returns {number|null} Points, or null when the hole has no score or par
+ */
+export const calculateStablefordPoints = (grossScore, par, strokesReceived = 0) => {
+  if (!grossScore || !par) {
+    return null;
+  }
+
+  return Math.max(0, STABLEFORD_PAR_POINTS + par + strokesReceived - grossScore);
+};
+
+/**
+ * Net score and Stableford points for every hole with a score, plus totals
+ *
+ * @param {Array<Object>} holes - Holes played { number, par, grossScore }
+ * @param {Object<number, number>} strokesByHole - Strokes from allocateHandicapStrokes
+ * @returns {{ holes: Array<Object>, netTotal: number, stablefordPoints: number }}
+ */
+export const calculateNetScoring = (holes = [], strokesByHole = {}) => {
+  const scoredHoles = holes
+    .filter(hole => hole.grossScore > 0)
+    .map(hole => {
+      const strokesReceived = strokesByHole[hole.number] || 0;
+      return {
+        number: hole.number,
+        strokesReceived,
+        netScore: hole.grossScore - strokesReceived,
+        points: calculateStablefordPoints(hole.grossScore, hole.par, strokesReceived)
+      };
+    });
+
+  return {
+    holes: scoredHoles,
+    netTotal: scoredHoles.reduce((sum, hole) => sum + hole.netScore, 0),
+    stablefordPoints: scoredHoles.reduce((sum, hole) => sum + (hole.points || 0), 0)
+  };
+};
+
+/**
+ * Round to one decimal place, as handicap indexes and differentials are shown
+ */
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Adjusted gross score for handicap purposes
+ *
+ * Each hole is capped at net double bogey (par + 2 + strokes received), or par + 5
+ * for a player without a handicap. Unplayed holes count as net par, as long as
+ * enough holes were played for the score to be acceptable.
+ *
+ * @param {Array<Object>} holes - Every hole in the round { number, par, grossScore }
+ * @param {number|null} courseHandicap - Course handicap the round was played off
+ * @param {Object<number, number>} strokesByHole - Strokes from allocateHandicapStrokes
+ * @returns {number|null} Adjusted gross score, or null when too few holes were played
+ */
+export const calculateAdjustedGrossScore = (holes = [], courseHandicap, strokesByHole = {}) => {
+  const playedHoles = holes.filter(hole => hole.grossScore > 0);
+  if (playedHoles.length < MIN_HOLES_FOR_DIFFERENTIAL || holes.some(hole => !hole.par)) {
+    return null;
+  }
+
+  const hasHandicap = typeof courseHandicap === "number";
+
+  return holes.reduce((total, hole) => {
+    const strokesReceived = strokesByHole[hole.number] || 0;
+    if (!(hole.grossScore > 0)) {
+      return total + hole.par + strokesReceived;
+    }
+
+    const maxScore = hasHandicap
+      ? hole.par + 2 + strokesReceived
+      : hole.par + NO_HANDICAP_MAX_OVER_PAR;
+    return total + Math.min(hole.grossScore, maxScore);
+  }, 0);
+};
+
+/**
+ * Score differential for a round: (113 / slope) × (adjusted gross − course rating)
+ *
+ * @param {number} adjustedGrossScore - Adjusted gross score
+ * @param {number} courseRating - Course rating of the tee played
+ * @param {number} slope - Slope rating of the tee played
+ * @returns {number} Differential to one decimal place
+ */
+export const calculateScoreDifferential = (adjustedGrossScore, courseRating, slope) =>
+  roundToTenth((STANDARD_SLOPE / slope) * (adjustedGrossScore - courseRating));
+
+/**
+ * Handicap index from the most recent differentials, before caps
+ *
+ * @param {Array<number>} differentials - Differentials, most recent last
+ * @returns {number|null} Index, or null with fewer than three scores
+ */
+export const calculateRawHandicapIndex = (differentials = []) => {
+  const recent = differentials.slice(-HANDICAP_SCORE_WINDOW);
+  const rule = DIFFERENTIALS_USED.find(option => recent.length >= option.minScores);
+  if (!rule) {
+    return null;
+  }
+
+  const lowest = [...recent].sort((a, b) => a - b).slice(0, rule.count);
+  const average = lowest.reduce((sum, value) => sum + value, 0) / lowest.length;
+
+  return Math.min(MAX_HANDICAP_INDEX, roundToTenth(average + rule.adjustment));
+};
+
+/**
+ * Limit how quickly an index can rise above the low handicap index
+ * Half of any increase beyond 3.0 is kept (soft cap) and it can never be more than 5.0 higher (hard cap).
+ *
+ * @param {number} index - Index before caps
+ * @param {number|null} lowHandicapIndex - Lowest index over the previous year
+ * @returns {number} Capped index
+ */
+export const applyHandicapCaps = (index, lowHandicapIndex) => {
+  if (typeof lowHandicapIndex !== "number") {
+    return index;
+  }
+
+  let capped = index;
+  const increase = capped - lowHandicapIndex;
+  if (increase > SOFT_CAP_THRESHOLD) {
+    capped = lowHandicapIndex + SOFT_CAP_THRESHOLD + (increase - SOFT_CAP_THRESHOLD) / 2;
+  }
+
+  return roundToTenth(Math.min(capped, lowHandicapIndex + HARD_CAP_THRESHOLD));
+};
+
+/**
+ * Replay a player's scoring record to get their handicap index after every round
+ * There is no low handicap index, and so no capping, until the record has 20 scores.
+ *
+ * @param {Array<Object>} rounds - Rounds with a differential { id, date, differential }, oldest first
+ * @returns {Array<Object>} { roundId, date, differential, index, lowIndex, counted } per round
+ */
+export const calculateHandicapHistory = (rounds = []) => {
+  const history = [];
+
+  rounds.forEach((round, position) => {
+    const roundTime = new Date(round.date).getTime();
+    const differentials = rounds.slice(0, position + 1).map(entry => entry.differential);
+    const rawIndex = calculateRawHandicapIndex(differentials);
+
+    // Low handicap index: the lowest index the player held in the year before this round
+    const previousIndexes = differentials.length >= LOW_INDEX_MIN_SCORES
+      ? history
+          .filter(entry => entry.index !== null && roundTime - new Date(entry.date).getTime() <= LOW_INDEX_PERIOD_MS)
+          .map(entry => entry.index)
+      : [];
+    const lowIndex = previousIndexes.length > 0 ? Math.min(...previousIndexes) : null;
+
+    history.push({
+      roundId: round.id,
+      date: round.date,
+      differential: round.differential,
+      index: rawIndex === null ? null : applyHandicapCaps(rawIndex, lowIndex),
+      lowIndex
+    });
+  });
+
+  // Flag the differentials counting towards the current index
+  const recent = history.slice(-HANDICAP_SCORE_WINDOW);
+  const rule = DIFFERENTIALS_USED.find(option => recent.length >= option.minScores);
+  const countedRoundIds = rule
+    ? [...recent].sort((a, b) => a.differential - b.differential).slice(0, rule.count).map(entry => entry.roundId)
+    : [];
+
+  return history.map(entry => ({ ...entry, counted: countedRoundIds.includes(entry.roundId) }));
+};
+
+/**
+ * Get a player's handicap history from the differentials stored on their rounds
+ *
+ * @param {string} profile_id - The user's profile ID
+ * @returns {Promise<Array<Object>>} History from calculateHandicapHistory, oldest first
+ */
+export const getHandicapHistory = async (profile_id) => {
+  try {
+    const { data, error } = await supabase
+      .from("rounds")
+      .select("id, created_at, score_differential")
+      .eq("profile_id", profile_id)
+      .eq("is_complete", true)
+      .not("score_differential", "is", null)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+
+    return calculateHandicapHistory((data || []).map(round => ({
+      id: round.id,
+      date: round.created_at,
+      differential: Number(round.score_differential)
+    })));
+  } catch (error) {
+    console.error("[getHandicapHistory] Error loading handicap history:", error);
+    throw error;
+  }
+};
+
+/**
+ * Recalculate a player's handicap index and save it to their profile
+ * Leaves the stored handicap alone until there are enough scores for an index.
+ *
+ * @param {string} profile_id - The user's profile ID
+ * @returns {Promise<number|null>} The new index, or null when there isn't one yet
+ */
+export const updateHandicapIndex = async (profile_id) => {
+  try {
+    const history = await getHandicapHistory(profile_id);
+    const latestIndex = history.length > 0 ? history[history.length - 1].index : null;
+
+    if (latestIndex === null) {
+      return null;
+    }
+
+    const { error } = await supabase
+      .from("profiles")
+      .update({ handicap: latestIndex, updated_at: new Date().toISOString() })
+      .eq("id", profile_id);
+
+    if (error) throw error;
+
+    return latestIndex;
+  } catch (error) {
+    console.error("[updateHandicapIndex] Error updating handicap index:", error);
+    return null;
+  }
+};
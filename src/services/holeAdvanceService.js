@@ -0,0 +1,81 @@
+// src/services/holeAdvanceService.js
+//
+// Opt-in automatic hole advance. Course POI (built by get-course-detailed-info)
+// lists the tee boxes of each hole; when GPS puts the player on the next hole's
+// tee the tracker can move on by itself. Arrival needs a few accurate fixes in
+// a row so a single GPS jump or walking past a tee doesn't change holes.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { calculateDistance, MAX_POSITION_ACCURACY_METERS } from "./distanceService";
+
+// Whether the tracker advances holes automatically (per device)
+const AUTO_ADVANCE_KEY = "@GolfApp:auto_advance";
+
+// How close to a tee marker counts as being on the tee box, in yards
+export const TEE_GEOFENCE_YARDS = 25;
+
+// Consecutive fixes on the tee needed before advancing
+export const REQUIRED_TEE_FIXES = 3;
+
+/**
+ * Tee box positions for a hole from the course POI
+ *
+ * @param {Object} course - Course with poi ([{ hole, tees: [{ lat, lng, location }] }])
+ * @param {number} holeNumber - Course hole number
+ * @returns {Array<Object>} Tee positions { lat, lng }
+ */
+export const getTeePositions = (course, holeNumber) => {
+  const holePoi = Array.isArray(course?.poi)
+    ? course.poi.find(poi => poi.hole === holeNumber)
+    : null;
+
+  return (holePoi?.tees || []).filter(tee => typeof tee.lat === "number" && typeof tee.lng === "number");
+};
+
+/**
+ * Whether a GPS fix is on one of a hole's tee boxes
+ *
+ * @param {Object} position - GPS fix { lat, lng, accuracy }
+ * @param {Array<Object>} tees - Tee positions from getTeePositions
+ * @returns {boolean}
+ */
+export const isAtTee = (position, tees) => {
+  if (!position || tees.length === 0) {
+    return false;
+  }
+  if (position.accuracy != null && position.accuracy > MAX_POSITION_ACCURACY_METERS) {
+    return false;
+  }
+
+  return tees.some(tee =>
+    calculateDistance(position.lat, position.lng, tee.lat, tee.lng) <= TEE_GEOFENCE_YARDS
+  );
+};
+
+/**
+ * Whether automatic hole advance is switched on
+ *
+ * @returns {Promise<boolean>}
+ */
+export const getAutoAdvancePreference = async () => {
+  try {
+    return (await AsyncStorage.getItem(AUTO_ADVANCE_KEY)) === "true";
+  } catch (error) {
+    console.error("[getAutoAdvancePreference] Error reading preference:", error);
+    return false;
+  }
+};
+
+/**
+ * Switch automatic hole advance on or off
+ *
+ * @param {boolean} enabled - Whether to advance at the next tee
+ * @returns {Promise<void>}
+ */
+export const saveAutoAdvancePreference = async (enabled) => {
+  try {
+    await AsyncStorage.setItem(AUTO_ADVANCE_KEY, String(enabled));
+  } catch (error) {
+    console.error("[saveAutoAdvancePreference] Error saving preference:", error);
+  }
+};
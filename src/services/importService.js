@@ -0,0 +1,287 @@
+// src/services/importService.js
+//
+// Import of round history from CSV files exported by other golf apps. A file
+// has one row per hole with at least a date, hole number and score; putts,
+// fairways and greens in regulation are picked up when the file has them.
+// Columns are guessed from their headings and can be remapped on the import
+// screen. Rows are grouped into rounds by date and course, and each round is
+// created through roundservice.importRound as a completed round with its
+// holes' imported totals, so it counts towards stats and insights.
+
+import { importRound, generateRoundInsights } from "./roundservice";
+
+/**
+ * Fields an import can read, with the column headings each is guessed from
+ */
+export const IMPORT_FIELDS = [
+  { id: "date", label: "Date", required: true, aliases: ["date", "played", "played_at", "date_played", "round_date"] },
+  { id: "course", label: "Course", required: false, aliases: ["course", "course_name", "club", "club_name"] },
+  { id: "round", label: "Round ID", required: false, aliases: ["round", "round_id", "round_number"] },
+  { id: "hole", label: "Hole", required: true, aliases: ["hole", "hole_number", "hole_no", "hole_num"] },
+  { id: "score", label: "Score", required: true, aliases: ["score", "strokes", "gross", "hole_score", "gross_score"] },
+  { id: "par", label: "Par", required: false, aliases: ["par", "hole_par"] },
+  { id: "putts", label: "Putts", required: false, aliases: ["putts", "putt", "putts_taken"] },
+  { id: "fairway", label: "Fairway Hit", required: false, aliases: ["fairway", "fairway_hit", "fairways", "fir", "fw"] },
+  { id: "gir", label: "Green in Reg.", required: false, aliases: ["gir", "green", "greens", "green_in_regulation", "green_in_reg"] }
+];
+
+// Cell values read as yes / no for fairways and greens; anything else is unknown
+const TRUE_VALUES = ["y", "yes", "1", "true", "hit", "x"];
+const FALSE_VALUES = ["n", "no", "0", "false", "miss", "missed", "l", "r", "left", "right", "short", "long"];
+
+/**
+ * Split CSV text into a header row and data rows
+ * Handles quoted fields (with doubled quotes and line breaks inside them), CRLF
+ * line endings, and semicolon or tab separated files.
+ *
+ * @param {string} text - CSV file contents
+ * @returns {Object} { headers: Array<string>, rows: Array<Array<string>> }
+ */
+export const parseCsv = (text) => {
+  const source = (text || "").replace(/^\uFEFF/, "");
+  const firstLine = source.split(/\r?\n/)[0] || "";
+  const separator = [",", ";", "\t"].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  record.push(field);
+  records.push(record);
+
+  const nonEmpty = records
+    .map(values => values.map(value => value.trim()))
+    .filter(values => values.some(value => value !== ""));
+
+  return {
+    headers: nonEmpty[0] || [],
+    rows: nonEmpty.slice(1)
+  };
+};
+
+/**
+ * Normalise a column heading for matching, e.g. "Fairway Hit?" -> "fairway_hit"
+ */
+const normalizeHeader = (header) =>
+  header.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+
+/**
+ * Guess which column holds each field from the column headings
+ *
+ * @param {Array<string>} headers - Header row from parseCsv
+ * @returns {Object} { [fieldId]: column index or null }
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const index = normalized.findIndex(header => field.aliases.includes(header));
+    mapping[field.id] = index === -1 ? null : index;
+    return mapping;
+  }, {});
+};
+
+/**
+ * Required fields that have no column mapped
+ *
+ * @param {Object} mapping - Column mapping from guessColumnMapping
+ * @returns {Array<Object>} Missing fields from IMPORT_FIELDS
+ */
+export const getMissingFields = (mapping) =>
+  IMPORT_FIELDS.filter(field => field.required && typeof mapping[field.id] !== "number");
+
+const parseWholeNumber = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+};
+
+const parseYesNo = (value) => {
+  const normalized = (value || "").trim().toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+
+  return null;
+};
+
+// ISO dates (2024-06-01) are read as the local day; anything else is left to Date
+const parseDate = (value) => {
+  const isoMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec((value || "").trim());
+  const date = isoMatch
+    ? new Date(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3]), 12)
+    : new Date(value);
+
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Group CSV rows into rounds using a column mapping
+ * Rows are grouped by round ID when the file has one, otherwise by day and course.
+ * Rows without a valid date, hole or score are skipped, as are repeats of a hole.
+ * Hole numbers are checked against the course once it is matched (getHolesOffCourse).
+ *
+ * @param {Array<Array<string>>} rows - Data rows from parseCsv
+ * @param {Object} mapping - Column mapping { [fieldId]: column index or null }
+ * @returns {Object} { rounds: [{ key, playedAt, courseName, holes }], skippedRows }
+ */
+export const groupImportRounds = (rows, mapping) => {
+  const read = (row, fieldId) =>
+    typeof mapping[fieldId] === "number" ? (row[mapping[fieldId]] || "").trim() : "";
+  const roundsByKey = {};
+  let skippedRows = 0;
+
+  rows.forEach(row => {
+    const date = parseDate(read(row, "date"));
+    const holeNumber = parseWholeNumber(read(row, "hole"));
+    const score = parseWholeNumber(read(row, "score"));
+
+    if (!date || !holeNumber || holeNumber < 1 || !score || score < 1) {
+      skippedRows++;
+      return;
+    }
+
+    const courseName = read(row, "course");
+    const day = date.toDateString();
+    const key = read(row, "round") || `${day}|${courseName.toLowerCase()}`;
+
+    if (!roundsByKey[key]) {
+      roundsByKey[key] = { key, playedAt: date.toISOString(), courseName, holes: [] };
+    }
+    const round = roundsByKey[key];
+
+    if (round.holes.some(hole => hole.hole_number === holeNumber)) {
+      skippedRows++;
+      return;
+    }
+
+    round.holes.push({
+      hole_number: holeNumber,
+      par: parseWholeNumber(read(row, "par")),
+      score,
+      putts: parseWholeNumber(read(row, "putts")),
+      fairwayHit: parseYesNo(read(row, "fairway")),
+      greenInRegulation: parseYesNo(read(row, "gir"))
+    });
+  });
+
+  const rounds = Object.values(roundsByKey)
+    .map(round => ({
+      ...round,
+      holes: [...round.holes].sort((a, b) => a.hole_number - b.hole_number)
+    }))
+    .sort((a, b) => new Date(a.playedAt) - new Date(b.playedAt));
+
+  return { rounds, skippedRows };
+};
+
+/**
+ * Holes of an import round that the matched course doesn't have
+ *
+ * @param {Object} round - Round from groupImportRounds
+ * @param {Object} course - Matched course with num_holes
+ * @returns {Array<number>} Hole numbers past the course's last hole
+ */
+export const getHolesOffCourse = (round, course) =>
+  course?.num_holes
+    ? round.holes.map(hole => hole.hole_number).filter(holeNumber => holeNumber > course.num_holes)
+    : [];
+
+/**
+ * Holes missing from the middle of an import round on the matched course
+ * The round's range runs from its first to its last hole, and a gap would leave a
+ * hole's par in the round's par with no score, so rounds with gaps aren't imported.
+ *
+ * @param {Object} round - Round from groupImportRounds
+ * @param {Object} course - Matched course with num_holes
+ * @returns {Array<number>} Hole numbers in the round's range with no row in the file
+ */
+export const getMissingHoles = (round, course) => {
+  const offCourse = getHolesOffCourse(round, course);
+  const holeNumbers = round.holes
+    .map(hole => hole.hole_number)
+    .filter(holeNumber => !offCourse.includes(holeNumber));
+  if (holeNumbers.length === 0) return [];
+
+  const first = Math.min(...holeNumbers);
+  const last = Math.max(...holeNumbers);
+
+  return Array.from({ length: last - first + 1 }, (_, index) => first + index)
+    .filter(holeNumber => !holeNumbers.includes(holeNumber));
+};
+
+/**
+ * Import grouped rounds, oldest first, once each has a course
+ * Each round is completed on its own so one failure doesn't stop the rest, and rounds
+ * already imported from the same source are skipped; insights are generated once for
+ * the most recent imported round.
+ *
+ * @param {string} profile_id - The current user's profile ID
+ * @param {Array<Object>} rounds - Rounds from groupImportRounds with course and tee chosen
+ * @param {string} source - Where the file came from, kept on each round
+ * @param {Function} [onProgress] - Called with the number of rounds processed so far
+ * @returns {Promise<Object>} { imported, skipped, failed }
+ */
+export const importRounds = async (profile_id, rounds, source, onProgress) => {
+  let imported = 0;
+  let skipped = 0;
+  let failed = 0;
+  let lastRoundId = null;
+
+  for (const round of rounds) {
+    try {
+      const completed = await importRound(profile_id, {
+        course: round.course,
+        tee: round.tee,
+        playedAt: round.playedAt,
+        holes: round.holes,
+        source
+      });
+      if (!completed) {
+        skipped++;
+      } else {
+        imported++;
+        lastRoundId = completed[0]?.id || lastRoundId;
+      }
+    } catch (error) {
+      console.error("[importRounds] Error importing round:", round.key, error);
+      failed++;
+    }
+
+    if (onProgress) onProgress(imported + skipped + failed);
+  }
+
+  if (lastRoundId) {
+    await generateRoundInsights(profile_id, lastRoundId);
+  }
+
+  return { imported, skipped, failed };
+};
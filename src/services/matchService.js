@@ -0,0 +1,219 @@
+// src/services/matchService.js
+//
+// Match play scoring. A match is played between two sides: singles is the owner
+// against one partner, four-ball is the owner and their first partner against the
+// other two, with each side taking its best net score on a hole.
+// The match configuration is stored on the round (rounds.match) and the result
+// (e.g. "Won 3&2") is written to rounds.match_result when the round is completed.
+
+import { OWNER_PLAYER_ID, getHoleScores } from "./playerService";
+import { calculateCourseHandicap, allocateHandicapStrokes } from "./handicapService";
+
+/**
+ * Match play formats. The owner is always on the first side.
+ */
+export const MATCH_FORMATS = [
+  { id: "singles", label: "Singles", partnersRequired: 1 },
+  { id: "fourball", label: "Four-Ball", partnersRequired: 3 }
+];
+
+// Share of the playing handicap each player receives in four-ball
+const FOURBALL_ALLOWANCE = 0.9;
+
+/**
+ * Set up a match between the owner and their partners
+ *
+ * Each player's handicap index is turned into a course handicap for the tee and
+ * holes played (halved for nine holes), then strokes are taken off the lowest
+ * playing handicap in the match, so the best player plays off scratch and
+ * everyone else receives the difference. Players without a handicap play off scratch.
+ *
+ * @param {string} formatId - Match format ID
+ * @param {number|null} ownerHandicap - The owner's handicap index
+ * @param {Array<Object>} players - Partners in the order they were added ({ id, handicap })
+ * @param {Object} [course] - Tee played { slope, courseRating, coursePar, holesPlayed }
+ * @returns {Object|null} Match { format, sides, strokes }, or null when there aren't enough partners
+ */
+export const createMatch = (formatId, ownerHandicap, players = [], course = {}) => {
+  const format = MATCH_FORMATS.find(option => option.id === formatId);
+  if (!format || players.length < format.partnersRequired) {
+    return null;
+  }
+
+  const sides = format.id === "singles"
+    ? [[OWNER_PLAYER_ID], [players[0].id]]
+    : [[OWNER_PLAYER_ID, players[0].id], [players[1].id, players[2].id]];
+
+  const allowance = format.id === "fourball" ? FOURBALL_ALLOWANCE : 1;
+  const handicaps = { [OWNER_PLAYER_ID]: ownerHandicap };
+  players.forEach(player => {
+    handicaps[player.id] = player.handicap;
+  });
+
+  const playingHandicaps = {};
+  sides.flat().forEach(playerId => {
+    const courseHandicap = calculateCourseHandicap(
+      handicaps[playerId],
+      { slope: course.slope, courseRating: course.courseRating },
+      course.coursePar || 72,
+      course.holesPlayed || 18
+    );
+    playingHandicaps[playerId] = Math.round((courseHandicap || 0) * allowance);
+  });
+
+  const lowest = Math.min(...Object.values(playingHandicaps));
+  const strokes = {};
+  Object.entries(playingHandicaps).forEach(([playerId, playingHandicap]) => {
+    strokes[playerId] = playingHandicap - lowest;
+  });
+
+  return { format: format.id, sides, strokes };
+};
+
+/**
+ * Share each player's match strokes over the holes in the round
+ * Strokes fall on the hardest of the holes played first (lowest stroke index), so
+ * a nine-hole match only uses those nine holes; more strokes than holes means a
+ * second stroke on the hardest holes.
+ *
+ * @param {Object} match - Match from createMatch
+ * @param {Array<Object>} holes - Holes in the round { number, strokeIndex }
+ * @returns {Object} { [playerId]: { [holeNumber]: strokes } }
+ */
+export const allocateMatchStrokes = (match, holes = []) => {
+  const strokeHoles = holes.map(hole => ({ number: hole.number, index: hole.strokeIndex }));
+
+  return Object.fromEntries(match.sides.flat().map(playerId => [
+    playerId,
+    allocateHandicapStrokes(Math.max(match.strokes?.[playerId] || 0, 0), strokeHoles)
+  ]));
+};
+
+/**
+ * Best net score a side made on a hole
+ *
+ * @returns {number|null} Net score, or null when nobody on the side has a score
+ */
+const getSideNetScore = (side, scores, strokesOnHole) => {
+  const netScores = side
+    .filter(playerId => typeof scores[playerId] === "number")
+    .map(playerId => scores[playerId] - (strokesOnHole[playerId] || 0));
+
+  return netScores.length > 0 ? Math.min(...netScores) : null;
+};
+
+/**
+ * Result of a single hole from the owner's side
+ *
+ * @param {Object} match - Match from createMatch
+ * @param {Object<string, number>} scores - Gross scores keyed by player ID
+ * @param {Object<string, number>} strokesOnHole - Match strokes each player receives on the hole
+ * @returns {number|null} 1 won, 0 halved, -1 lost, or null when not yet decided
+ */
+export const calculateHoleResult = (match, scores, strokesOnHole = {}) => {
+  const ourScore = getSideNetScore(match.sides[0], scores, strokesOnHole);
+  const theirScore = getSideNetScore(match.sides[1], scores, strokesOnHole);
+
+  if (ourScore === null || theirScore === null) {
+    return null;
+  }
+
+  return Math.sign(theirScore - ourScore);
+};
+
+/**
+ * Work out where a match stands
+ *
+ * Holes are counted in playing order until the first hole without a result.
+ * Once one side is up by more holes than remain the match is closed out and
+ * later holes no longer count.
+ *
+ * @param {Object} match - Match from createMatch
+ * @param {Array<Object>} holes - Every hole in the round, in playing order ({ number, holeData, strokeIndex })
+ * @returns {Object} { holesUp, holesPlayed, holesRemaining, isDormie, isClosedOut, isComplete, results }
+ */
+export const calculateMatchStatus = (match, holes = []) => {
+  let holesUp = 0;
+  let holesPlayed = 0;
+  const results = [];
+  const strokesByPlayer = allocateMatchStrokes(match, holes.map(hole => ({
+    number: hole.number,
+    strokeIndex: hole.strokeIndex ?? hole.holeData?.index
+  })));
+
+  for (const hole of holes) {
+    if (Math.abs(holesUp) > holes.length - holesPlayed) {
+      break;
+    }
+
+    const strokesOnHole = Object.fromEntries(
+      Object.entries(strokesByPlayer).map(([playerId, strokes]) => [playerId, strokes[hole.number] || 0])
+    );
+    const result = calculateHoleResult(match, getHoleScores(hole.holeData), strokesOnHole);
+    if (result === null) {
+      break;
+    }
+
+    holesUp += result;
+    holesPlayed++;
+    results.push(result);
+  }
+
+  const holesRemaining = holes.length - holesPlayed;
+  const isClosedOut = Math.abs(holesUp) > holesRemaining;
+
+  return {
+    holesUp,
+    holesPlayed,
+    holesRemaining,
+    isDormie: holesUp !== 0 && Math.abs(holesUp) === holesRemaining,
+    isClosedOut,
+    isComplete: isClosedOut || holesRemaining === 0,
+    results
+  };
+};
+
+/**
+ * Final result of a finished match, e.g. "Won 3&2", "Lost 1 UP" or "Halved"
+ *
+ * @param {Object} status - Status from calculateMatchStatus
+ * @returns {string|null} Result, or null while the match is still going
+ */
+export const formatMatchResult = (status) => {
+  if (!status?.isComplete) {
+    return null;
+  }
+
+  if (status.holesUp === 0) {
+    return "Halved";
+  }
+
+  const margin = Math.abs(status.holesUp);
+  const outcome = status.holesUp > 0 ? "Won" : "Lost";
+
+  return status.holesRemaining > 0
+    ? `${outcome} ${margin}&${status.holesRemaining}`
+    : `${outcome} ${margin} UP`;
+};
+
+/**
+ * Running match status for display, e.g. "2 UP with 5 to play"
+ *
+ * @param {Object} status - Status from calculateMatchStatus
+ * @returns {string}
+ */
+export const formatMatchStatus = (status) => {
+  if (status.isComplete) {
+    return formatMatchResult(status);
+  }
+
+  if (status.holesUp === 0) {
+    return `All Square with ${status.holesRemaining} to play`;
+  }
+
+  const standing = `${Math.abs(status.holesUp)} ${status.holesUp > 0 ? "UP" : "DOWN"}`;
+
+  return status.isDormie
+    ? `Dormie - ${standing}`
+    : `${standing} with ${status.holesRemaining} to play`;
+};
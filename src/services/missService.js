@@ -0,0 +1,141 @@
+// src/services/missService.js
+//
+// Detailed shot entry: where a shot missed and where the ball finished.
+// Both are optional fields on a shot in hole_data.shots (missDirection, lie), so
+// rounds recorded with only the three outcome buckets keep working unchanged.
+// The analyze-golf-performance edge function mirrors summarizeMissPatterns.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { isPenaltyShot } from "./penaltyService";
+
+// Whether the tracker asks for miss direction and lie after each shot (per device)
+const DETAILED_ENTRY_KEY = "@GolfApp:detailed_shot_entry";
+
+/**
+ * Directions a shot can miss its target
+ */
+export const MISS_DIRECTIONS = [
+  { id: "left", label: "Left" },
+  { id: "right", label: "Right" },
+  { id: "short", label: "Short" },
+  { id: "long", label: "Long" }
+];
+
+/**
+ * Where the ball finished after a shot
+ */
+export const LIE_RESULTS = [
+  { id: "fairway", label: "Fairway" },
+  { id: "rough", label: "Rough" },
+  { id: "sand", label: "Sand" },
+  { id: "green", label: "Green" },
+  { id: "hazard", label: "Hazard" }
+];
+
+/**
+ * Display label for a miss direction
+ *
+ * @param {string} directionId - Miss direction ID
+ * @returns {string|null}
+ */
+export const getMissDirectionLabel = (directionId) =>
+  MISS_DIRECTIONS.find(direction => direction.id === directionId)?.label || null;
+
+/**
+ * Display label for a lie result
+ *
+ * @param {string} lieId - Lie result ID
+ * @returns {string|null}
+ */
+export const getLieResultLabel = (lieId) =>
+  LIE_RESULTS.find(lie => lie.id === lieId)?.label || null;
+
+/**
+ * Whether a shot was recorded with a miss direction or lie
+ *
+ * @param {Object} shot - Shot from hole_data.shots
+ * @returns {boolean}
+ */
+export const hasShotDetail = (shot) => !!(shot?.missDirection || shot?.lie);
+
+/**
+ * Count miss directions and lie results over a set of shots
+ * Only shots recorded in detailed mode are counted; penalty strokes are never swings.
+ *
+ * @param {Array<Object>} shots - Shots from hole_data.shots
+ * @returns {Object} { detailedShots, misses, byDirection, byLie, byShotType }
+ */
+export const summarizeMissPatterns = (shots = []) => {
+  const summary = {
+    detailedShots: 0,
+    misses: 0,
+    byDirection: Object.fromEntries(MISS_DIRECTIONS.map(direction => [direction.id, 0])),
+    byLie: Object.fromEntries(LIE_RESULTS.map(lie => [lie.id, 0])),
+    byShotType: {}
+  };
+
+  shots
+    .filter(shot => !isPenaltyShot(shot) && hasShotDetail(shot))
+    .forEach(shot => {
+      summary.detailedShots++;
+
+      if (shot.lie && shot.lie in summary.byLie) {
+        summary.byLie[shot.lie]++;
+      }
+
+      if (shot.missDirection && shot.missDirection in summary.byDirection) {
+        summary.misses++;
+        summary.byDirection[shot.missDirection]++;
+
+        if (!summary.byShotType[shot.type]) {
+          summary.byShotType[shot.type] = Object.fromEntries(MISS_DIRECTIONS.map(direction => [direction.id, 0]));
+        }
+        summary.byShotType[shot.type][shot.missDirection]++;
+      }
+    });
+
+  return summary;
+};
+
+/**
+ * Most common miss, e.g. "Right (6 of 11 misses)"
+ *
+ * @param {Object} missPatterns - Summary from summarizeMissPatterns
+ * @returns {string}
+ */
+export const formatPredominantMiss = (missPatterns) => {
+  if (!missPatterns || missPatterns.misses === 0) return "-";
+
+  const [directionId, count] = Object.entries(missPatterns.byDirection)
+    .sort(([, a], [, b]) => b - a)[0];
+
+  return `${getMissDirectionLabel(directionId)} (${count} of ${missPatterns.misses} misses)`;
+};
+
+/**
+ * Whether detailed shot entry is switched on
+ *
+ * @returns {Promise<boolean>}
+ */
+export const getDetailedEntryPreference = async () => {
+  try {
+    return (await AsyncStorage.getItem(DETAILED_ENTRY_KEY)) === "true";
+  } catch (error) {
+    console.error("[getDetailedEntryPreference] Error reading preference:", error);
+    return false;
+  }
+};
+
+/**
+ * Switch detailed shot entry on or off
+ *
+ * @param {boolean} enabled - Whether to ask for miss direction and lie
+ * @returns {Promise<void>}
+ */
+export const saveDetailedEntryPreference = async (enabled) => {
+  try {
+    await AsyncStorage.setItem(DETAILED_ENTRY_KEY, String(enabled));
+  } catch (error) {
+    console.error("[saveDetailedEntryPreference] Error saving preference:", error);
+  }
+};
@@ -0,0 +1,166 @@
+// src/services/paceService.js
+//
+// Pace of play. Each hole records when play on it started and finished
+// (hole_data.startedAt / hole_data.finishedAt, ISO strings); holes from rounds
+// recorded before that fall back to their first and last shot timestamps.
+// The pace target is a per-device setting for an 18-hole round and is scaled
+// to the number of holes being played.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+// Target round time for 18 holes, in minutes
+const PACE_TARGET_KEY = "@GolfApp:pace_target_minutes";
+
+export const DEFAULT_PACE_TARGET_MINUTES = 255; // 4h15
+
+/**
+ * Targets offered in settings, in minutes for 18 holes
+ */
+export const PACE_TARGET_OPTIONS = [225, 240, 255, 270, 285];
+
+// Within this many minutes of the target counts as on pace
+const ON_PACE_TOLERANCE_MINUTES = 2;
+
+/**
+ * Get the pace target for 18 holes
+ *
+ * @returns {Promise<number>} Minutes
+ */
+export const getPaceTarget = async () => {
+  try {
+    const stored = Number(await AsyncStorage.getItem(PACE_TARGET_KEY));
+    return stored > 0 ? stored : DEFAULT_PACE_TARGET_MINUTES;
+  } catch (error) {
+    console.error("[getPaceTarget] Error reading pace target:", error);
+    return DEFAULT_PACE_TARGET_MINUTES;
+  }
+};
+
+/**
+ * Save the pace target for 18 holes
+ *
+ * @param {number} minutes - Target round time in minutes
+ * @returns {Promise<void>}
+ */
+export const savePaceTarget = async (minutes) => {
+  try {
+    await AsyncStorage.setItem(PACE_TARGET_KEY, String(minutes));
+  } catch (error) {
+    console.error("[savePaceTarget] Error saving pace target:", error);
+  }
+};
+
+/**
+ * When play on a hole started and finished
+ *
+ * @param {Object} holeData - hole_data for the hole
+ * @returns {{ startedAt: number|null, finishedAt: number|null }} Epoch milliseconds
+ */
+export const getHoleTiming = (holeData) => {
+  const shotTimes = (holeData?.shots || [])
+    .map(shot => new Date(shot.timestamp).getTime())
+    .filter(time => !isNaN(time));
+
+  const startedAt = holeData?.startedAt
+    ? new Date(holeData.startedAt).getTime()
+    : (shotTimes.length > 0 ? Math.min(...shotTimes) : null);
+  const finishedAt = holeData?.finishedAt
+    ? new Date(holeData.finishedAt).getTime()
+    : (shotTimes.length > 0 ? Math.max(...shotTimes) : null);
+
+  return { startedAt, finishedAt };
+};
+
+/**
+ * Minutes spent on a finished hole
+ *
+ * @param {Object} holeData - hole_data for the hole
+ * @returns {number|null} Rounded minutes, or null when the hole has no timing
+ */
+export const getHoleDurationMinutes = (holeData) => {
+  const { startedAt, finishedAt } = getHoleTiming(holeData);
+  if (!startedAt || !finishedAt || finishedAt < startedAt) {
+    return null;
+  }
+
+  return Math.round((finishedAt - startedAt) / 60000);
+};
+
+/**
+ * Where a round stands against the pace target
+ *
+ * Expected time is the target's per-hole share multiplied by the holes finished
+ * so far, compared against the time since the first hole started.
+ *
+ * @param {Array<Object>} holes - hole_data for every hole in playing order
+ * @param {number} targetMinutes - Pace target for 18 holes
+ * @param {number} [now] - Current time in epoch milliseconds
+ * @returns {Object|null} { elapsedMinutes, targetMinutes, expectedMinutes, holesFinished, minutesBehind },
+ *   or null before the first hole has started
+ */
+export const calculateRoundPace = (holes, targetMinutes, now = Date.now()) => {
+  const timings = holes.map(getHoleTiming);
+  const startTimes = timings.map(timing => timing.startedAt).filter(Boolean);
+  if (startTimes.length === 0) {
+    return null;
+  }
+
+  const minutesPerHole = targetMinutes / 18;
+  const holesFinished = holes.filter(holeData => holeData?.finishedAt).length;
+  const elapsedMinutes = Math.max(0, Math.round((now - Math.min(...startTimes)) / 60000));
+  const expectedMinutes = Math.round(minutesPerHole * holesFinished);
+
+  return {
+    elapsedMinutes,
+    targetMinutes: Math.round(minutesPerHole * holes.length),
+    expectedMinutes,
+    holesFinished,
+    minutesBehind: holesFinished > 0 ? elapsedMinutes - expectedMinutes : null
+  };
+};
+
+/**
+ * Total time for a finished round, from the first hole started to the last hole finished
+ *
+ * @param {Array<Object>} holes - hole_data for the holes played
+ * @returns {number|null} Minutes, or null when the holes have no timing
+ */
+export const calculateRoundDuration = (holes) => {
+  const timings = holes.map(getHoleTiming);
+  const startTimes = timings.map(timing => timing.startedAt).filter(Boolean);
+  const finishTimes = timings.map(timing => timing.finishedAt).filter(Boolean);
+
+  if (startTimes.length === 0 || finishTimes.length === 0) {
+    return null;
+  }
+
+  return Math.round((Math.max(...finishTimes) - Math.min(...startTimes)) / 60000);
+};
+
+/**
+ * Format minutes as a duration, e.g. "4h 05m" or "14m"
+ *
+ * @param {number|null} minutes
+ * @returns {string}
+ */
+export const formatDuration = (minutes) => {
+  if (typeof minutes !== "number") return "-";
+  if (minutes < 60) return `${minutes}m`;
+
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+};
+
+/**
+ * Pace against the target for display, e.g. "6m behind pace"
+ *
+ * @param {Object} pace - Pace from calculateRoundPace
+ * @returns {string|null} Status, or null until a hole has been finished
+ */
+export const formatPaceStatus = (pace) => {
+  if (!pace || pace.minutesBehind === null) return null;
+  if (Math.abs(pace.minutesBehind) <= ON_PACE_TOLERANCE_MINUTES) return "On pace";
+
+  return pace.minutesBehind > 0
+    ? `${pace.minutesBehind}m behind pace`
+    : `${-pace.minutesBehind}m ahead of pace`;
+};
@@ -0,0 +1,85 @@
+// src/services/penaltyService.js
+//
+// Penalty strokes are recorded in a hole's shots array like any other stroke, so they
+// count toward the hole score, but carry a reason instead of a quality outcome.
+
+// Shot type used for penalty strokes (kept from the original shot table for existing data)
+export const PENALTY_SHOT_TYPE = "Penalties";
+
+// Result recorded on penalty strokes in place of On Target/Slightly Off/Recovery Needed
+export const PENALTY_RESULT = "Penalty";
+
+/**
+ * Penalty reasons. Out of bounds and lost ball always mean stroke and distance
+ * (replaying from where the previous shot was hit); the others usually mean a drop
+ * but can be taken as stroke and distance.
+ */
+export const PENALTY_REASONS = [
+  { id: "ob", label: "OB", strokeAndDistance: true },
+  { id: "lost_ball", label: "Lost Ball", strokeAndDistance: true },
+  { id: "water", label: "Water", strokeAndDistance: false },
+  { id: "lateral", label: "Lateral", strokeAndDistance: false },
+  { id: "unplayable", label: "Unplayable", strokeAndDistance: false }
+];
+
+/**
+ * Whether a shot is a penalty stroke
+ *
+ * @param {Object} shot - Shot from hole_data.shots
+ * @returns {boolean}
+ */
+export const isPenaltyShot = (shot) => shot?.type === PENALTY_SHOT_TYPE;
+
+/**
+ * Whether a penalty reason always requires stroke and distance
+ *
+ * @param {string} reasonId - Penalty reason ID
+ * @returns {boolean}
+ */
+export const requiresStrokeAndDistance = (reasonId) =>
+  !!PENALTY_REASONS.find(reason => reason.id === reasonId)?.strokeAndDistance;
+
+/**
+ * Display label for a penalty reason; penalties recorded before reasons existed show as "Other"
+ *
+ * @param {string} reasonId - Penalty reason ID
+ * @returns {string}
+ */
+export const getPenaltyReasonLabel = (reasonId) =>
+  PENALTY_REASONS.find(reason => reason.id === reasonId)?.label || "Other";
+
+/**
+ * Create a penalty stroke for a hole's shots array
+ *
+ * @param {string} reasonId - Penalty reason ID
+ * @param {boolean} strokeAndDistance - Whether the next shot is replayed from the previous spot
+ * @returns {Object} Penalty shot
+ */
+export const createPenaltyShot = (reasonId, strokeAndDistance = false) => ({
+  type: PENALTY_SHOT_TYPE,
+  result: PENALTY_RESULT,
+  penaltyReason: reasonId,
+  strokeAndDistance: strokeAndDistance || requiresStrokeAndDistance(reasonId),
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Count penalty strokes in a list of shots, in total and by reason
+ *
+ * @param {Array<Object>} shots - Shots from one or more holes
+ * @returns {{ strokes: number, strokeAndDistance: number, byReason: Object<string, number> }}
+ */
+export const summarizePenalties = (shots = []) => {
+  const summary = { strokes: 0, strokeAndDistance: 0, byReason: {} };
+
+  shots.filter(isPenaltyShot).forEach(shot => {
+    const reasonId = shot.penaltyReason || "other";
+    summary.strokes++;
+    summary.byReason[reasonId] = (summary.byReason[reasonId] || 0) + 1;
+    if (shot.strokeAndDistance) {
+      summary.strokeAndDistance++;
+    }
+  });
+
+  return summary;
+};
@@ -0,0 +1,187 @@
+// src/services/pickupService.js
+//
+// Picked-up holes and conceded putts. Rather than entering every stroke on a
+// blow-up hole, the player can pick up (the hole scores the maximum) or have a
+// putt conceded (the next stroke is counted as holed, up to the maximum).
+// The state is stored on the hole as hole_data.pickup { type, rule, strokesReceived },
+// and the score is worked out from it when the hole is scored, so it follows any
+// later change to the hole's shots or par. Older pickups stored a fixed score.
+// The maximum is a per-device setting: net double bogey, par plus a number, or a fixed cap.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { countScoringShots } from "./practiceService";
+import { NO_HANDICAP_MAX_OVER_PAR } from "./handicapService";
+
+// Maximum hole score setting { rule, value } (per device)
+const MAX_SCORE_KEY = "@GolfApp:max_hole_score";
+
+/**
+ * Ways a hole can end without being holed out
+ */
+export const PICKUP_TYPES = [
+  { id: "picked_up", label: "Picked up" },
+  { id: "conceded", label: "Putt conceded" }
+];
+
+/**
+ * How the maximum hole score is worked out, with the values offered for each
+ */
+export const MAX_SCORE_RULES = [
+  { id: "net_double_bogey", label: "Net Double Bogey", values: [] },
+  { id: "par_plus", label: "Par +", values: [2, 3, 4, 5] },
+  { id: "fixed", label: "Fixed Cap", values: [8, 9, 10, 12] }
+];
+
+export const DEFAULT_MAX_SCORE_SETTING = { rule: "net_double_bogey", value: null };
+
+/**
+ * Get the maximum hole score setting
+ *
+ * @returns {Promise<Object>} { rule, value }
+ */
+export const getMaxScoreSetting = async () => {
+  try {
+    const stored = JSON.parse(await AsyncStorage.getItem(MAX_SCORE_KEY));
+    return MAX_SCORE_RULES.some(rule => rule.id === stored?.rule)
+      ? stored
+      : DEFAULT_MAX_SCORE_SETTING;
+  } catch (error) {
+    console.error("[getMaxScoreSetting] Error reading max score setting:", error);
+    return DEFAULT_MAX_SCORE_SETTING;
+  }
+};
+
+/**
+ * Save the maximum hole score setting
+ *
+ * @param {Object} setting - { rule, value }
+ * @returns {Promise<void>}
+ */
+export const saveMaxScoreSetting = async (setting) => {
+  try {
+    await AsyncStorage.setItem(MAX_SCORE_KEY, JSON.stringify(setting));
+  } catch (error) {
+    console.error("[saveMaxScoreSetting] Error saving max score setting:", error);
+  }
+};
+
+/**
+ * Maximum score for a hole under a setting
+ * Net double bogey is par + 2 + handicap strokes, or par + 5 without a course handicap.
+ *
+ * @param {Object} setting - { rule, value } from getMaxScoreSetting
+ * @param {number|null} par - Hole par
+ * @param {number|null} strokesReceived - Handicap strokes on the hole, null without a course handicap
+ * @returns {number|null} Maximum strokes, or null when the hole has no par to work from
+ */
+export const calculateMaxScore = (setting, par, strokesReceived) => {
+  const rule = MAX_SCORE_RULES.find(option => option.id === setting?.rule) || MAX_SCORE_RULES[0];
+  const value = rule.values.includes(setting?.value) ? setting.value : rule.values[0];
+
+  if (rule.id === "fixed") {
+    return value;
+  }
+  if (!par) {
+    return null;
+  }
+  if (rule.id === "par_plus") {
+    return par + value;
+  }
+
+  return typeof strokesReceived === "number"
+    ? par + 2 + strokesReceived
+    : par + NO_HANDICAP_MAX_OVER_PAR;
+};
+
+/**
+ * Describe a max score setting, e.g. "Par + 3"
+ *
+ * @param {Object} setting - { rule, value }
+ * @returns {string}
+ */
+export const formatMaxScoreRule = (setting) => {
+  const rule = MAX_SCORE_RULES.find(option => option.id === setting?.rule) || MAX_SCORE_RULES[0];
+  if (rule.id === "par_plus") return `Par + ${setting.value}`;
+  if (rule.id === "fixed") return `Max ${setting.value}`;
+
+  return rule.label;
+};
+
+/**
+ * Pickup state for a hole ended without holing out
+ * Only the rule is kept; the score is worked out by getPickupScore.
+ *
+ * @param {string} typeId - Pickup type ID
+ * @param {Object} setting - Max score setting { rule, value }
+ * @param {number|null} strokesReceived - Handicap strokes on the hole, null without a course handicap
+ * @returns {Object} { type, rule, strokesReceived }
+ */
+export const createPickup = (typeId, setting, strokesReceived) => ({
+  type: typeId,
+  rule: setting,
+  strokesReceived: typeof strokesReceived === "number" ? strokesReceived : null
+});
+
+/**
+ * Whether a hole was picked up or had a putt conceded
+ *
+ * @param {Object} holeData - hole_data for the hole
+ * @returns {boolean}
+ */
+export const isPickedUp = (holeData) => PICKUP_TYPES.some(type => type.id === holeData?.pickup?.type);
+
+/**
+ * Score for a picked-up hole from its current shots and par
+ * A pickup scores the maximum; a conceded putt counts one more stroke, never more than the maximum.
+ * Pickups saved before the rule was kept on its own use the score they stored.
+ *
+ * @param {Object} holeData - hole_data for a picked-up hole
+ * @returns {number}
+ */
+export const getPickupScore = (holeData) => {
+  const { pickup } = holeData;
+  if (typeof pickup.score === "number") {
+    return pickup.score;
+  }
+
+  const strokes = countScoringShots(holeData);
+  const maxScore = calculateMaxScore(pickup.rule, holeData.par, pickup.strokesReceived);
+
+  return pickup.type === "conceded"
+    ? Math.min(strokes + 1, maxScore || strokes + 1)
+    : maxScore || strokes + 1;
+};
+
+/**
+ * Display label for a pickup type
+ *
+ * @param {string} typeId - Pickup type ID
+ * @returns {string}
+ */
+export const getPickupLabel = (typeId) =>
+  PICKUP_TYPES.find(type => type.id === typeId)?.label || "Picked up";
+
+/**
+ * Score for a hole: the pickup score if it was picked up, the imported score for a hole
+ * imported without shots (hole_data.imported), otherwise the strokes recorded
+ *
+ * @param {Object} holeData - hole_data for the hole
+ * @returns {number}
+ */
+export const getHoleScore = (holeData) => {
+  if (isPickedUp(holeData)) {
+    return getPickupScore(holeData);
+  }
+
+  const strokes = countScoringShots(holeData);
+  return strokes === 0 && holeData?.imported?.score > 0 ? holeData.imported.score : strokes;
+};
+
+/**
+ * Score for a saved hole record, trusting the pickup over the stored total
+ *
+ * @param {Object} record - Hole record { hole_data, total_score }
+ * @returns {number}
+ */
+export const getHoleRecordScore = (record) =>
+  isPickedUp(record?.hole_data) ? getPickupScore(record.hole_data) : (record?.total_score || 0);
@@ -0,0 +1,132 @@
+// src/services/playerService.js
+//
+// Playing partners scored on the owner's phone.
+// Partners are stored on the round (rounds.players) and their hole scores are kept
+// in each hole's hole_data.partnerScores, keyed by player ID, so they sync with the
+// owner's shots. Only the owner records detailed shots.
+
+import { supabase } from "./supabase";
+import { getHoleScore } from "./pickupService";
+
+// Most partners one phone keeps score for (a fourball plus the owner)
+export const MAX_PARTNERS = 3;
+
+// Player ID used for the round owner wherever scores are keyed by player
+export const OWNER_PLAYER_ID = "owner";
+
+/**
+ * Create a playing partner for a new round
+ *
+ * @param {string} name - Name shown on the scorecard
+ * @param {Object} [profile] - Linked app profile { id, email, handicap }, if the partner has an account
+ * @param {number} [handicap] - Handicap entered for the partner; defaults to the linked profile's
+ * @returns {Object} Player { id, name, profile_id, handicap }
+ */
+export const createPlayer = (name, profile = null, handicap = null) => ({
+  id: `player_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+  name: name.trim(),
+  profile_id: profile?.id || null,
+  handicap: typeof handicap === "number" ? handicap : (profile?.handicap ?? null)
+});
+
+/**
+ * Look up an app profile by email so a partner can be linked to their account
+ *
+ * @param {string} email - Partner's account email
+ * @returns {Promise<Object|null>} Profile { id, email, handicap }, or null when not found
+ */
+export const findProfileByEmail = async (email) => {
+  try {
+    const { data, error } = await supabase
+      .from("profiles")
+      .select("id, email, handicap")
+      .eq("email", email.trim().toLowerCase())
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data || null;
+  } catch (error) {
+    console.error("[findProfileByEmail] Error looking up profile:", error);
+    return null;
+  }
+};
+
+/**
+ * Get a profile's handicap
+ *
+ * @param {string} profile_id - Profile ID
+ * @returns {Promise<number|null>} Handicap, or null when not set or unavailable
+ */
+export const getProfileHandicap = async (profile_id) => {
+  try {
+    const { data, error } = await supabase
+      .from("profiles")
+      .select("handicap")
+      .eq("id", profile_id)
+      .single();
+
+    if (error) throw error;
+
+    return data?.handicap != null ? Number(data.handicap) : null;
+  } catch (error) {
+    console.error("[getProfileHandicap] Error loading handicap:", error);
+    return null;
+  }
+};
+
+/**
+ * Get the partners recorded on a round
+ *
+ * @param {Object} round - Round record with optional players
+ * @returns {Array<Object>} Players in the order they were added
+ */
+export const getRoundPlayers = (round) =>
+  Array.isArray(round?.players) ? round.players : [];
+
+/**
+ * Get a partner's score on a hole
+ *
+ * @param {Object} holeData - hole_data for the hole
+ * @param {string} playerId - Partner's player ID
+ * @returns {number|null} Strokes, or null when not entered
+ */
+export const getPartnerScore = (holeData, playerId) => {
+  const score = holeData?.partnerScores?.[playerId];
+  return typeof score === "number" && score > 0 ? score : null;
+};
+
+/**
+ * Get every player's score on a hole, keyed by player ID
+ * The owner's score is the number of shots recorded, leaving out extra balls,
+ * or the pickup score for a picked-up hole.
+ *
+ * @param {Object} holeData - hole_data for the hole
+ * @returns {Object<string, number>} Scores for the players with a score entered
+ */
+export const getHoleScores = (holeData) => {
+  const scores = {};
+  const ownerScore = getHoleScore(holeData);
+  if (ownerScore > 0) {
+    scores[OWNER_PLAYER_ID] = ownerScore;
+  }
+
+  Object.keys(holeData?.partnerScores || {}).forEach(playerId => {
+    const score = getPartnerScore(holeData, playerId);
+    if (score) {
+      scores[playerId] = score;
+    }
+  });
+
+  return scores;
+};
+
+/**
+ * Total a partner's strokes over a set of holes
+ *
+ * @param {Array<Object>} holes - Hole records ({ hole_data }) or hole_data objects
+ * @param {string} playerId - Partner's player ID
+ * @returns {number} Total strokes for the holes with a score entered
+ */
+export const calculatePartnerTotal = (holes, playerId) =>
+  holes.reduce((total, hole) => total + (getPartnerScore(hole?.hole_data || hole, playerId) || 0), 0);
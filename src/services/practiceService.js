@@ -0,0 +1,62 @@
+// src/services/practiceService.js
+//
+// Practice rounds and extra balls. A round started as a practice round
+// (rounds.is_practice) is kept out of the handicap index and headline stats.
+// In a practice round any shot can be marked as a mulligan or extra ball
+// (shot.extraBall); those shots stay in hole_data.shots for practice reporting
+// but never count towards the hole score or the round's stats.
+
+/**
+ * Whether a round was played as a practice round
+ *
+ * @param {Object} round - Round record with optional is_practice
+ * @returns {boolean}
+ */
+export const isPracticeRound = (round) => !!round?.is_practice;
+
+/**
+ * Whether a shot is a mulligan or extra ball
+ *
+ * @param {Object} shot - Shot from hole_data.shots
+ * @returns {boolean}
+ */
+export const isExtraBall = (shot) => !!shot?.extraBall;
+
+/**
+ * Shots that count towards the score, leaving out extra balls
+ *
+ * @param {Array<Object>} shots - Shots from hole_data.shots
+ * @returns {Array<Object>}
+ */
+export const getScoringShots = (shots = []) => shots.filter(shot => !isExtraBall(shot));
+
+/**
+ * Number of strokes for a hole, leaving out extra balls
+ *
+ * @param {Object} holeData - hole_data for the hole
+ * @returns {number}
+ */
+export const countScoringShots = (holeData) => getScoringShots(holeData?.shots || []).length;
+
+/**
+ * Count extra balls by shot type and outcome
+ *
+ * @param {Array<Object>} shots - Shots from hole_data.shots
+ * @returns {Object} { count, byType: { [type]: { count, outcomes: { [result]: n } } } }
+ */
+export const summarizeExtraBalls = (shots = []) => {
+  const summary = { count: 0, byType: {} };
+
+  shots.filter(isExtraBall).forEach(shot => {
+    summary.count++;
+
+    if (!summary.byType[shot.type]) {
+      summary.byType[shot.type] = { count: 0, outcomes: {} };
+    }
+    const typeSummary = summary.byType[shot.type];
+    typeSummary.count++;
+    typeSummary.outcomes[shot.result] = (typeSummary.outcomes[shot.result] || 0) + 1;
+  });
+
+  return summary;
+};
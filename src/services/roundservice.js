@@ -1,7 +1,87 @@
 // src/services/roundservice.js
 
+import AsyncStorage from "@react-native-async-storage/async-storage";
 import { supabase } from "./supabase";
 import { trackEvent, trackError, ERROR_TYPES, EVENTS } from "./analytics";
+import { calculateMatchStatus, formatMatchResult } from "./matchService";
+import { 
+  allocateHandicapStrokes, 
+  calculateNetScoring, 
+  calculateAdjustedGrossScore, 
+  calculateScoreDifferential, 
+  updateHandicapIndex 
+} from "./handicapService";
+import { getHolePar, getHoleStrokeIndex, getTeeRatings, getRoundRatingSet, getRatingSetPreference } from "./courseRatingService";
+import { isPracticeRound } from "./practiceService";
+import { getHoleScore, getHoleRecordScore } from "./pickupService";
+
+/**
+ * Get the ordered list of course hole numbers played in a round.
+ * 
+ * Rounds store the first and last hole of the played range, so a 9-hole
+ * round on the back nine is stored as 10-18. Rounds created before round
+ * length was configurable have no range and are treated as a full 18.
+ * 
+ * Rounds can start part way through the range (shotgun starts, or going
+ * off the 10th), in which case play wraps around from the last hole back
+ * to the first, e.g. 10-18 then 1-9.
+ * 
+ * @param {object} round - Round record with optional first_hole, last_hole and start_hole.
+ * @returns {Array<number>} Hole numbers in playing order.
+ */
+export const getRoundHoleNumbers = (round) => {
+  const firstHole = round?.first_hole || 1;
+  const lastHole = round?.last_hole || 18;
+  
+  const holeNumbers = [];
+  for (let i = firstHole; i <= lastHole; i++) {
+    holeNumbers.push(i);
+  }
+  
+  // Rotate so play begins on the starting hole
+  const startPosition = holeNumbers.indexOf(round?.start_hole);
+  if (startPosition > 0) {
+    return [...holeNumbers.slice(startPosition), ...holeNumbers.slice(0, startPosition)];
+  }
+  
+  return holeNumbers;
+};
+
+/**
+ * Calculate par for the holes played in a round.
+ * 
+ * Uses the per-hole par from the course definition and falls back to a
+ * share of the total course par when hole data is incomplete.
+ * 
+ * @param {object} courseData - Course record with par, num_holes and holes.
+ * @param {Array<number>} holeNumbers - Hole numbers played in the round.
+ * @param {string} [ratingSet] - Men's or women's par (see courseRatingService).
+ * @returns {number} Par for the played holes.
+ */
+export const calculateRoundPar = (courseData, holeNumbers, ratingSet) => {
+  const coursePar = courseData?.par || 72;
+  const courseHoles = Array.isArray(courseData?.holes) ? courseData.holes : [];
+  
+  let totalPar = 0;
+  let missingPar = false;
+  holeNumbers.forEach(holeNumber => {
+    const hole = courseHoles.find(h => h.number === holeNumber);
+    const holePar = getHolePar(hole, ratingSet);
+    if (holePar) {
+      totalPar += holePar;
+    } else {
+      missingPar = true;
+    }
+  });
+  
+  if (!missingPar) {
+    return totalPar;
+  }
+  
+  // Without complete hole data, assume par is spread evenly across the course
+  const courseHoleCount = courseData?.num_holes || 18;
+  return Math.round(coursePar * holeNumbers.length / courseHoleCount);
+};
 
 /**
  * Create a new round record in Supabase with analytics tracking.
@@ -10,10 +90,32 @@ import { trackEvent, trackError, ERROR_TYPES, EVENTS } from "./analytics";
  * @param {string} course_id - The ID of the course.
  * @param {string} tee_id - The ID of the selected tee.
  * @param {string} tee_name - The name of the selected tee.
+ * @param {object} [round_options] - Optional round configuration.
+ * @param {number} [round_options.first_hole] - First hole of the played range (default 1).
+ * @param {number} [round_options.last_hole] - Last hole of the played range (default 18).
+ * @param {number} [round_options.start_hole] - Hole play starts on, when not the first hole.
+ * @param {Array<object>} [round_options.players] - Playing partners scored on this device.
+ * @param {object} [round_options.match] - Match play configuration from createMatch.
+ * @param {number} [round_options.course_handicap] - Course handicap for the selected tee.
+ * @param {string} [round_options.rating_set] - Par, stroke index and tee ratings played to ("men" or "women").
+ * @param {boolean} [round_options.is_practice] - Practice round, kept out of the handicap and headline stats.
+ * @param {string} [round_options.played_at] - ISO date the round was played, for rounds entered after the fact (default now).
+ * @param {string} [round_options.import_source] - Where an imported round came from, e.g. the CSV file's app.
  * @returns {object} The newly created round record.
  */
-export const createRound = async (profile_id, course_id, tee_id, tee_name) => {
+export const createRound = async (profile_id, course_id, tee_id, tee_name, round_options = {}) => {
   const startTime = Date.now();
+  const first_hole = round_options.first_hole || 1;
+  const last_hole = round_options.last_hole || 18;
+  const start_hole = round_options.start_hole && round_options.start_hole !== first_hole
+    ? round_options.start_hole
+    : null;
+  const players = round_options.players?.length ? round_options.players : null;
+  const match = round_options.match || null;
+  const course_handicap = typeof round_options.course_handicap === "number" ? round_options.course_handicap : null;
+  const rating_set = round_options.rating_set || null;
+  const is_practice = !!round_options.is_practice;
+  const import_source = round_options.import_source || null;
   
   try {
     const { data, error } = await supabase
@@ -23,7 +125,18 @@ export const createRound = async (profile_id, course_id, tee_id, tee_name) => {
         course_id,
         is_complete: false,
         selected_tee_id: tee_id,
-        selected_tee_name: tee_name
+        selected_tee_name: tee_name,
+        first_hole,
+        last_hole,
+        start_hole,
+        players,
+        match,
+        course_handicap,
+        rating_set,
+        is_practice,
+        import_source,
+        // Only imported rounds are back-dated; everything else takes the database default
+        ...(round_options.played_at ? { created_at: round_options.played_at } : {})
       })
       .select();
 
@@ -53,6 +166,15 @@ export const createRound = async (profile_id, course_id, tee_id, tee_name) => {
       course_id,
       tee_id,
       tee_name,
+      first_hole,
+      last_hole,
+      start_hole,
+      partner_count: players?.length || 0,
+      match_format: match?.format || null,
+      course_handicap,
+      rating_set,
+      is_practice,
+      import_source,
       created_at: createdRound.created_at,
       operation_duration_ms: duration
     });
@@ -71,7 +193,7 @@ export const createRound = async (profile_id, course_id, tee_id, tee_name) => {
  * hole-centric format to the shots table.
  * 
  * @param {string} round_id - The ID of the round
- * @param {number} hole_number - The hole number (1-18)
+ * @param {number} hole_number - The course hole number
  * @param {object} hole_data - The hole data including par, distance, and shots
  * @param {number} total_score - The total number of shots for this hole
  * @returns {object} The saved record
@@ -168,14 +290,224 @@ export const getRoundHoleData = async (round_id) => {
   }
 };
 
+// Round columns loaded alongside hole records
+const ROUND_WITH_HOLES_COLUMNS = `
+  id,
+  course_id,
+  created_at,
+  score,
+  gross_shots,
+  first_hole,
+  last_hole,
+  start_hole,
+  selected_tee_name,
+  is_practice,
+  courses:course_id (
+    name
+  )
+`;
+
+/**
+ * Load the hole records for rounds, keeping only holes in each round's played range
+ *
+ * @param {Array<object>} rounds - Rounds selected with ROUND_WITH_HOLES_COLUMNS
+ * @returns {Promise<Array<{round: object, holes: Array}>>} Rounds in the same order, each with its holes
+ */
+const withRoundHoles = async (rounds) => {
+  const { data: holes, error: holesError } = await supabase
+    .from("shots")
+    .select("round_id, hole_number, hole_data, total_score")
+    .in("round_id", rounds.map(round => round.id))
+    .order("hole_number", { ascending: true });
+  
+  if (holesError) {
+    console.error("[withRoundHoles] Error fetching holes:", holesError);
+    throw holesError;
+  }
+  
+  return rounds.map(round => {
+    const holeNumbers = getRoundHoleNumbers(round);
+    return {
+      round,
+      holes: (holes || []).filter(hole => 
+        hole.round_id === round.id && holeNumbers.includes(hole.hole_number)
+      )
+    };
+  });
+};
+
+/**
+ * Get a user's most recent completed rounds together with their hole records.
+ * Holes outside each round's played range are left out.
+ * 
+ * @param {string} profile_id - The user's profile ID
+ * @param {number} limit - Maximum number of rounds to return
+ * @param {boolean} [includePractice] - Include practice rounds (left out of headline stats by default)
+ * @param {string} [course_id] - Only rounds played on this course
+ * @returns {Promise<Array<{round: object, holes: Array}>>} Rounds newest first, each with its holes
+ */
+export const getCompletedRoundsWithHoles = async (profile_id, limit = 20, includePractice = false, course_id = null) => {
+  try {
+    let query = supabase
+      .from("rounds")
+      .select(ROUND_WITH_HOLES_COLUMNS)
+      .eq("profile_id", profile_id)
+      .eq("is_complete", true);
+    
+    // Rounds from before practice rounds existed have no flag and count as normal rounds
+    if (!includePractice) {
+      query = query.not("is_practice", "is", true);
+    }
+    if (course_id) {
+      query = query.eq("course_id", course_id);
+    }
+    
+    const { data: rounds, error: roundsError } = await query
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    
+    if (roundsError) {
+      console.error("[getCompletedRoundsWithHoles] Error fetching rounds:", roundsError);
+      throw roundsError;
+    }
+    
+    if (!rounds || rounds.length === 0) {
+      return [];
+    }
+    
+    return await withRoundHoles(rounds);
+  } catch (error) {
+    console.error("[getCompletedRoundsWithHoles] Exception:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get one of a user's completed rounds together with its hole records,
+ * however long ago it was played.
+ * 
+ * @param {string} profile_id - The user's profile ID
+ * @param {string} round_id - The round's ID
+ * @returns {Promise<{round: object, holes: Array}|null>} The round with its holes, or null if not found
+ */
+export const getCompletedRoundWithHoles = async (profile_id, round_id) => {
+  try {
+    const { data: round, error: roundError } = await supabase
+      .from("rounds")
+      .select(ROUND_WITH_HOLES_COLUMNS)
+      .eq("id", round_id)
+      .eq("profile_id", profile_id)
+      .eq("is_complete", true)
+      .maybeSingle();
+    
+    if (roundError) {
+      console.error("[getCompletedRoundWithHoles] Error fetching round:", roundError);
+      throw roundError;
+    }
+    
+    if (!round) {
+      return null;
+    }
+    
+    const [roundWithHoles] = await withRoundHoles([round]);
+    return roundWithHoles;
+  } catch (error) {
+    console.error("[getCompletedRoundWithHoles] Exception:", error);
+    throw error;
+  }
+};
+
+/**
+ * Work out a round's scores from its hole records
+ * Shared by completeRound and recalculateRoundScores so an edited scorecard is scored
+ * exactly like a freshly completed one.
+ *
+ * @param {Object} roundData - Round record (holes played, match, course handicap, tee, rating set, practice flag)
+ * @param {Object} courseData - Course record { par, num_holes, holes, tees }
+ * @param {Array<Object>} holeRecords - Hole records { hole_number, hole_data, total_score }
+ * @returns {Object} { grossShots, score, coursePar, matchResult, netScoring, adjustedGrossScore, scoreDifferential }
+ */
+const calculateRoundResult = (roundData, courseData, holeRecords) => {
+  // Par only covers the holes actually played, so 9-hole rounds compare against 9-hole par
+  const holeNumbers = getRoundHoleNumbers(roundData);
+  const ratingSet = getRoundRatingSet(roundData);
+  const coursePar = calculateRoundPar(courseData, holeNumbers, ratingSet);
+  
+  // Picked-up holes count their pickup score rather than the strokes entered
+  let grossShots = 0;
+  holeRecords.forEach(hole => {
+    if (holeNumbers.includes(hole.hole_number)) {
+      grossShots += getHoleRecordScore(hole);
+    }
+  });
+  
+  const score = grossShots - coursePar;
+  
+  // Decide the match from the holes played; an unfinished match has no result
+  let matchResult = null;
+  if (roundData.match) {
+    const matchHoles = holeNumbers.map(holeNumber => {
+      const record = holeRecords.find(hole => hole.hole_number === holeNumber);
+      const courseHole = courseData.holes?.find(hole => hole.number === holeNumber);
+      return {
+        number: holeNumber,
+        holeData: record?.hole_data,
+        strokeIndex: getHoleStrokeIndex(courseHole, ratingSet) || record?.hole_data?.index || null
+      };
+    });
+    matchResult = formatMatchResult(calculateMatchStatus(roundData.match, matchHoles));
+  }
+  
+  // Handicap strokes per hole from the course handicap fixed when the round started
+  const courseHoles = Array.isArray(courseData.holes) ? courseData.holes : [];
+  const strokesByHole = allocateHandicapStrokes(
+    roundData.course_handicap,
+    holeNumbers.map(holeNumber => ({
+      number: holeNumber,
+      index: getHoleStrokeIndex(courseHoles.find(hole => hole.number === holeNumber), ratingSet)
+    }))
+  );
+  const scoredHoles = holeNumbers.map(holeNumber => {
+    const record = holeRecords.find(hole => hole.hole_number === holeNumber);
+    return {
+      number: holeNumber,
+      par: record?.hole_data?.par || getHolePar(courseHoles.find(hole => hole.number === holeNumber), ratingSet),
+      grossScore: getHoleRecordScore(record)
+    };
+  });
+  
+  // Net and Stableford totals
+  const netScoring = typeof roundData.course_handicap === "number"
+    ? calculateNetScoring(scoredHoles, strokesByHole)
+    : null;
+  
+  // Score differential for the handicap index - full rounds from rated tees only, never practice rounds
+  const tee = Array.isArray(courseData.tees)
+    ? courseData.tees.find(courseTee => String(courseTee.id) === String(roundData.selected_tee_id))
+    : null;
+  const teeRatings = getTeeRatings(tee, ratingSet);
+  const adjustedGrossScore = !isPracticeRound(roundData) && holeNumbers.length === 18 && teeRatings.slope && teeRatings.courseRating
+    ? calculateAdjustedGrossScore(scoredHoles, roundData.course_handicap, strokesByHole)
+    : null;
+  const scoreDifferential = adjustedGrossScore !== null
+    ? calculateScoreDifferential(adjustedGrossScore, teeRatings.courseRating, teeRatings.slope)
+    : null;
+  
+  return { grossShots, score, coursePar, matchResult, netScoring, adjustedGrossScore, scoreDifferential };
+};
+
 /**
  * Complete a round by updating its is_complete flag and calculating final statistics.
- * Works with the new shots data structure.
+ * Works with the new shots data structure. Match play rounds also store the match result,
+ * and rounds with a course handicap store net and Stableford totals. Full 18-hole
+ * rounds from rated tees also store a score differential and update the handicap index.
  * 
  * @param {string} round_id - The ID of the round to complete.
+ * @param {object} [options]
+ * @param {boolean} [options.generateInsights] - Trigger AI insights for the round (default true).
  * @returns {object} The updated round record.
  */
-export const completeRound = async (round_id) => {
+export const completeRound = async (round_id, { generateInsights = true } = {}) => {
   const startTime = Date.now();
   const context = { round_id };
   
@@ -201,7 +533,7 @@ export const completeRound = async (round_id) => {
     // Fetch round data
     const { data: roundData, error: roundError } = await supabase
       .from("rounds")
-      .select("course_id, profile_id, selected_tee_name") 
+      .select("course_id, profile_id, selected_tee_name, first_hole, last_hole, start_hole, match, course_handicap, selected_tee_id, rating_set, is_practice") 
       .eq("id", round_id)
       .single();
       
@@ -217,7 +549,7 @@ export const completeRound = async (round_id) => {
     // Fetch course data
     const { data: courseData, error: courseError } = await supabase
       .from("courses")
-      .select("par")
+      .select("par, num_holes, holes, tees")
       .eq("id", roundData.course_id)
       .single();
       
@@ -231,12 +563,10 @@ export const completeRound = async (round_id) => {
       throw courseError;
     }
     
-    const coursePar = courseData.par || 72;
-    
     // Fetch hole records
     const { data: holeRecords, error: holesError } = await supabase
       .from("shots")
-      .select("total_score")
+      .select("hole_number, hole_data, total_score")
       .eq("round_id", round_id);
       
     if (holesError) {
@@ -248,12 +578,15 @@ export const completeRound = async (round_id) => {
       throw holesError;
     }
     
-    let grossShots = 0;
-    holeRecords.forEach(hole => {
-      grossShots += hole.total_score || 0;
-    });
-    
-    const score = grossShots - coursePar;
+    const {
+      grossShots,
+      score,
+      coursePar,
+      matchResult,
+      netScoring,
+      adjustedGrossScore,
+      scoreDifferential
+    } = calculateRoundResult(roundData, courseData, holeRecords);
     
     // Update round with completion data
     const { data, error } = await supabase
@@ -261,7 +594,12 @@ export const completeRound = async (round_id) => {
       .update({ 
         is_complete: true,
         gross_shots: grossShots,
-        score: score
+        score: score,
+        match_result: matchResult,
+        net_shots: netScoring ? netScoring.netTotal : null,
+        stableford_points: netScoring ? netScoring.stablefordPoints : null,
+        adjusted_gross_score: adjustedGrossScore,
+        score_differential: scoreDifferential
       })
       .eq("id", round_id)
       .select();
@@ -288,69 +626,371 @@ export const completeRound = async (round_id) => {
       gross_shots: grossShots,
       score,
       course_par: coursePar,
+      match_result: matchResult,
+      net_shots: netScoring?.netTotal ?? null,
+      stableford_points: netScoring?.stablefordPoints ?? null,
+      score_differential: scoreDifferential,
       holes_played: holeRecords.length,
       operation_duration_ms: duration
     });
     
+    // A new differential can change the handicap index
+    if (scoreDifferential !== null) {
+      await updateHandicapIndex(roundData.profile_id);
+    }
+    
     // Generate insights
-    try {
-      console.log("[completeRound] Triggering insights generation");
-      
-      const insightsPromise = supabase.functions.invoke('analyze-golf-performance', {
-        body: { 
-          userId: roundData.profile_id,
-          roundId: round_id
-        }
-      });
+    if (generateInsights) {
+      await generateRoundInsights(roundData.profile_id, round_id);
+    }
+    
+    return data;
+  } catch (error) {
+    console.error("[completeRound] Error in complete round process:", error);
+    
+    // Catch-all error tracking
+    await trackError(ERROR_TYPES.ROUND_COMPLETION_ERROR, error, {
+      ...context,
+      error_stage: 'unknown',
+      operation_duration_ms: Date.now() - startTime
+    });
+    
+    throw error;
+  }
+};
 
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Insights generation timeout')), 30000)
-      );
-
-      Promise.race([insightsPromise, timeoutPromise])
-        .then(({ data: insightsData, error: insightsError }) => {
-          if (insightsError) {
-            trackError(ERROR_TYPES.DATA_PERSISTENCE_ERROR, insightsError, {
-              ...context,
-              error_stage: 'insights_generation',
-              operation_duration_ms: Date.now() - startTime
-            });
-          } else {
-            trackEvent(EVENTS.INSIGHTS_GENERATED, {
-              success: true,
-              round_id,
-              insights_count: insightsData?.insights?.length || 0
-            });
-          }
-        })
-        .catch(err => {
-          trackError(ERROR_TYPES.DATA_PERSISTENCE_ERROR, err, {
+/**
+ * Ask the analyze-golf-performance edge function to generate insights for a round
+ * Runs in the background: failures and timeouts are tracked but never thrown.
+ *
+ * @param {string} profile_id - Owner of the round
+ * @param {string} round_id - Round the insights are for
+ * @returns {Promise<void>}
+ */
+export const generateRoundInsights = async (profile_id, round_id) => {
+  const startTime = Date.now();
+  const context = { round_id };
+  
+  try {
+    console.log("[generateRoundInsights] Triggering insights generation");
+    
+    const insightsPromise = supabase.functions.invoke('analyze-golf-performance', {
+      body: { 
+        userId: profile_id,
+        roundId: round_id
+      }
+    });
+
+    const timeoutPromise = new Promise((_, reject) => 
+      setTimeout(() => reject(new Error('Insights generation timeout')), 30000)
+    );
+
+    Promise.race([insightsPromise, timeoutPromise])
+      .then(({ data: insightsData, error: insightsError }) => {
+        if (insightsError) {
+          trackError(ERROR_TYPES.DATA_PERSISTENCE_ERROR, insightsError, {
             ...context,
-            error_stage: 'insights_generation_timeout',
+            error_stage: 'insights_generation',
             operation_duration_ms: Date.now() - startTime
           });
+        } else {
+          trackEvent(EVENTS.INSIGHTS_GENERATED, {
+            success: true,
+            round_id,
+            insights_count: insightsData?.insights?.length || 0
+          });
+        }
+      })
+      .catch(err => {
+        trackError(ERROR_TYPES.DATA_PERSISTENCE_ERROR, err, {
+          ...context,
+          error_stage: 'insights_generation_timeout',
+          operation_duration_ms: Date.now() - startTime
         });
-      
-    } catch (insightsError) {
-      console.error("[completeRound] Failed to trigger insights:", insightsError);
-      await trackError(ERROR_TYPES.DATA_PERSISTENCE_ERROR, insightsError, {
-        ...context,
-        error_stage: 'insights_generation_failed',
-        operation_duration_ms: Date.now() - startTime
       });
+    
+  } catch (insightsError) {
+    console.error("[generateRoundInsights] Failed to trigger insights:", insightsError);
+    await trackError(ERROR_TYPES.DATA_PERSISTENCE_ERROR, insightsError, {
+      ...context,
+      error_stage: 'insights_generation_failed',
+      operation_duration_ms: Date.now() - startTime
+    });
+  }
+};
+
+/**
+ * Recalculate a completed round's scores after its holes have been edited
+ * Gross, vs par, match result, net and Stableford totals and the score differential are
+ * worked out exactly as completeRound does; a changed differential updates the handicap index.
+ *
+ * @param {string} round_id - The ID of the round
+ * @returns {Promise<Object>} The updated round record
+ */
+export const recalculateRoundScores = async (round_id) => {
+  try {
+    const { data: roundData, error: roundError } = await supabase
+      .from("rounds")
+      .select("course_id, profile_id, first_hole, last_hole, start_hole, match, course_handicap, selected_tee_id, rating_set, is_practice, score_differential")
+      .eq("id", round_id)
+      .single();
+    
+    if (roundError) throw roundError;
+    
+    const { data: courseData, error: courseError } = await supabase
+      .from("courses")
+      .select("par, num_holes, holes, tees")
+      .eq("id", roundData.course_id)
+      .single();
+    
+    if (courseError) throw courseError;
+    
+    const { data: holeRecords, error: holesError } = await supabase
+      .from("shots")
+      .select("hole_number, hole_data, total_score")
+      .eq("round_id", round_id);
+    
+    if (holesError) throw holesError;
+    
+    const result = calculateRoundResult(roundData, courseData, holeRecords);
+    
+    const { data, error } = await supabase
+      .from("rounds")
+      .update({
+        gross_shots: result.grossShots,
+        score: result.score,
+        match_result: result.matchResult,
+        net_shots: result.netScoring ? result.netScoring.netTotal : null,
+        stableford_points: result.netScoring ? result.netScoring.stablefordPoints : null,
+        adjusted_gross_score: result.adjustedGrossScore,
+        score_differential: result.scoreDifferential
+      })
+      .eq("id", round_id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    if (result.scoreDifferential !== roundData.score_differential) {
+      await updateHandicapIndex(roundData.profile_id);
     }
+    
+    return data;
+  } catch (error) {
+    console.error("[recalculateRoundScores] Error recalculating round:", error);
+    await trackError(ERROR_TYPES.DATA_PERSISTENCE_ERROR, error, {
+      round_id,
+      error_stage: 'round_recalculation'
+    });
+    throw error;
+  }
+};
 
+/**
+ * Save a corrected hole on a completed round
+ *
+ * The hole is saved through saveHoleData, the round's scores are recalculated, and the
+ * change is appended to the round's audit trail (rounds.edit_history) with the hole as it
+ * was before, so every post-round edit can be reviewed.
+ *
+ * @param {string} round_id - The ID of the round
+ * @param {number} hole_number - The course hole number
+ * @param {Object} hole_data - Corrected hole data
+ * @returns {Promise<Object>} The updated round record
+ */
+export const editHoleData = async (round_id, hole_number, hole_data) => {
+  try {
+    const { data: previousHole, error: holeError } = await supabase
+      .from("shots")
+      .select("hole_data, total_score")
+      .eq("round_id", round_id)
+      .eq("hole_number", hole_number)
+      .maybeSingle();
+    
+    if (holeError) throw holeError;
+    
+    const { data: roundBefore, error: roundError } = await supabase
+      .from("rounds")
+      .select("gross_shots, edit_history")
+      .eq("id", round_id)
+      .single();
+    
+    if (roundError) throw roundError;
+    
+    const totalScore = getHoleScore(hole_data);
+    await saveHoleData(round_id, hole_number, hole_data, totalScore);
+    
+    const updatedRound = await recalculateRoundScores(round_id);
+    
+    const edit = {
+      hole_number,
+      edited_at: new Date().toISOString(),
+      previous_score: previousHole ? getHoleRecordScore(previousHole) : null,
+      new_score: totalScore,
+      previous_gross_shots: roundBefore.gross_shots,
+      new_gross_shots: updatedRound.gross_shots,
+      previous_hole_data: previousHole?.hole_data || null
+    };
+    const editHistory = [...(Array.isArray(roundBefore.edit_history) ? roundBefore.edit_history : []), edit];
+    
+    const { data, error } = await supabase
+      .from("rounds")
+      .update({ edit_history: editHistory })
+      .eq("id", round_id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    trackEvent('round_hole_edited', {
+      round_id,
+      hole_number,
+      previous_score: edit.previous_score,
+      new_score: edit.new_score
+    });
+    
     return data;
   } catch (error) {
-    console.error("[completeRound] Error in complete round process:", error);
+    console.error("[editHoleData] Error editing hole:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find a round already imported for the same course, day and source
+ * 
+ * @param {string} profile_id - The current user's profile ID
+ * @param {string} course_id - The ID of the course
+ * @param {string} playedAt - ISO date the round was played
+ * @param {string} import_source - Where the round came from
+ * @returns {Promise<object|null>} The existing round ({ id }), or null if there isn't one
+ */
+export const findImportedRound = async (profile_id, course_id, playedAt, import_source) => {
+  // Any time on the same local day counts as the same round
+  const dayStart = new Date(playedAt);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+  
+  const { data, error } = await supabase
+    .from("rounds")
+    .select("id")
+    .eq("profile_id", profile_id)
+    .eq("course_id", course_id)
+    .eq("import_source", import_source)
+    .eq("is_complete", true)
+    .gte("created_at", dayStart.toISOString())
+    .lt("created_at", dayEnd.toISOString())
+    .limit(1);
+  
+  if (error) {
+    console.error("[findImportedRound] Error checking for an imported round:", error);
+    throw error;
+  }
+  
+  return data?.[0] || null;
+};
+
+/**
+ * Create a completed round from scores recorded in another app
+ *
+ * The round is created back-dated to when it was played, each hole is saved with its
+ * imported totals (hole_data.imported) and no shots, and the round is completed as if
+ * it had been tracked, so scores, handicap and stats include it. Insights are left to
+ * the caller so a batch of imports triggers them once. If anything fails before the
+ * round is completed, the partly created round is deleted so a retry starts clean.
+ * A round already imported from the same source for the course and day is skipped,
+ * so importing a file again doesn't duplicate rounds. Holes past the course's last
+ * hole (courses.num_holes) are left out, and the rest must run without gaps. The
+ * round is played to the player's rating set, which also gives the par of holes the
+ * file has none for.
+ *
+ * @param {string} profile_id - The current user's profile ID
+ * @param {Object} importedRound - Round to create
+ * @param {Object} importedRound.course - Course matched from searchCourses ({ id })
+ * @param {Object|null} importedRound.tee - Tee from the course ({ id, name }), if known
+ * @param {string} importedRound.playedAt - ISO date the round was played
+ * @param {Array<Object>} importedRound.holes - Holes { hole_number, par, score, putts, fairwayHit, greenInRegulation }
+ * @param {string} importedRound.source - Where the round came from, kept on the round
+ * @returns {Promise<Object|null>} The completed round record, or null if it was already imported
+ */
+export const importRound = async (profile_id, { course, tee, playedAt, holes, source }) => {
+  let round = null;
+  
+  try {
+    const existingRound = await findImportedRound(profile_id, course.id, playedAt, source);
+    if (existingRound) {
+      console.log("[importRound] Round already imported, skipping:", existingRound.id);
+      return null;
+    }
     
-    // Catch-all error tracking
-    await trackError(ERROR_TYPES.ROUND_COMPLETION_ERROR, error, {
-      ...context,
-      error_stage: 'unknown',
-      operation_duration_ms: Date.now() - startTime
+    // Course pars fill in for files that don't include them
+    const { data: courseData, error: courseError } = await supabase
+      .from("courses")
+      .select("holes, num_holes")
+      .eq("id", course.id)
+      .single();
+    
+    if (courseError) throw courseError;
+    
+    const numHoles = courseData.num_holes || courseData.holes?.length || null;
+    const courseHoles = numHoles ? holes.filter(hole => hole.hole_number <= numHoles) : holes;
+    if (courseHoles.length === 0) {
+      throw new Error(`None of the imported holes are on this ${numHoles}-hole course`);
+    }
+    
+    const holeNumbers = courseHoles.map(hole => hole.hole_number);
+    const first_hole = Math.min(...holeNumbers);
+    const last_hole = Math.max(...holeNumbers);
+    if (holeNumbers.length !== last_hole - first_hole + 1) {
+      throw new Error(`Imported holes ${first_hole}-${last_hole} have gaps`);
+    }
+    const rating_set = await getRatingSetPreference(profile_id);
+    
+    round = await createRound(profile_id, course.id, tee?.id ?? null, tee?.name ?? null, {
+      first_hole,
+      last_hole,
+      rating_set,
+      played_at: playedAt,
+      import_source: source
     });
     
+    for (const hole of courseHoles) {
+      const courseHole = (courseData.holes || []).find(candidate => candidate.number === hole.hole_number);
+      const hole_data = {
+        par: hole.par || getHolePar(courseHole, rating_set) || null,
+        shots: [],
+        imported: {
+          score: hole.score,
+          putts: hole.putts,
+          fairwayHit: hole.fairwayHit,
+          greenInRegulation: hole.greenInRegulation,
+          source
+        }
+      };
+      
+      await saveHoleData(round.id, hole.hole_number, hole_data, hole.score);
+    }
+    
+    const completed = await completeRound(round.id, { generateInsights: false });
+    
+    trackEvent('round_imported', {
+      round_id: round.id,
+      profile_id,
+      course_id: course.id,
+      holes_played: courseHoles.length,
+      holes_off_course: holes.length - courseHoles.length,
+      source
+    });
+    
+    return completed;
+  } catch (error) {
+    console.error("[importRound] Error importing round:", error);
+    
+    // Completed rounds are left alone; deleteAbandonedRound only removes incomplete ones
+    if (round) {
+      await deleteAbandonedRound(round.id);
+    }
     throw error;
   }
 };
@@ -398,4 +1038,97 @@ export const deleteAbandonedRound = async (round_id) => {
     console.error("[deleteAbandonedRound] Exception deleting round:", error);
     return false;
   }
+};
+
+/**
+ * Find an interrupted round that can be resumed
+ * 
+ * A round is resumable when the device still holds its local state
+ * (the currentRound key) and the server row is still incomplete.
+ * Local state for rounds that were completed or deleted elsewhere is
+ * cleared so it cannot be resumed by mistake. When the server can't be
+ * reached (e.g. offline on the course) the round stored on the device is
+ * offered, since it may well still be in progress.
+ * 
+ * @param {string} profile_id - The current user's profile ID
+ * @returns {Promise<object|null>} { round, course, currentHole } or null if nothing to resume
+ */
+export const getResumableRound = async (profile_id) => {
+  try {
+    const storedRoundStr = await AsyncStorage.getItem("currentRound");
+    if (!storedRoundStr) {
+      return null;
+    }
+    
+    const storedRound = JSON.parse(storedRoundStr);
+    
+    // Rounds belonging to another account are never resumed on this one
+    if (!storedRound?.id || storedRound.profile_id !== profile_id) {
+      return null;
+    }
+    
+    const storedCourseStr = await AsyncStorage.getItem("selectedCourse");
+    const storedHoleStr = await AsyncStorage.getItem(`round_${storedRound.id}_current_hole`);
+    const resumable = {
+      round: storedRound,
+      course: storedCourseStr ? JSON.parse(storedCourseStr) : null,
+      currentHole: storedHoleStr ? parseInt(storedHoleStr, 10) : null
+    };
+    
+    let incompleteRounds;
+    try {
+      const { data, error } = await supabase
+        .from("rounds")
+        .select("id")
+        .eq("profile_id", profile_id)
+        .eq("is_complete", false)
+        .eq("id", storedRound.id);
+      
+      if (error) throw error;
+      incompleteRounds = data;
+    } catch (error) {
+      // Keep local state on network errors - the round may still be resumable
+      console.error("[getResumableRound] Error checking round status, using the stored round:", error);
+      return resumable;
+    }
+    
+    if (!incompleteRounds || incompleteRounds.length === 0) {
+      console.log("[getResumableRound] Stored round is no longer in progress, clearing local state");
+      await clearLocalRoundState(storedRound.id);
+      return null;
+    }
+    
+    return resumable;
+  } catch (error) {
+    console.error("[getResumableRound] Exception finding resumable round:", error);
+    return null;
+  }
+};
+
+/**
+ * Remove all locally cached state for a round
+ * 
+ * @param {string} round_id - The ID of the round
+ * @returns {Promise<void>}
+ */
+export const clearLocalRoundState = async (round_id) => {
+  await AsyncStorage.removeItem(`round_${round_id}_holes`);
+  await AsyncStorage.removeItem(`round_${round_id}_current_hole`);
+  await AsyncStorage.removeItem(`round_${round_id}_shot_history`);
+  await AsyncStorage.removeItem("currentRound");
+};
+
+/**
+ * Discard an in-progress round, deleting it on the server and on the device
+ * 
+ * @param {string} round_id - The ID of the round to discard
+ * @returns {Promise<boolean>} Success status of the server deletion
+ */
+export const discardRound = async (round_id) => {
+  const deleted = await deleteAbandonedRound(round_id);
+  
+  // Local state is cleared even if the server call failed so the user is not stuck
+  await clearLocalRoundState(round_id);
+  
+  return deleted;
 };
\ No newline at end of file
@@ -0,0 +1,192 @@
+// src/services/statsService.js
+//
+// Traditional golf stats derived from recorded shots.
+// Works on the hole records saved in the shots table ({ hole_number, hole_data, total_score })
+// so every screen computes fairways, greens and putting the same way.
+// The analyze-golf-performance edge function mirrors these definitions.
+import { isPenaltyShot, summarizePenalties, getPenaltyReasonLabel } from "./penaltyService";
+import { summarizeMissPatterns } from "./missService";
+import { getScoringShots } from "./practiceService";
+
+/**
+ * Build a { made, opportunities, percentage } stat
+ */
+const createRateStat = (made, opportunities) => ({
+  made,
+  opportunities,
+  percentage: opportunities > 0 ? Math.round((made / opportunities) * 100) : null
+});
+
+/**
+ * Derive traditional stats for a single hole
+ *
+ * - Fairway hit: the tee shot on a par 4 or 5 was On Target
+ * - Green in regulation: the first putt was struck within par minus two strokes
+ *   (a hole-out from off the green counts when it took par minus two or fewer)
+ * - Scramble: par or better after missing the green in regulation
+ * - Sand save: a scramble opportunity that included a bunker shot
+ * Extra balls from practice rounds are left out.
+ * Holes imported from another app have no shots and use their imported totals instead.
+ *
+ * @param {Object} hole - Hole record with hole_data { par, shots } and total_score
+ * @returns {Object|null} Hole stats, or null when the hole has no shots
+ */
+export const calculateHoleStats = (hole) => {
+  const shots = Array.isArray(hole?.hole_data?.shots) ? getScoringShots(hole.hole_data.shots) : null;
+  if ((!shots || shots.length === 0) && hole?.hole_data?.imported) {
+    return calculateImportedHoleStats(hole);
+  }
+  if (!shots || shots.length === 0) {
+    return null;
+  }
+
+  const par = hole.hole_data.par || null;
+  const strokes = hole.total_score || shots.length;
+  const putts = shots.filter(shot => shot.type === "Putts").length;
+  const penaltyStrokes = shots.filter(isPenaltyShot).length;
+
+  // Strokes taken before the first putt (all of them when the ball was holed from off the green)
+  const firstPuttIndex = shots.findIndex(shot => shot.type === "Putts");
+  const strokesToGreen = firstPuttIndex === -1 ? strokes : firstPuttIndex;
+
+  const teeShot = shots.find(shot => shot.type === "Tee Shot");
+  const hasFairway = par !== null && par >= 4;
+  const greenInRegulation = par !== null ? strokesToGreen <= par - 2 : null;
+  const isScrambleOpportunity = greenInRegulation === false;
+  const playedFromSand = shots.some(shot => shot.type === "Sand");
+
+  return {
+    holeNumber: hole.hole_number,
+    par,
+    strokes,
+    putts,
+    penaltyStrokes,
+    fairwayOpportunity: hasFairway,
+    fairwayHit: hasFairway && teeShot?.result === "On Target",
+    greenInRegulation,
+    scrambleOpportunity: isScrambleOpportunity,
+    scrambled: isScrambleOpportunity && strokes <= par,
+    sandSaveOpportunity: isScrambleOpportunity && playedFromSand,
+    sandSaved: isScrambleOpportunity && playedFromSand && strokes <= par,
+    threePutt: putts >= 3
+  };
+};
+
+/**
+ * Stats for a hole imported with totals only (hole_data.imported { score, putts, fairwayHit, greenInRegulation })
+ * Values the other app didn't export are null and left out of the rates; GIR is
+ * worked out from putts when it wasn't exported.
+ *
+ * @param {Object} hole - Hole record with imported hole_data
+ * @returns {Object|null} Hole stats, or null without a score
+ */
+const calculateImportedHoleStats = (hole) => {
+  const imported = hole.hole_data.imported;
+  const par = hole.hole_data.par || null;
+  const strokes = hole.total_score || imported.score;
+  if (!strokes) {
+    return null;
+  }
+
+  const putts = typeof imported.putts === "number" ? imported.putts : null;
+  const hasFairway = par !== null && par >= 4 && typeof imported.fairwayHit === "boolean";
+  let greenInRegulation = typeof imported.greenInRegulation === "boolean" ? imported.greenInRegulation : null;
+  if (greenInRegulation === null && par !== null && putts !== null) {
+    greenInRegulation = strokes - putts <= par - 2;
+  }
+  const isScrambleOpportunity = greenInRegulation === false && par !== null;
+
+  return {
+    holeNumber: hole.hole_number,
+    par,
+    strokes,
+    putts,
+    penaltyStrokes: 0,
+    fairwayOpportunity: hasFairway,
+    fairwayHit: hasFairway && imported.fairwayHit,
+    greenInRegulation,
+    scrambleOpportunity: isScrambleOpportunity,
+    scrambled: isScrambleOpportunity && strokes <= par,
+    // Bunker play isn't exported, so imported holes have no sand save opportunities
+    sandSaveOpportunity: false,
+    sandSaved: false,
+    threePutt: putts !== null && putts >= 3
+  };
+};
+
+/**
+ * Derive traditional stats for one or more rounds
+ *
+ * @param {Array<Object>} holes - Hole records from every round being summarised
+ * @param {number} roundCount - Number of rounds the holes came from (for per-round averages)
+ * @returns {Object} Aggregate stats; rates are { made, opportunities, percentage }
+ */
+export const calculateRoundStats = (holes = [], roundCount = 1) => {
+  const holeStats = holes.map(calculateHoleStats).filter(Boolean);
+
+  const count = (predicate) => holeStats.filter(predicate).length;
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  // Imported holes may not have a putt count
+  const girHoles = holeStats.filter(stat => stat.greenInRegulation);
+  const puttedGirHoles = girHoles.filter(stat => stat.putts !== null);
+  const totalPutts = sum(holeStats.map(stat => stat.putts || 0));
+  const puttsOnGir = sum(puttedGirHoles.map(stat => stat.putts));
+  const shots = holes.filter(hole => calculateHoleStats(hole)).flatMap(hole => getScoringShots(hole.hole_data.shots || []));
+  const penalties = summarizePenalties(shots);
+
+  return {
+    holesPlayed: holeStats.length,
+    roundCount,
+    totalStrokes: sum(holeStats.map(stat => stat.strokes)),
+    totalPutts,
+    fairways: createRateStat(
+      count(stat => stat.fairwayHit),
+      count(stat => stat.fairwayOpportunity)
+    ),
+    greensInRegulation: createRateStat(
+      girHoles.length,
+      count(stat => stat.greenInRegulation !== null)
+    ),
+    scrambling: createRateStat(
+      count(stat => stat.scrambled),
+      count(stat => stat.scrambleOpportunity)
+    ),
+    sandSaves: createRateStat(
+      count(stat => stat.sandSaved),
+      count(stat => stat.sandSaveOpportunity)
+    ),
+    threePutts: count(stat => stat.threePutt),
+    puttsPerRound: roundCount > 0 ? Math.round((totalPutts / roundCount) * 10) / 10 : null,
+    puttsPerGir: puttedGirHoles.length > 0 ? Math.round((puttsOnGir / puttedGirHoles.length) * 100) / 100 : null,
+    penalties,
+    penaltiesPerRound: roundCount > 0 ? Math.round((penalties.strokes / roundCount) * 10) / 10 : null,
+    missPatterns: summarizeMissPatterns(shots)
+  };
+};
+
+/**
+ * Format penalty strokes by reason for display, e.g. "OB 2 · Water 1"
+ *
+ * @param {Object} penalties - Penalty summary from calculateRoundStats
+ * @returns {string}
+ */
+export const formatPenaltyReasons = (penalties) => {
+  const entries = Object.entries(penalties?.byReason || {});
+  if (entries.length === 0) return "-";
+  return entries
+    .sort(([, a], [, b]) => b - a)
+    .map(([reasonId, count]) => `${getPenaltyReasonLabel(reasonId)} ${count}`)
+    .join(" · ");
+};
+
+/**
+ * Format a rate stat for display, e.g. "7/14 (50%)"
+ *
+ * @param {Object} stat - Rate stat from calculateRoundStats
+ * @returns {string}
+ */
+export const formatRateStat = (stat) => {
+  if (!stat || stat.opportunities === 0) return "-";
+  return `${stat.made}/${stat.opportunities} (${stat.percentage}%)`;
+};
@@ -0,0 +1,279 @@
+// src/services/syncService.js
+//
+// Durable outbox for round completion. Finished rounds are committed to the
+// device first and replayed against Supabase whenever connectivity allows,
+// so completing a round on a course with no signal never loses data.
+
+import NetInfo from '@react-native-community/netinfo';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { saveHoleData, completeRound } from './roundservice';
+import { trackEvent, trackError, ERROR_TYPES } from './analytics';
+
+// Configuration
+const OUTBOX_KEY = '@GolfApp:round_outbox';
+
+// Singleton state
+let outbox = null; // Keyed by round id, restored lazily from storage
+let processingPromise = null;
+let followUpPromise = null; // Run queued behind processingPromise for rounds it didn't read
+let netInfoUnsubscribe = null;
+const listeners = new Set();
+
+/**
+ * Initialize the sync service
+ *
+ * Subscribes to connectivity changes so queued rounds are replayed as soon
+ * as the device comes back online, and attempts an immediate replay.
+ * Safe to call more than once.
+ */
+export function initRoundSync() {
+  if (!netInfoUnsubscribe) {
+    netInfoUnsubscribe = NetInfo.addEventListener(state => {
+      if (state.isConnected) {
+        processOutbox();
+      }
+    });
+
+    console.log('[Sync] Listening for connectivity changes');
+  }
+
+  processOutbox();
+}
+
+/**
+ * Commit a finished round to the outbox
+ *
+ * @param {string} roundId - The ID of the round being completed
+ * @param {Array<Object>} holes - Hole records { hole_number, hole_data, total_score } to save
+ * @param {Object} summary - Display data for the round while it waits to sync
+ * @returns {Promise<void>}
+ */
+export async function enqueueRoundCompletion(roundId, holes, summary = {}) {
+  await restoreOutbox();
+
+  outbox[roundId] = {
+    roundId,
+    holes,
+    summary,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+    lastError: null
+  };
+
+  await persistOutbox();
+  notifyListeners();
+
+  console.log(`[Sync] Queued round ${roundId} with ${holes.length} holes`);
+}
+
+/**
+ * Replay every queued round against the server
+ *
+ * A run only covers the rounds queued when it started, so a call made while one
+ * is in progress waits for it and then runs again; calls made meanwhile share
+ * that follow-up run. Hole writes that succeed are removed from the entry
+ * immediately, so a partially synced round only retries what is left.
+ *
+ * @returns {Promise<Array<string>>} IDs of rounds that finished syncing while the caller waited
+ */
+export function processOutbox() {
+  if (!processingPromise) {
+    processingPromise = runOutbox().finally(() => {
+      processingPromise = null;
+    });
+
+    return processingPromise;
+  }
+
+  if (!followUpPromise) {
+    followUpPromise = processingPromise
+      .catch(() => [])
+      .then(async syncedRoundIds => {
+        followUpPromise = null;
+        return [...syncedRoundIds, ...(await processOutbox())];
+      });
+  }
+
+  return followUpPromise;
+}
+
+/**
+ * Get display summaries for rounds that are waiting to sync
+ *
+ * @returns {Promise<Array<Object>>} Round summaries shaped for RoundSummaryCard
+ */
+export async function getPendingRounds() {
+  await restoreOutbox();
+
+  return Object.values(outbox).map(entry => ({
+    id: entry.roundId,
+    date: entry.summary.date || entry.queuedAt,
+    courseName: entry.summary.courseName || "Unknown Course",
+    score: entry.summary.score ?? null,
+    grossShots: entry.summary.grossShots ?? null,
+    isComplete: true,
+    pendingSync: true
+  }));
+}
+
+/**
+ * Put rounds that are waiting to sync ahead of a list of server rounds
+ *
+ * @param {Array<Object>} rounds - Round summaries loaded from the server
+ * @returns {Promise<Array<Object>>} Pending rounds followed by the server rounds
+ */
+export async function withPendingRounds(rounds = []) {
+  const pendingRounds = await getPendingRounds();
+  const serverRoundIds = new Set(rounds.map(round => round.id));
+
+  return [
+    ...pendingRounds.filter(round => !serverRoundIds.has(round.id)),
+    ...rounds
+  ];
+}
+
+/**
+ * Check whether a round is still waiting to sync
+ *
+ * @param {string} roundId - The ID of the round
+ * @returns {Promise<boolean>}
+ */
+export async function isRoundPendingSync(roundId) {
+  await restoreOutbox();
+  return !!outbox[roundId];
+}
+
+/**
+ * Subscribe to outbox changes (round queued or synced)
+ *
+ * @param {Function} listener - Called with no arguments whenever the outbox changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToRoundSync(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Process the outbox if the device is online
+ */
+async function runOutbox() {
+  await restoreOutbox();
+
+  const entries = Object.values(outbox);
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const networkState = await NetInfo.fetch();
+  if (!networkState.isConnected) {
+    console.log(`[Sync] Device offline, ${entries.length} rounds waiting to sync`);
+    return [];
+  }
+
+  console.log(`[Sync] Processing ${entries.length} queued rounds`);
+
+  const syncedRoundIds = [];
+
+  for (const entry of entries) {
+    const synced = await syncRound(entry);
+    if (synced) {
+      syncedRoundIds.push(entry.roundId);
+    }
+  }
+
+  if (syncedRoundIds.length > 0) {
+    notifyListeners();
+  }
+
+  return syncedRoundIds;
+}
+
+/**
+ * Save a queued round's holes and complete it on the server
+ *
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<boolean>} Whether the round is now fully synced
+ */
+async function syncRound(entry) {
+  const startTime = Date.now();
+  entry.attempts += 1;
+
+  try {
+    // Save remaining holes one at a time, recording progress as we go
+    while (entry.holes.length > 0) {
+      const hole = entry.holes[0];
+      await saveHoleData(entry.roundId, hole.hole_number, hole.hole_data, hole.total_score);
+      entry.holes.shift();
+      await persistOutbox();
+    }
+
+    await completeRound(entry.roundId);
+
+    delete outbox[entry.roundId];
+    await persistOutbox();
+
+    trackEvent('round_sync_succeeded', {
+      round_id: entry.roundId,
+      attempts: entry.attempts,
+      queued_at: entry.queuedAt,
+      operation_duration_ms: Date.now() - startTime
+    });
+
+    console.log(`[Sync] Round ${entry.roundId} synced`);
+    return true;
+  } catch (error) {
+    console.error(`[Sync] Failed to sync round ${entry.roundId}:`, error);
+
+    entry.lastError = error?.message || String(error);
+    await persistOutbox();
+
+    await trackError(ERROR_TYPES.DATA_PERSISTENCE_ERROR, error, {
+      round_id: entry.roundId,
+      error_stage: 'round_sync',
+      attempts: entry.attempts,
+      holes_remaining: entry.holes.length,
+      operation_duration_ms: Date.now() - startTime
+    });
+
+    return false;
+  }
+}
+
+/**
+ * Restore the outbox from persistent storage (once per app session)
+ */
+async function restoreOutbox() {
+  if (outbox) {
+    return;
+  }
+
+  try {
+    const storedOutbox = await AsyncStorage.getItem(OUTBOX_KEY);
+    outbox = storedOutbox ? JSON.parse(storedOutbox) : {};
+    console.log(`[Sync] Restored ${Object.keys(outbox).length} queued rounds`);
+  } catch (error) {
+    console.error('[Sync] Failed to restore outbox:', error);
+    outbox = {};
+  }
+}
+
+/**
+ * Write the outbox to persistent storage
+ */
+async function persistOutbox() {
+  await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+}
+
+/**
+ * Notify subscribers that the outbox changed
+ */
+function notifyListeners() {
+  listeners.forEach(listener => {
+    try {
+      listener();
+    } catch (error) {
+      console.error('[Sync] Listener error:', error);
+    }
+  });
+}
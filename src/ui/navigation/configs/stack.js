@@ -130,6 +130,11 @@ const createHomeStackConfig = () => {
         options: {
           title: "Scorecard",
         }
+      },
+      RoundComparisonScreen: {
+        options: {
+          title: "Compare Rounds",
+        }
       }
     }
   };
@@ -149,6 +154,21 @@ const createRoundsStackConfig = () => {
         options: {
           title: "Scorecard"
         }
+      },
+      StatsScreen: {
+        options: {
+          title: "Your Stats"
+        }
+      },
+      ImportRoundsScreen: {
+        options: {
+          title: "Import Rounds"
+        }
+      },
+      RoundComparisonScreen: {
+        options: {
+          title: "Compare Rounds"
+        }
       }
     }
   };
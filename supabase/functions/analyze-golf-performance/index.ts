@@ -150,6 +150,10 @@ serve(async (req) => {
         created_at,
         is_complete,
         selected_tee_name,
+        first_hole,
+        last_hole,
+        rating_set,
+        is_practice,
         courses:course_id (
           id,
           name,
@@ -210,9 +214,16 @@ serve(async (req) => {
         "Chip": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
         "Putts": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
         "Sand": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Penalties": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
+        // Penalty strokes now record a reason with result "Penalty"; older ones used the quality outcomes
+        "Penalties": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0, "Penalty": 0 }
       };
       
+      // Shot counts by club for shots tagged with the club used
+      const clubCounts = {};
+      
+      // Mulligans and extra balls hit in practice rounds, by shot type and result
+      const practiceShots = { count: 0, byType: {} };
+      
       // Get detailed hole-by-hole data for analysis
       const holeDetails = [];
       
@@ -233,11 +244,18 @@ serve(async (req) => {
           .map(shot => new Date(shot.timestamp).getTime());
           
         // Calculate timing within the round if possible
+        // Holes record when play on them started and finished; older holes only have shot times
+        const holeStart = holeData.startedAt
+          ? new Date(holeData.startedAt).getTime()
+          : (holeTimestamps.length > 0 ? Math.min(...holeTimestamps) : null);
+        const holeEnd = holeData.finishedAt
+          ? new Date(holeData.finishedAt).getTime()
+          : (holeTimestamps.length > 0 ? Math.max(...holeTimestamps) : null);
         const holeTimeInfo = {
-          startTime: holeTimestamps.length > 0 ? Math.min(...holeTimestamps) : null,
-          endTime: holeTimestamps.length > 0 ? Math.max(...holeTimestamps) : null,
-          duration: holeTimestamps.length >= 2 ? 
-            (Math.max(...holeTimestamps) - Math.min(...holeTimestamps)) / 1000 / 60 : null, // in minutes
+          startTime: holeStart,
+          endTime: holeEnd,
+          duration: holeStart !== null && holeEnd !== null && holeEnd > holeStart ? 
+            (holeEnd - holeStart) / 1000 / 60 : null, // in minutes
           sequenceInRound: hole.hole_number // Natural sequence of the hole
         };
         
@@ -248,15 +266,30 @@ serve(async (req) => {
           distance: holeData.distance || null,
           index: holeData.index || null,
           features: holeData.features || [],
-          totalShots: hole.total_score || holeData.shots.length,
-          shots: holeData.shots,
+          totalShots: hole.total_score || holeData.shots.filter(shot => !shot.extraBall).length,
+          shots: addShotDistances(holeData.shots), // Adds GPS distanceYards where positions were recorded
           timeInfo: holeTimeInfo,
+          // Set when the hole was picked up or a putt conceded ({ type, rule, strokesReceived });
+          // totalShots is the score it was given
+          pickup: holeData.pickup || null,
+          // Set on holes imported from another app, which have totals but no shots
+          // ({ score, putts, fairwayHit, greenInRegulation, source })
+          imported: holeData.imported || null,
           // Add POI data if available
           poi: holeData.poi || null
         });
         
         // Count shots by type and quality for the aggregate view
         holeData.shots.forEach(shot => {
+          // Extra balls don't count towards the score, so keep them out of the aggregate counts
+          if (shot.extraBall) {
+            practiceShots.count++;
+            practiceShots.byType[shot.type] = practiceShots.byType[shot.type] || { count: 0, outcomes: {} };
+            practiceShots.byType[shot.type].count++;
+            practiceShots.byType[shot.type].outcomes[shot.result] = (practiceShots.byType[shot.type].outcomes[shot.result] || 0) + 1;
+            return;
+          }
+          
           // Check if this shot type and result exists in our structure
           if (shotCounts[shot.type] && shotCounts[shot.type][shot.result] !== undefined) {
             shotCounts[shot.type][shot.result]++;
@@ -264,6 +297,17 @@ serve(async (req) => {
             // Log unexpected shot types or results for debugging
             console.warn(`Unexpected shot data - Type: ${shot.type}, Result: ${shot.result}`);
           }
+          
+          // Club tagging is optional, so only count shots that record one
+          if (shot.club) {
+            if (!clubCounts[shot.club]) {
+              clubCounts[shot.club] = { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0, total: 0 };
+            }
+            clubCounts[shot.club].total++;
+            if (clubCounts[shot.club][shot.result] !== undefined) {
+              clubCounts[shot.club][shot.result]++;
+            }
+          }
         });
       });
       
@@ -273,6 +317,21 @@ serve(async (req) => {
         courseHoleData = round.courses.holes;
       }
       
+      // Par for the holes actually played (9-hole rounds should not be measured against 18-hole par)
+      const firstHole = round.first_hole || 1;
+      const lastHole = round.last_hole || 18;
+      const holesPlayed = lastHole - firstHole + 1;
+      let roundPar = round.courses?.par || 72; // Default to 72 if par not available
+      if (courseHoleData) {
+        const playedHoles = courseHoleData.filter(hole => hole.number >= firstHole && hole.number <= lastHole);
+        // Women's par where the round was played to it, falling back to men's
+        const ratingSet = round.rating_set || "men";
+        const holePar = (hole) => hole[`par_${ratingSet}`] || hole.par_men;
+        if (playedHoles.length === holesPlayed && playedHoles.every(hole => holePar(hole))) {
+          roundPar = playedHoles.reduce((sum, hole) => sum + holePar(hole), 0);
+        }
+      }
+      
       // Return processed round data (with both aggregate counts and detailed hole-by-hole data)
       return {
         roundId: round.id,
@@ -280,9 +339,14 @@ serve(async (req) => {
         time: roundTime,
         timestamp: roundTimestamp,
         totalScore: round.gross_shots,
-        par: round.courses?.par || 72, // Default to 72 if par not available
+        par: roundPar,
+        holesPlayed: holesPlayed,
+        isPractice: !!round.is_practice,
         teeName: round.selected_tee_name || "Unknown",
         shots: shotCounts,              // Aggregate counts for backward compatibility
+        clubs: clubCounts,              // Counts by club for shots tagged with a club
+        practiceShots: practiceShots,   // Extra balls in practice rounds (not part of the score)
+        stats: calculateTraditionalStats(roundHoles.filter(hole => hole.hole_number >= firstHole && hole.hole_number <= lastHole)),
         holeDetails: holeDetails,       // Detailed hole-by-hole data
         courseName: round.courses?.name || "Unknown Course",
         courseInfo: {
@@ -336,7 +400,7 @@ serve(async (req) => {
       // Premium prompt with added rendering optimization directives
       promptContent = `You are a PGA Tour-certified golf coach with expertise in statistical analysis and golf course management. Your coaching philosophy centers on personalized improvement through data-driven insights, focusing on the 20% of changes that create 80% of improvement for each unique player. Create personalized, specific, and actionable insights focused on helping them improve. Think beyond basic analysis - create longitudinal, spatial, and sequence-based insights that demonstrate extraordinary value to help players score better, realistically score better.
 
-I'm providing granular shot-by-shot data from ${golfData.totalRounds} recent rounds from a ${userHandicap ? `${userHandicap} handicap` : 'golfer'}. Each round contains shots per hole, with timestamps, categorization by type of shot, and quality assessment (On Target/Slightly Off/Recovery Needed), with timestamps so you can see the timeline of each hole and each hole as one entity that is made up of single parts that make the total number for the whole. The data represents play across different courses. If you know any specifics about these courses or holes, use that knowledge in the assessment to improve contextual information on the rounds.
+I'm providing granular shot-by-shot data from ${golfData.totalRounds} recent rounds from a ${userHandicap ? `${userHandicap} handicap` : 'golfer'}. Each round contains shots per hole, with timestamps, categorization by type of shot, and quality assessment (On Target/Slightly Off/Recovery Needed), with timestamps so you can see the timeline of each hole and each hole as one entity that is made up of single parts that make the total number for the whole. The data represents play across different courses. If you know any specifics about these courses or holes, use that knowledge in the assessment to improve contextual information on the rounds. Some shots also record the club used (with per-club totals in each round's clubs field); where they do, relate performance to club selection. Shots recorded with a GPS position include distanceYards, how far the shot travelled. Each round's stats field holds traditional stats derived from the shots (fairways hit, greens in regulation, scrambling, sand saves, 3-putts, putts per GIR, penalty strokes by reason). Penalty shots record a penaltyReason (ob, lost_ball, water, lateral, unplayable) and whether it was stroke and distance; treat them as the cost of a miss rather than a swing. Shots recorded in detailed mode also have a missDirection (left/right/short/long) and lie (fairway/rough/sand/green/hazard), summarised per round in stats.missPatterns; where present, call out the player's predominant miss by shot type and what it costs them. Rounds with isPractice set were practice rounds and don't count towards the handicap; shots marked extraBall are mulligans or extra balls that are not part of the score or stats (summarised in practiceShots), so use them only as extra practice evidence. Holes with a pickup were not holed out: "picked_up" holes score the player's maximum hole score and "conceded" holes count one stroke for the conceded putt, so their shots stop short of the hole; treat frequent pickups as blow-up holes worth investigating. Holes with imported set come from rounds imported from another app: they have the hole's score and, where the other app recorded them, putts, fairway hit and green in regulation, but no shots, so use them for scoring and stat trends only.
 
 As you analyze this data, focus on these high-value dimensions:
 
@@ -717,4 +781,197 @@ function mapCardVariantToUi(variant) {
   };
   
   return variantMap[variant] || "standard";
-}
\ No newline at end of file
+}
+
+// Fixes less accurate than this (in meters) are too noisy to measure a shot with
+const MAX_POSITION_ACCURACY_METERS = 30;
+
+/**
+ * Shot Distance Helpers
+ * 
+ * Haversine distance in yards, matching the app's distanceService
+ */
+function calculateDistanceYards(lat1, lng1, lat2, lng2) {
+  const R = 6371 * 1093.61; // Earth's radius in km converted to yards
+  const dLat = (lat2 - lat1) * (Math.PI / 180);
+  const dLng = (lng2 - lng1) * (Math.PI / 180);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * (Math.PI / 180)) * Math.cos(lat2 * (Math.PI / 180)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return Math.round(R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)));
+}
+
+/**
+ * Whether a shot position is accurate enough to measure from
+ */
+function isUsablePosition(position) {
+  return !!position &&
+    typeof position.lat === "number" &&
+    typeof position.lng === "number" &&
+    (position.accuracy == null || position.accuracy <= MAX_POSITION_ACCURACY_METERS);
+}
+
+/**
+ * Each shot's position is where it was hit from, so its distance is the gap to the
+ * next non-penalty shot's position. Distances measured with "Mark ball" take
+ * precedence. Shots that can't be measured, or were replayed under a
+ * stroke-and-distance penalty, get null.
+ */
+function addShotDistances(shots) {
+  return shots.map((shot, index) => {
+    if (typeof shot.measuredDistance === "number") {
+      return { ...shot, distanceYards: shot.measuredDistance };
+    }
+
+    if (shot.type === "Penalties") {
+      return { ...shot, distanceYards: null };
+    }
+
+    const remainingShots = shots.slice(index + 1);
+    const nextSwingIndex = remainingShots.findIndex(next => next.type !== "Penalties");
+    const nextShot = nextSwingIndex === -1 ? null : remainingShots[nextSwingIndex];
+    const isReplayed = remainingShots
+      .slice(0, nextSwingIndex === -1 ? remainingShots.length : nextSwingIndex)
+      .some(penalty => penalty.strokeAndDistance);
+    const distanceYards = nextShot && !isReplayed && isUsablePosition(shot.position) && isUsablePosition(nextShot.position)
+      ? calculateDistanceYards(shot.position.lat, shot.position.lng, nextShot.position.lat, nextShot.position.lng)
+      : null;
+
+    return { ...shot, distanceYards };
+  });
+}
+
+/**
+ * Traditional Stats
+ * 
+ * Mirrors the app's statsService: fairway hit is an On Target tee shot on a par 4/5,
+ * GIR is the first putt struck within par minus two strokes, scrambling is par or
+ * better after missing the green, and a sand save is a scramble that included a bunker shot.
+ * Penalty strokes are counted by reason ("other" for penalties recorded without one).
+ * Miss patterns mirror missService.summarizeMissPatterns and only count shots recorded
+ * with a miss direction or lie. Extra balls from practice rounds are left out throughout.
+ * Holes imported from another app have no shots and use their imported totals, leaving
+ * out anything the other app didn't export.
+ */
+function calculateTraditionalStats(holes) {
+  const scoringShots = (hole) => Array.isArray(hole.hole_data?.shots)
+    ? hole.hole_data.shots.filter(shot => !shot.extraBall)
+    : [];
+
+  const rate = (made, opportunities) => ({
+    made,
+    opportunities,
+    percentage: opportunities > 0 ? Math.round((made / opportunities) * 100) : null
+  });
+
+  const importedHoleStats = holes
+    .filter(hole => scoringShots(hole).length === 0 && hole.hole_data?.imported && (hole.total_score || hole.hole_data.imported.score))
+    .map(hole => {
+      const imported = hole.hole_data.imported;
+      const par = hole.hole_data.par || null;
+      const strokes = hole.total_score || imported.score;
+      const putts = typeof imported.putts === "number" ? imported.putts : null;
+      const hasFairway = par !== null && par >= 4 && typeof imported.fairwayHit === "boolean";
+      let greenInRegulation = typeof imported.greenInRegulation === "boolean" ? imported.greenInRegulation : null;
+      if (greenInRegulation === null && par !== null && putts !== null) {
+        greenInRegulation = strokes - putts <= par - 2;
+      }
+      const isScrambleOpportunity = greenInRegulation === false && par !== null;
+
+      return {
+        putts,
+        fairwayOpportunity: hasFairway,
+        fairwayHit: hasFairway && imported.fairwayHit,
+        greenInRegulation,
+        scrambleOpportunity: isScrambleOpportunity,
+        scrambled: isScrambleOpportunity && strokes <= par,
+        sandSaveOpportunity: false,
+        sandSaved: false,
+        threePutt: putts !== null && putts >= 3
+      };
+    });
+
+  const holeStats = holes
+    .filter(hole => scoringShots(hole).length > 0)
+    .map(hole => {
+      const shots = scoringShots(hole);
+      const par = hole.hole_data.par || null;
+      const strokes = hole.total_score || shots.length;
+      const putts = shots.filter(shot => shot.type === "Putts").length;
+      const firstPuttIndex = shots.findIndex(shot => shot.type === "Putts");
+      const strokesToGreen = firstPuttIndex === -1 ? strokes : firstPuttIndex;
+      const teeShot = shots.find(shot => shot.type === "Tee Shot");
+      const hasFairway = par !== null && par >= 4;
+      const greenInRegulation = par !== null ? strokesToGreen <= par - 2 : null;
+      const isScrambleOpportunity = greenInRegulation === false;
+      const playedFromSand = shots.some(shot => shot.type === "Sand");
+
+      return {
+        putts,
+        fairwayOpportunity: hasFairway,
+        fairwayHit: hasFairway && teeShot?.result === "On Target",
+        greenInRegulation,
+        scrambleOpportunity: isScrambleOpportunity,
+        scrambled: isScrambleOpportunity && strokes <= par,
+        sandSaveOpportunity: isScrambleOpportunity && playedFromSand,
+        sandSaved: isScrambleOpportunity && playedFromSand && strokes <= par,
+        threePutt: putts >= 3
+      };
+    })
+    .concat(importedHoleStats);
+
+  const count = (predicate) => holeStats.filter(predicate).length;
+  // Imported holes may not have a putt count
+  const girHoles = holeStats.filter(stat => stat.greenInRegulation && stat.putts !== null);
+  const puttsOnGir = girHoles.reduce((sum, stat) => sum + stat.putts, 0);
+
+  const penalties = { strokes: 0, strokeAndDistance: 0, byReason: {} };
+  holes
+    .flatMap(scoringShots)
+    .filter(shot => shot.type === "Penalties")
+    .forEach(shot => {
+      const reasonId = shot.penaltyReason || "other";
+      penalties.strokes++;
+      penalties.byReason[reasonId] = (penalties.byReason[reasonId] || 0) + 1;
+      if (shot.strokeAndDistance) {
+        penalties.strokeAndDistance++;
+      }
+    });
+
+  const missPatterns = {
+    detailedShots: 0,
+    misses: 0,
+    byDirection: { left: 0, right: 0, short: 0, long: 0 },
+    byLie: { fairway: 0, rough: 0, sand: 0, green: 0, hazard: 0 },
+    byShotType: {}
+  };
+  holes
+    .flatMap(scoringShots)
+    .filter(shot => shot.type !== "Penalties" && (shot.missDirection || shot.lie))
+    .forEach(shot => {
+      missPatterns.detailedShots++;
+      if (shot.lie in missPatterns.byLie) {
+        missPatterns.byLie[shot.lie]++;
+      }
+      if (shot.missDirection in missPatterns.byDirection) {
+        missPatterns.misses++;
+        missPatterns.byDirection[shot.missDirection]++;
+        missPatterns.byShotType[shot.type] = missPatterns.byShotType[shot.type] || { left: 0, right: 0, short: 0, long: 0 };
+        missPatterns.byShotType[shot.type][shot.missDirection]++;
+      }
+    });
+
+  return {
+    holesPlayed: holeStats.length,
+    totalPutts: holeStats.reduce((sum, stat) => sum + (stat.putts || 0), 0),
+    fairways: rate(count(stat => stat.fairwayHit), count(stat => stat.fairwayOpportunity)),
+    greensInRegulation: rate(count(stat => stat.greenInRegulation), count(stat => stat.greenInRegulation !== null)),
+    scrambling: rate(count(stat => stat.scrambled), count(stat => stat.scrambleOpportunity)),
+    sandSaves: rate(count(stat => stat.sandSaved), count(stat => stat.sandSaveOpportunity)),
+    threePutts: count(stat => stat.threePutt),
+    puttsPerGir: girHoles.length > 0 ? Math.round((puttsOnGir / girHoles.length) * 100) / 100 : null,
+    penalties,
+    missPatterns
+  };
+}